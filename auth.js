@@ -0,0 +1,312 @@
+"use strict";
+
+/**
+ * API keys, rate limits and quotas for resources-server.js.
+ *
+ * Keys are defined in API_KEYS_PATH (default ./api-keys.json, see
+ * api-keys.example.json). Each key has an id, the key itself given either as
+ * `key_sha256` (hex SHA-256 of the key, so the file holds no secrets) or as
+ * `key_env` (name of an env var holding the key, used for the seller's
+ * internal key), and `scopes`: "resources:<name>", "resources:*", "metrics",
+ * "watches" (alert subscriptions, see monitor.js), "watches:delegate" (may
+ * register watches on_behalf_of its own clients, for the seller) or "*".
+ *
+ * Clients send the key as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * Missing or unknown keys get 401, keys without the scope 403.
+ *
+ * Every request is limited twice, by client IP and by key, each with a token
+ * bucket (`rate_per_second` refill, `burst` capacity) and a `daily_quota`
+ * reset at 00:00 UTC (null = unlimited). Key entries override `defaults`; a
+ * key with `"ip_limits": false` skips the per-IP limits (the seller calls
+ * from one address). Limited requests get 429 with Retry-After.
+ *
+ * The file is required: without it the server refuses to start, unless
+ * API_AUTH=off (local development only).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const telemetry = require("./telemetry");
+
+const API_KEYS_PATH = process.env.API_KEYS_PATH || path.join(__dirname, "api-keys.json");
+const AUTH_DISABLED = String(process.env.API_AUTH || "").toLowerCase() === "off";
+
+const DEFAULT_LIMITS = { rate_per_second: 2, burst: 20, daily_quota: 5000 };
+const DEFAULT_IP_LIMITS = { rate_per_second: 5, burst: 50, daily_quota: 20000 };
+
+// Idle per-IP entries are swept once the table grows past this
+const MAX_TRACKED_IPS = 10000;
+
+const log = telemetry.createLogger("resources-server");
+
+const rejections = telemetry.counter(
+  "aegis_auth_rejections_total",
+  "Requests refused by reason (missing_key / invalid_key / forbidden / rate_limited / quota_exceeded).",
+  ["reason"]
+);
+const keyRequests = telemetry.counter("aegis_api_key_requests_total", "Authenticated requests by key id.", ["key"]);
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+function checkLimits(file, where, limits) {
+  for (const field of ["rate_per_second", "burst"]) {
+    if (!(Number(limits[field]) > 0)) throw new Error(`${file}: ${where}.${field} must be a positive number`);
+  }
+  if (limits.daily_quota != null && !(Number(limits.daily_quota) > 0)) {
+    throw new Error(`${file}: ${where}.daily_quota must be a positive number or null`);
+  }
+  return limits;
+}
+
+/**
+ * Read and validate the key file. Returns { keys: Map(sha256 -> key), ipLimits }.
+ * Keys whose key_env is unset are skipped with a warning rather than failing,
+ * so partner keys can be deployed before the internal one is provisioned.
+ */
+function loadApiKeys(file = API_KEYS_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const defaults = checkLimits(file, "defaults", { ...DEFAULT_LIMITS, ...raw.defaults });
+  const ipLimits = checkLimits(file, "per_ip", { ...DEFAULT_IP_LIMITS, ...raw.per_ip });
+  const keys = new Map();
+
+  for (const [i, k] of (raw.keys || []).entries()) {
+    const where = `keys[${i}]`;
+    if (!k.id) throw new Error(`${file}: ${where}.id is required`);
+    if (!Array.isArray(k.scopes) || !k.scopes.length) throw new Error(`${file}: ${k.id}: scopes must be a non-empty array`);
+
+    let hash;
+    if (k.key_sha256) {
+      if (!/^[0-9a-f]{64}$/i.test(k.key_sha256)) throw new Error(`${file}: ${k.id}: key_sha256 must be 64 hex characters`);
+      hash = k.key_sha256.toLowerCase();
+    } else if (k.key_env) {
+      const value = process.env[k.key_env];
+      if (!value) {
+        log.warn("api_key_skipped", `API key ${k.id}: ${k.key_env} is not set, key disabled`, { key: k.id });
+        continue;
+      }
+      hash = sha256(value);
+    } else {
+      throw new Error(`${file}: ${k.id}: key_sha256 or key_env is required`);
+    }
+    if (keys.has(hash)) throw new Error(`${file}: ${k.id}: duplicate key`);
+
+    const limits = checkLimits(file, k.id, {
+      rate_per_second: k.rate_per_second ?? defaults.rate_per_second,
+      burst: k.burst ?? defaults.burst,
+      daily_quota: k.daily_quota === undefined ? defaults.daily_quota : k.daily_quota
+    });
+    keys.set(hash, { id: k.id, scopes: k.scopes, limits, ipLimits: k.ip_limits !== false });
+  }
+
+  return { keys, ipLimits };
+}
+
+let config = null;
+if (require.main === module) {
+  // CLI, see the bottom of the file
+} else if (AUTH_DISABLED) {
+  log.warn("auth_disabled", "API_AUTH=off: resources are served without API keys or rate limits");
+} else {
+  if (!fs.existsSync(API_KEYS_PATH)) {
+    throw new Error(`${API_KEYS_PATH} not found: create it from api-keys.example.json, or set API_AUTH=off for local development`);
+  }
+  config = loadApiKeys();
+  log.info("api_keys_loaded", `${config.keys.size} API key(s) loaded from ${API_KEYS_PATH}`, { keys: config.keys.size });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Limits and quotas                             */
+/* -------------------------------------------------------------------------- */
+
+const keyUsage = new Map(); // key id -> usage
+const ipUsage = new Map(); // client ip -> usage
+
+function utcDay(now) {
+  return Math.floor(now / 86400000);
+}
+
+function secondsToUtcMidnight(now) {
+  return Math.ceil(((utcDay(now) + 1) * 86400000 - now) / 1000);
+}
+
+function usageFor(table, id, limits, now) {
+  if (!table.has(id)) table.set(id, { tokens: limits.burst, refilled_at: now, day: utcDay(now), used_today: 0 });
+  return table.get(id);
+}
+
+/**
+ * Take one request from `usage`. Returns null when allowed, otherwise
+ * { reason, retryAfter } with retryAfter in whole seconds. Nothing is taken
+ * when refused, so a client that backs off isn't charged for the refusals.
+ */
+function take(usage, limits, now) {
+  usage.tokens = Math.min(limits.burst, usage.tokens + ((now - usage.refilled_at) / 1000) * limits.rate_per_second);
+  usage.refilled_at = now;
+  if (usage.day !== utcDay(now)) {
+    usage.day = utcDay(now);
+    usage.used_today = 0;
+  }
+
+  if (limits.daily_quota != null && usage.used_today >= limits.daily_quota) {
+    return { reason: "quota_exceeded", retryAfter: secondsToUtcMidnight(now) };
+  }
+  if (usage.tokens < 1) {
+    return { reason: "rate_limited", retryAfter: Math.max(1, Math.ceil((1 - usage.tokens) / limits.rate_per_second)) };
+  }
+  usage.tokens -= 1;
+  usage.used_today += 1;
+  return null;
+}
+
+// Drop IPs last seen before today (their quota has reset anyway); if that
+// isn't enough, also those idle long enough for their bucket to be full,
+// giving up their quota count rather than growing without bound
+function sweepIps(now) {
+  if (ipUsage.size <= MAX_TRACKED_IPS) return;
+  for (const [ip, u] of ipUsage) if (u.day !== utcDay(now)) ipUsage.delete(ip);
+  if (ipUsage.size <= MAX_TRACKED_IPS) return;
+  const refillSeconds = config.ipLimits.burst / config.ipLimits.rate_per_second;
+  for (const [ip, u] of ipUsage) if ((now - u.refilled_at) / 1000 >= refillSeconds) ipUsage.delete(ip);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Middleware                                 */
+/* -------------------------------------------------------------------------- */
+
+function presentedKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1].trim() : null;
+}
+
+function hasScope(scopes, scope) {
+  const family = scope.split(":")[0];
+  return scopes.some((s) => s === "*" || s === scope || s === `${family}:*`);
+}
+
+function refuse(req, res, status, reason, message, fields = {}) {
+  rejections.inc({ reason });
+  log.warn("auth_rejected", `${req.method} ${req.originalUrl.split("?")[0]} ${status} ${reason}`, {
+    reason,
+    ip: req.ip,
+    ...fields
+  });
+  return res.status(status).json({ ok: false, error: true, message, details: { reason, ...fields } });
+}
+
+function limited(req, res, verdict, scope, fields) {
+  res.set("Retry-After", String(verdict.retryAfter));
+  const what = verdict.reason === "quota_exceeded" ? "Daily quota exhausted" : "Rate limit exceeded";
+  return refuse(req, res, 429, verdict.reason, `${what} (${scope}). Retry after ${verdict.retryAfter}s.`, {
+    ...fields,
+    limited_by: scope,
+    retry_after_seconds: verdict.retryAfter
+  });
+}
+
+/**
+ * Express middleware admitting a request only with a key holding `scope`
+ * (a string, or a function of req for scopes that depend on the path), and
+ * within its per-IP and per-key limits. Sets req.apiKey = { id, scopes }.
+ */
+function requireKey(scope) {
+  return (req, res, next) => {
+    if (!config) return next();
+    const needed = typeof scope === "function" ? scope(req) : scope;
+    const now = Date.now();
+    sweepIps(now);
+
+    const presented = presentedKey(req);
+    if (!presented) {
+      res.set("WWW-Authenticate", 'Bearer realm="aegis-resources"');
+      return refuse(req, res, 401, "missing_key", "API key required. Send it as X-API-Key or Authorization: Bearer.");
+    }
+
+    const key = config.keys.get(sha256(presented));
+    if (!key) {
+      // Unknown keys still count against the IP, so guessing is rate limited too
+      const verdict = take(usageFor(ipUsage, req.ip, config.ipLimits, now), config.ipLimits, now);
+      if (verdict) return limited(req, res, verdict, "ip", {});
+      res.set("WWW-Authenticate", 'Bearer realm="aegis-resources", error="invalid_token"');
+      return refuse(req, res, 401, "invalid_key", "Invalid API key.");
+    }
+
+    if (!hasScope(key.scopes, needed)) {
+      return refuse(req, res, 403, "forbidden", `API key '${key.id}' is not allowed to use ${needed}.`, { key: key.id, scope: needed });
+    }
+
+    if (key.ipLimits) {
+      const verdict = take(usageFor(ipUsage, req.ip, config.ipLimits, now), config.ipLimits, now);
+      if (verdict) return limited(req, res, verdict, "ip", { key: key.id });
+    }
+    const verdict = take(usageFor(keyUsage, key.id, key.limits, now), key.limits, now);
+    if (verdict) return limited(req, res, verdict, "key", { key: key.id });
+
+    keyRequests.inc({ key: key.id });
+    req.apiKey = { id: key.id, scopes: key.scopes };
+    return next();
+  };
+}
+
+/**
+ * Express middleware applying only the per-IP limits, for requests that prove
+ * themselves some other way (an alert stream's watch tokens). Failed token
+ * guesses count against the IP like unknown keys do.
+ */
+function limitByIp() {
+  return (req, res, next) => {
+    if (!config) return next();
+    const now = Date.now();
+    sweepIps(now);
+    const verdict = take(usageFor(ipUsage, req.ip, config.ipLimits, now), config.ipLimits, now);
+    if (verdict) return limited(req, res, verdict, "ip", {});
+    return next();
+  };
+}
+
+/**
+ * Options for the `cors` middleware: only origins listed in CORS_ORIGINS
+ * (comma-separated, "*" for any) get CORS headers; by default none do.
+ */
+function corsOptions() {
+  const origins = String(process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  return {
+    origin: origins.includes("*") ? true : origins.length ? origins : false,
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: ["Retry-After", "X-Cache", "Age"],
+    maxAge: 600
+  };
+}
+
+function keyUsageStats() {
+  if (!config) return { enabled: false };
+  return {
+    enabled: true,
+    keys: config.keys.size,
+    tracked_ips: ipUsage.size
+  };
+}
+
+module.exports = { loadApiKeys, requireKey, limitByIp, hasScope, corsOptions, keyUsageStats };
+
+// node auth.js new -> a fresh key and the key_sha256 to put in the key file
+// node auth.js hash <key> -> key_sha256 for an existing key
+if (require.main === module) {
+  const [cmd, arg] = process.argv.slice(2);
+  if (cmd === "new") {
+    const key = `aegis_${crypto.randomBytes(24).toString("base64url")}`;
+    console.log(JSON.stringify({ key, key_sha256: sha256(key) }, null, 2));
+  } else if (cmd === "hash" && arg) {
+    console.log(sha256(arg));
+  } else {
+    console.error("usage: node auth.js new | node auth.js hash <key>");
+    process.exit(1);
+  }
+}
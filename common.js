@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Number formatting and level orderings shared by resources-server.js and
+ * monitor.js, which reports the server's own severities and congestion
+ * levels back to watchers.
+ */
+
+// Alert and finding severities, lowest first
+const SEVERITY_ORDER = ["info", "low", "medium", "high", "critical"];
+
+// Levels base-gas-profile reports as congestion_level, lowest first
+const CONGESTION_ORDER = ["normal", "elevated", "high"];
+
+function round(n, dp = 4) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function usd(x) {
+  return `$${Math.round(x).toLocaleString("en-US")}`;
+}
+
+module.exports = { SEVERITY_ORDER, CONGESTION_ORDER, round, usd };
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+}
+
+/// @notice Never deployed. The base-token-risk resource injects this runtime
+/// code with eth_call state overrides at a token holder and at an empty probe
+/// address, then calls roundTrip on the holder. Tokens move holder -> probe ->
+/// holder and the amounts that actually arrive reveal transfer taxes; a leg
+/// that reverts reveals a honeypot or blacklist. Nothing is ever broadcast.
+///
+/// Rebuild the runtime bytecode in resources-server.js (TRANSFER_PROBE_RUNTIME) with:
+///   solc 0.8.26 --optimize --optimize-runs 200 --bin-runtime contracts/TransferProbe.sol
+contract TransferProbe {
+    function roundTrip(address token, address probe, uint256 amount)
+        external
+        returns (bool outOk, uint256 received, bool backOk, uint256 returned, bytes memory reason)
+    {
+        uint256 p0 = IERC20(token).balanceOf(probe);
+        (outOk, reason) = _transfer(token, probe, amount);
+        if (!outOk) return (false, 0, false, 0, reason);
+
+        uint256 p1 = IERC20(token).balanceOf(probe);
+        received = p1 > p0 ? p1 - p0 : 0;
+        if (received == 0) return (true, 0, false, 0, reason);
+
+        uint256 h0 = IERC20(token).balanceOf(address(this));
+        (bool ok, bytes memory ret) = probe.call(abi.encodeCall(TransferProbe.sendBack, (token, address(this), received)));
+        if (!ok) return (true, received, false, 0, ret);
+        (backOk, reason) = abi.decode(ret, (bool, bytes));
+        if (!backOk) return (true, received, false, 0, reason);
+
+        uint256 h1 = IERC20(token).balanceOf(address(this));
+        returned = h1 > h0 ? h1 - h0 : 0;
+    }
+
+    function sendBack(address token, address to, uint256 amount) external returns (bool ok, bytes memory reason) {
+        return _transfer(token, to, amount);
+    }
+
+    // transfer() that reports instead of reverting; tokens returning no data count as success
+    function _transfer(address token, address to, uint256 amount) internal returns (bool ok, bytes memory reason) {
+        bytes memory ret;
+        (ok, ret) = token.call(abi.encodeWithSelector(0xa9059cbb, to, amount));
+        if (!ok) return (false, ret);
+        if (ret.length >= 32 && !abi.decode(ret, (bool))) return (false, ret);
+        return (true, "");
+    }
+}
@@ -0,0 +1,1021 @@
+"use strict";
+
+/**
+ * Continuous monitoring for resources-server.js: standing watches checked by a
+ * background poller, with alerts pushed over Server-Sent Events and signed
+ * webhooks.
+ *
+ * Watch types, and the resource each one reads (through the response cache,
+ * so a watch costs no more upstream calls than a client polling it):
+ *  - pair:   base-venue-depth for asset_in/asset_out. min_depth_usd (depth
+ *            summed over venues), depth_drop_pct (vs the peak of the last
+ *            window_minutes), max_slippage_bps (best venue at notional_usd)
+ *  - pool:   one pool_id of that pair. min_depth_usd, depth_drop_pct,
+ *            max_price_deviation_bps; a pool dropping out of the pair's venues
+ *            counts as a breach
+ *  - gas:    base-gas-profile. max_base_fee_gwei, max_swap_cost_usd,
+ *            congestion_at_least
+ *  - market: base-market-activity alerts at or above severity_floor, each
+ *            reported once per lookback window
+ *
+ * A threshold alerts when it is first breached ("triggered") and again when it
+ * clears ("resolved"); a re-breach within cooldown_minutes of the last trigger
+ * stays quiet.
+ *
+ * A watch belongs to the API key that created it. A key with the
+ * "watches:delegate" scope (the seller) may name the client it registers a
+ * watch for in on_behalf_of; the watch limit, and the open-stream limit, then
+ * apply per client instead of per key.
+ *
+ * Creating a watch returns its stream token and webhook secret, once.
+ * GET /streams/alerts?watch_id=&token= (comma lists for several watches), or
+ * with an API key for all of the key's watches, is an SSE stream of `alert`
+ * events. Their ids go back as Last-Event-ID to replay what a client missed,
+ * within the last MONITOR_REPLAY_EVENTS alerts. At most
+ * MONITOR_MAX_STREAMS_PER_WATCH streams may follow one watch and
+ * MONITOR_MAX_STREAMS_PER_OWNER one key or client. Watches with a webhook_url
+ * also get each alert POSTed with
+ *   X-Aegis-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ * retried with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS attempts, on
+ * network errors, 429 and 5xx. A webhook must be https and its host must
+ * resolve to public addresses only, checked when the watch is created and
+ * again by the lookup each delivery connects through, so a name re-pointed
+ * after the check can't redirect the POST; redirects are never followed.
+ *
+ * Watches persist to WATCH_STORE_PATH and are dropped after ttl_hours.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const auth = require("./auth");
+const telemetry = require("./telemetry");
+const { SEVERITY_ORDER, CONGESTION_ORDER, round, usd } = require("./common");
+
+const WATCH_STORE_PATH = process.env.WATCH_STORE_PATH || path.join(__dirname, "data", "watches.json");
+const MONITOR_POLL_SECONDS = Math.max(1, Number(process.env.MONITOR_POLL_SECONDS || 30));
+const MONITOR_MAX_WATCHES_PER_KEY = Number(process.env.MONITOR_MAX_WATCHES_PER_KEY || 50);
+const MONITOR_MAX_STREAMS = Number(process.env.MONITOR_MAX_STREAMS || 200);
+const MONITOR_MAX_STREAMS_PER_WATCH = Number(process.env.MONITOR_MAX_STREAMS_PER_WATCH || 5);
+const MONITOR_MAX_STREAMS_PER_OWNER = Number(process.env.MONITOR_MAX_STREAMS_PER_OWNER || 20);
+const MONITOR_REPLAY_EVENTS = Number(process.env.MONITOR_REPLAY_EVENTS || 500);
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 2000);
+const WEBHOOK_MAX_BACKOFF_MS = 5 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Plain http and loopback / private hosts, for local development only
+const WEBHOOK_ALLOW_INSECURE = process.env.WEBHOOK_ALLOW_INSECURE === "1";
+
+const SSE_HEARTBEAT_SECONDS = 15;
+const SSE_RETRY_MS = 5000;
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_TTL_HOURS = 720;
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const DEFAULT_WINDOW_MINUTES = 60;
+const DEFAULT_NOTIONAL_USD = 10000;
+
+const WATCH_TYPES = ["pair", "pool", "gas", "market"];
+
+// Thresholds a watch of each type may set; pair and gas watches need at least one
+const CONDITIONS = {
+  pair: ["min_depth_usd", "depth_drop_pct", "max_slippage_bps"],
+  pool: ["min_depth_usd", "depth_drop_pct", "max_price_deviation_bps"],
+  gas: ["max_base_fee_gwei", "max_swap_cost_usd", "congestion_at_least"],
+  market: []
+};
+
+const log = telemetry.createLogger("resources-server");
+
+const watchesGauge = telemetry.gauge("aegis_monitor_watches", "Active watches by type.", ["type"]);
+const alertsTotal = telemetry.counter("aegis_monitor_alerts_total", "Watch alerts by watch type and status (triggered / resolved).", [
+  "type",
+  "status"
+]);
+const webhookDeliveries = telemetry.counter(
+  "aegis_monitor_webhook_deliveries_total",
+  "Webhook attempts by outcome (delivered / retry / rejected / failed).",
+  ["outcome"]
+);
+const streamClients = telemetry.gauge("aegis_monitor_stream_clients", "Open /streams/alerts connections.");
+const pollSeconds = telemetry.histogram("aegis_monitor_poll_seconds", "Time to check every watch once.");
+
+const watches = new Map(); // id -> watch
+const clients = new Set(); // { res, owner, watchIds, accounts }
+const replay = []; // { watch_id, owner, alert }, oldest first
+let nextSeq = 0;
+let readResource = null;
+let polling = false;
+let lastPoll = null;
+const webhookCounters = { pending: 0, delivered: 0, failed: 0 };
+
+telemetry.onCollect("monitor", () => {
+  watchesGauge.reset();
+  for (const type of WATCH_TYPES) watchesGauge.set({ type }, [...watches.values()].filter((w) => w.type === type).length);
+  streamClients.set({}, clients.size);
+});
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+function fail(message, details = null) {
+  return { ok: false, error: true, message, details };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Store                                    */
+/* -------------------------------------------------------------------------- */
+// One JSON document, rewritten whole: { next_seq, watches }. It holds webhook
+// secrets, so it is written owner-only.
+
+function loadStore() {
+  if (!fs.existsSync(WATCH_STORE_PATH)) return;
+  try {
+    const doc = JSON.parse(fs.readFileSync(WATCH_STORE_PATH, "utf8"));
+    for (const w of doc.watches || []) watches.set(w.id, w);
+    nextSeq = Number(doc.next_seq) || 0;
+    log.info("watch_store_loaded", `${watches.size} watch(es) restored from ${WATCH_STORE_PATH}`, { watches: watches.size });
+  } catch (e) {
+    log.error("watch_store_failed", `watch store ${WATCH_STORE_PATH} could not be read`, { error: String(e?.message || e) });
+  }
+}
+
+function saveStore() {
+  try {
+    fs.mkdirSync(path.dirname(WATCH_STORE_PATH), { recursive: true });
+    const tmp = `${WATCH_STORE_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ next_seq: nextSeq, watches: [...watches.values()] }), { mode: 0o600 });
+    fs.renameSync(tmp, WATCH_STORE_PATH);
+  } catch (e) {
+    log.error("watch_store_failed", `watch store ${WATCH_STORE_PATH} could not be written`, { error: String(e?.message || e) });
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Validation                                  */
+/* -------------------------------------------------------------------------- */
+
+function numberField(body, field, errors, test, message, def = null) {
+  const raw = body[field];
+  if (raw == null || raw === "") return def;
+  const n = Number(String(raw).replace(/,/g, ""));
+  if (!Number.isFinite(n) || !test(n)) {
+    errors.push(`${field}: ${message}`);
+    return def;
+  }
+  return n;
+}
+
+// Unspecified, loopback, private, shared (CGNAT) and link-local ranges; IPv4-mapped IPv6 addresses match the IPv4 rules
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function privateAddress(ip) {
+  const family = net.isIP(ip);
+  return family !== 0 && PRIVATE_ADDRESSES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+function bareHost(hostname) {
+  return hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+function webhookUrlProblem(raw) {
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    return "must be an absolute URL";
+  }
+  if (WEBHOOK_ALLOW_INSECURE) return ["http:", "https:"].includes(u.protocol) ? null : "must be an http(s) URL";
+  if (u.protocol !== "https:") return "must be an https URL";
+  const h = bareHost(u.hostname);
+  if (h === "localhost" || h.endsWith(".localhost") || privateAddress(h)) return "must not point at a loopback or private address";
+  return null;
+}
+
+/**
+ * Resolve the webhook's host and refuse it when any address it resolves to is
+ * loopback, private or link-local, so a public name can't be aimed at the
+ * internal network. Lookup failures throw; the caller decides whether that is
+ * final.
+ */
+async function webhookHostProblem(url) {
+  if (WEBHOOK_ALLOW_INSECURE) return null;
+  const addresses = await dns.promises.lookup(bareHost(new URL(url).hostname), { all: true, verbatim: true });
+  if (addresses.some((a) => privateAddress(a.address))) return "must not resolve to a loopback or private address";
+  return null;
+}
+
+/**
+ * Validate a POST /watches body. Returns { errors } or the parts of a watch:
+ * { type, spec, label, ttlHours, cooldownMinutes, webhookUrl, webhookSecret, onBehalfOf }.
+ */
+function parseWatch(body) {
+  const b = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+  const type = String(b.type || "").trim().toLowerCase();
+  if (!WATCH_TYPES.includes(type)) return { errors: [`type: must be one of: ${WATCH_TYPES.join(", ")}`] };
+
+  const errors = [];
+  const positive = (n) => n > 0;
+  const spec = {};
+
+  if (type === "pair" || type === "pool") {
+    for (const f of ["asset_in", "asset_out"]) {
+      spec[f] = String(b[f] || "").trim();
+      if (!spec[f]) errors.push(`${f}: required for ${type} watches`);
+    }
+    spec.notional_usd = numberField(b, "notional_usd", errors, positive, "must be > 0", DEFAULT_NOTIONAL_USD);
+    spec.min_depth_usd = numberField(b, "min_depth_usd", errors, positive, "must be > 0");
+    spec.depth_drop_pct = numberField(b, "depth_drop_pct", errors, (n) => n > 0 && n < 100, "must be a percentage between 0 and 100");
+    spec.window_minutes = numberField(
+      b,
+      "window_minutes",
+      errors,
+      (n) => Number.isInteger(n) && n >= 5 && n <= 1440,
+      "must be integer 5..1440",
+      DEFAULT_WINDOW_MINUTES
+    );
+    if (type === "pair") {
+      spec.max_slippage_bps = numberField(b, "max_slippage_bps", errors, (n) => n > 0 && n <= 10000, "must be 1..10000 bps");
+    } else {
+      spec.pool_id = String(b.pool_id || "").trim().toLowerCase();
+      if (!spec.pool_id) errors.push("pool_id: required for pool watches");
+      spec.max_price_deviation_bps = numberField(b, "max_price_deviation_bps", errors, positive, "must be > 0 bps");
+    }
+  } else if (type === "gas") {
+    spec.max_base_fee_gwei = numberField(b, "max_base_fee_gwei", errors, positive, "must be > 0");
+    spec.max_swap_cost_usd = numberField(b, "max_swap_cost_usd", errors, positive, "must be > 0");
+    spec.congestion_at_least = null;
+    if (b.congestion_at_least != null) {
+      const c = String(b.congestion_at_least).trim().toLowerCase();
+      const levels = CONGESTION_ORDER.slice(1);
+      if (levels.includes(c)) spec.congestion_at_least = c;
+      else errors.push(`congestion_at_least: must be one of: ${levels.join(", ")}`);
+    }
+    spec.eth_usd = numberField(b, "eth_usd", errors, positive, "must be > 0");
+  } else {
+    const assets = Array.isArray(b.assets) ? b.assets : b.assets ? String(b.assets).split(",") : [];
+    spec.assets = assets.map((a) => String(a).trim()).filter(Boolean);
+    if (spec.assets.length > 10) errors.push("assets: at most 10 symbols, addresses or A/B pairs");
+    spec.lookback_minutes = numberField(
+      b,
+      "lookback_minutes",
+      errors,
+      (n) => Number.isInteger(n) && n >= 5 && n <= 43200,
+      "must be integer 5..43200",
+      60
+    );
+    spec.min_notional_usd = numberField(b, "min_notional_usd", errors, positive, "must be > 0", 50000);
+    spec.severity_floor = String(b.severity_floor || "medium").trim().toLowerCase();
+    if (!SEVERITY_ORDER.includes(spec.severity_floor)) errors.push(`severity_floor: must be one of: ${SEVERITY_ORDER.join(", ")}`);
+  }
+
+  if (["pair", "gas"].includes(type) && !CONDITIONS[type].some((c) => spec[c] != null)) {
+    errors.push(`conditions: set at least one of ${CONDITIONS[type].join(", ")}`);
+  }
+
+  const ttlHours = numberField(b, "ttl_hours", errors, (n) => n > 0 && n <= MAX_TTL_HOURS, `must be > 0 and at most ${MAX_TTL_HOURS}`, DEFAULT_TTL_HOURS);
+  const cooldownMinutes = numberField(b, "cooldown_minutes", errors, (n) => n >= 0 && n <= 1440, "must be 0..1440", DEFAULT_COOLDOWN_MINUTES);
+
+  let webhookUrl = null;
+  if (b.webhook_url != null && b.webhook_url !== "") {
+    const problem = webhookUrlProblem(String(b.webhook_url).trim());
+    if (problem) errors.push(`webhook_url: ${problem}`);
+    else webhookUrl = String(b.webhook_url).trim();
+  }
+  // Callers registering several watches for one consumer may share a secret across them
+  let webhookSecret = null;
+  if (b.webhook_secret != null) {
+    webhookSecret = String(b.webhook_secret);
+    if (webhookSecret.length < 16 || webhookSecret.length > 256) errors.push("webhook_secret: must be 16..256 characters");
+  }
+
+  let onBehalfOf = null;
+  if (b.on_behalf_of != null && b.on_behalf_of !== "") {
+    onBehalfOf = String(b.on_behalf_of).trim();
+    if (!onBehalfOf || onBehalfOf.length > 128) errors.push("on_behalf_of: must be 1..128 characters");
+  }
+
+  if (errors.length) return { errors };
+  const label = b.label == null ? null : String(b.label).trim().slice(0, 80) || null;
+  return { type, spec, label, ttlHours, cooldownMinutes, webhookUrl, webhookSecret, onBehalfOf };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Evaluation                                 */
+/* -------------------------------------------------------------------------- */
+
+function resourceQuery(type, spec) {
+  if (type === "gas") return ["base-gas-profile", spec.eth_usd ? { eth_usd: String(spec.eth_usd) } : {}];
+  if (type === "market") {
+    const query = { lookback_minutes: String(spec.lookback_minutes), min_notional_usd: String(spec.min_notional_usd) };
+    if (spec.assets.length) query.assets = spec.assets.join(",");
+    return ["base-market-activity", query];
+  }
+  return ["base-venue-depth", { asset_in: spec.asset_in, asset_out: spec.asset_out, notional_usd: String(spec.notional_usd) }];
+}
+
+// Threshold checks, each { condition, breached, observed, threshold, severity, title, cleared, description }
+function depthChecks(watch, data, now) {
+  const s = watch.spec;
+  const pair = `${s.asset_in}/${s.asset_out}`;
+  const venues =
+    watch.type === "pool" ? (data.venues || []).filter((v) => String(v.pool_id).toLowerCase() === s.pool_id) : data.venues || [];
+  const subject = watch.type === "pool" ? `${pair} pool ${s.pool_id.slice(0, 10)}…` : pair;
+  const checks = [];
+
+  if (watch.type === "pool") {
+    checks.push({
+      condition: "pool_missing",
+      breached: !venues.length,
+      observed: { found: venues.length > 0 },
+      threshold: null,
+      severity: "high",
+      title: `${subject} no longer among the pair's venues`,
+      cleared: `${subject} is back among the pair's venues`,
+      description: venues.length
+        ? `base-venue-depth returns pool ${s.pool_id} on ${venues[0].venue}.`
+        : `base-venue-depth no longer returns pool ${s.pool_id}; it may have been drained or outgrown by another pool.`
+    });
+    if (!venues.length) return checks;
+  }
+
+  const depth = venues.reduce((sum, v) => sum + (Number(v.depth_usd) || 0), 0);
+  const windowStart = now - s.window_minutes * 60000;
+  watch.state.samples = [...watch.state.samples.filter((x) => x.at >= windowStart), { at: now, depth_usd: depth }];
+  const peak = Math.max(...watch.state.samples.map((x) => x.depth_usd));
+  const where = venues.map((v) => v.venue).join(", ") || "no venue";
+
+  if (s.min_depth_usd != null) {
+    checks.push({
+      condition: "min_depth_usd",
+      breached: depth < s.min_depth_usd,
+      observed: { depth_usd: round(depth, 2) },
+      threshold: { min_depth_usd: s.min_depth_usd },
+      severity: "high",
+      title: `${subject} depth below ${usd(s.min_depth_usd)}`,
+      cleared: `${subject} depth back above ${usd(s.min_depth_usd)}`,
+      description: `Depth on ${where} is ${usd(depth)} against a ${usd(s.min_depth_usd)} floor.`
+    });
+  }
+
+  if (s.depth_drop_pct != null) {
+    const drop = peak > 0 ? ((peak - depth) / peak) * 100 : 0;
+    checks.push({
+      condition: "depth_drop_pct",
+      breached: drop >= s.depth_drop_pct,
+      observed: { depth_usd: round(depth, 2), peak_depth_usd: round(peak, 2), drop_pct: round(drop, 2) },
+      threshold: { depth_drop_pct: s.depth_drop_pct, window_minutes: s.window_minutes },
+      severity: drop >= 50 ? "critical" : "high",
+      title: `${subject} depth down ${round(drop, 1)}% in ${s.window_minutes} min`,
+      cleared: `${subject} depth recovered to within ${s.depth_drop_pct}% of its ${s.window_minutes} min peak`,
+      description: `Depth on ${where} is ${usd(depth)} vs a peak of ${usd(peak)} over the last ${s.window_minutes} min.`
+    });
+  }
+
+  if (s.max_slippage_bps != null) {
+    const slips = venues.map((v) => Number(v.estimated_slippage_bps)).filter(Number.isFinite);
+    if (slips.length) {
+      const best = Math.min(...slips);
+      checks.push({
+        condition: "max_slippage_bps",
+        breached: best > s.max_slippage_bps,
+        observed: { best_slippage_bps: best, notional_usd: s.notional_usd },
+        threshold: { max_slippage_bps: s.max_slippage_bps },
+        severity: "medium",
+        title: `${subject} slippage at ${usd(s.notional_usd)} is ${best} bps`,
+        cleared: `${subject} slippage at ${usd(s.notional_usd)} back within ${s.max_slippage_bps} bps`,
+        description: `Best venue slippage for ${usd(s.notional_usd)} is ${best} bps against a ${s.max_slippage_bps} bps cap.`
+      });
+    }
+  }
+
+  if (s.max_price_deviation_bps != null && venues[0].price_deviation_bps != null) {
+    const dev = Math.abs(Number(venues[0].price_deviation_bps));
+    checks.push({
+      condition: "max_price_deviation_bps",
+      breached: dev > s.max_price_deviation_bps,
+      observed: { price_deviation_bps: dev, price_status: venues[0].price_status },
+      threshold: { max_price_deviation_bps: s.max_price_deviation_bps },
+      severity: "high",
+      title: `${subject} price ${dev} bps off its references`,
+      cleared: `${subject} price back within ${s.max_price_deviation_bps} bps of its references`,
+      description: `The pool's spot price deviates ${dev} bps from the other venue / TWAP (cap ${s.max_price_deviation_bps} bps).`
+    });
+  }
+
+  return checks;
+}
+
+function gasChecks(watch, data) {
+  const s = watch.spec;
+  const checks = [];
+  const baseFee = Number(data.base_fee_gwei);
+  const swapCost = Number(data.cost_estimates?.swap_estimated_cost_usd);
+  const note = data.source === "heuristic" ? " (heuristic profile, no RPC data)" : "";
+
+  if (s.max_base_fee_gwei != null && Number.isFinite(baseFee)) {
+    checks.push({
+      condition: "max_base_fee_gwei",
+      breached: baseFee > s.max_base_fee_gwei,
+      observed: { base_fee_gwei: baseFee },
+      threshold: { max_base_fee_gwei: s.max_base_fee_gwei },
+      severity: "medium",
+      title: `Base fee at ${baseFee} gwei`,
+      cleared: `Base fee back under ${s.max_base_fee_gwei} gwei`,
+      description: `Next-block base fee is ${baseFee} gwei against a ${s.max_base_fee_gwei} gwei cap${note}.`
+    });
+  }
+  if (s.max_swap_cost_usd != null && Number.isFinite(swapCost)) {
+    checks.push({
+      condition: "max_swap_cost_usd",
+      breached: swapCost > s.max_swap_cost_usd,
+      observed: { swap_estimated_cost_usd: swapCost },
+      threshold: { max_swap_cost_usd: s.max_swap_cost_usd },
+      severity: "medium",
+      title: `Swap gas cost at $${swapCost}`,
+      cleared: `Swap gas cost back under $${s.max_swap_cost_usd}`,
+      description: `A swap is estimated at $${swapCost} in gas against a $${s.max_swap_cost_usd} cap${note}.`
+    });
+  }
+  if (s.congestion_at_least != null) {
+    const level = data.congestion_level || "normal";
+    checks.push({
+      condition: "congestion_at_least",
+      breached: CONGESTION_ORDER.indexOf(level) >= CONGESTION_ORDER.indexOf(s.congestion_at_least),
+      observed: { congestion_level: level },
+      threshold: { congestion_at_least: s.congestion_at_least },
+      severity: level === "high" ? "high" : "medium",
+      title: `Base congestion ${level}`,
+      cleared: `Base congestion back below ${s.congestion_at_least}`,
+      description: `Congestion over the fee-history window is ${level}${note}.`
+    });
+  }
+  return checks;
+}
+
+function makeAlert(watch, fields) {
+  const seq = ++nextSeq;
+  return {
+    id: `alert_${seq}`,
+    seq,
+    watch_id: watch.id,
+    watch_label: watch.label,
+    watch_type: watch.type,
+    ...fields,
+    at: new Date().toISOString()
+  };
+}
+
+// Triggered on entering a breach (outside the cooldown), resolved on leaving one that alerted
+function applyChecks(watch, checks, now) {
+  const alerts = [];
+  const cooldownMs = watch.cooldown_minutes * 60000;
+  for (const c of checks) {
+    const st = (watch.state.conditions[c.condition] ||= { breached: false, since: null, triggered_at: null, alerted: false });
+    const base = { condition: c.condition, observed: c.observed, threshold: c.threshold, description: c.description };
+    if (c.breached && !st.breached) {
+      st.breached = true;
+      st.since = iso(now);
+      st.alerted = !st.triggered_at || now - Date.parse(st.triggered_at) >= cooldownMs;
+      if (st.alerted) {
+        st.triggered_at = iso(now);
+        alerts.push(makeAlert(watch, { ...base, status: "triggered", severity: c.severity, title: c.title }));
+      }
+    } else if (!c.breached && st.breached) {
+      if (st.alerted) alerts.push(makeAlert(watch, { ...base, status: "resolved", severity: "info", title: c.cleared }));
+      Object.assign(st, { breached: false, since: null, alerted: false });
+    }
+    st.observed = c.observed;
+  }
+  return alerts;
+}
+
+// New market-activity alerts at or above the floor; an id is not repeated until its lookback (plus cooldown) has passed
+function marketAlerts(watch, data, now) {
+  const s = watch.spec;
+  const seen = watch.state.seen;
+  const forgetAfterMs = (s.lookback_minutes + watch.cooldown_minutes) * 60000;
+  for (const [id, at] of Object.entries(seen)) if (now - at > forgetAfterMs) delete seen[id];
+
+  const floor = SEVERITY_ORDER.indexOf(s.severity_floor);
+  const alerts = [];
+  for (const a of data.alerts || []) {
+    if (SEVERITY_ORDER.indexOf(a.severity) < floor || seen[a.id]) continue;
+    seen[a.id] = now;
+    alerts.push(
+      makeAlert(watch, {
+        condition: a.type,
+        status: "triggered",
+        severity: a.severity,
+        title: a.title,
+        description: a.description,
+        recommended_action: a.recommended_action,
+        observed: a.metrics || null,
+        threshold: { severity_floor: s.severity_floor },
+        source_alert_id: a.id,
+        venue: a.venue,
+        pool_id: a.pool_id,
+        pair: a.pair
+      })
+    );
+  }
+  return alerts;
+}
+
+async function evaluate(watch, now) {
+  const [resource, query] = resourceQuery(watch.type, watch.spec);
+  const r = await readResource(resource, query);
+  watch.last_checked_at = iso(now);
+  if (r.status !== 200 || !r.body?.ok) {
+    watch.last_error = r.body?.message || `${resource} answered HTTP ${r.status}`;
+    return [];
+  }
+  watch.last_error = null;
+  if (watch.type === "market") return marketAlerts(watch, r.body.data, now);
+  const checks = watch.type === "gas" ? gasChecks(watch, r.body.data) : depthChecks(watch, r.body.data, now);
+  return applyChecks(watch, checks, now);
+}
+
+// Check every watch once; a slow tick is never overlapped by the next
+async function poll() {
+  if (polling || !readResource) return;
+  polling = true;
+  const done = pollSeconds.startTimer();
+  const now = Date.now();
+  let changed = false;
+  try {
+    for (const watch of [...watches.values()]) {
+      if (Date.parse(watch.expires_at) <= now) {
+        removeWatch(watch.id, "expired");
+        changed = true;
+        continue;
+      }
+      try {
+        const alerts = await evaluate(watch, now);
+        for (const alert of alerts) publish(watch, alert);
+        changed ||= alerts.length > 0;
+      } catch (e) {
+        watch.last_error = String(e?.message || e);
+        log.warn("watch_check_failed", `watch ${watch.id} check failed`, { watch_id: watch.id, error: watch.last_error });
+      }
+    }
+    if (changed) saveStore();
+  } finally {
+    lastPoll = { at: iso(now), ms: Math.round(done() * 1000) };
+    polling = false;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Delivery                                  */
+/* -------------------------------------------------------------------------- */
+
+function accepts(client, watchId, owner) {
+  return client.watchIds ? client.watchIds.has(watchId) : client.owner === owner;
+}
+
+function sendEvent(client, alert) {
+  client.res.write(`id: ${alert.seq}\nevent: alert\ndata: ${JSON.stringify(alert)}\n\n`);
+}
+
+function publish(watch, alert) {
+  alertsTotal.inc({ type: watch.type, status: alert.status });
+  watch.alerts_sent = (watch.alerts_sent || 0) + 1;
+  watch.last_alert_at = alert.at;
+  log.info("watch_alert", alert.title, { watch_id: watch.id, condition: alert.condition, status: alert.status, severity: alert.severity });
+
+  replay.push({ watch_id: watch.id, owner: watch.owner, alert });
+  while (replay.length > MONITOR_REPLAY_EVENTS) replay.shift();
+  for (const client of clients) if (accepts(client, watch.id, watch.owner)) sendEvent(client, alert);
+
+  if (watch.webhook_url) {
+    deliverWebhook(watch, alert).catch((e) => {
+      log.error("webhook_failed", `webhook delivery for ${watch.id} crashed`, { watch_id: watch.id, error: String(e?.message || e) });
+    });
+  }
+}
+
+// dns.lookup for webhook connections, failing when any address the host
+// resolves to is private: the socket then connects to an address checked here
+function vettedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = WEBHOOK_ALLOW_INSECURE ? null : addresses.find((a) => privateAddress(a.address));
+    if (blocked) {
+      const e = new Error(`webhook host resolves to private address ${blocked.address}`);
+      e.code = "EPRIVATEADDR";
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST `body` to a webhook and resolve to the response status. Sent directly
+ * rather than through upstream.js: client endpoints get no shared circuit
+ * breaker (nor a line in /health), redirects are never followed, and the
+ * connection resolves the host through vettedLookup.
+ */
+function postWebhook(url, headers, body) {
+  const u = new URL(url);
+  if (!WEBHOOK_ALLOW_INSECURE && privateAddress(bareHost(u.hostname))) {
+    return Promise.reject(Object.assign(new Error("webhook host is a private address"), { code: "EPRIVATEADDR" }));
+  }
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "content-length": Buffer.byteLength(body) },
+        lookup: vettedLookup,
+        timeout: WEBHOOK_TIMEOUT_MS
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => resolve(res.statusCode));
+        res.on("error", reject);
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`timed out after ${WEBHOOK_TIMEOUT_MS} ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST `alert` to the watch's webhook, signed with its secret. Network
+ * errors, 429 and 5xx are retried with exponential backoff; any other non-2xx
+ * answer, a redirect included, is final, as is a host that now resolves to a
+ * private address. Every attempt carries the same X-Aegis-Delivery id so the
+ * receiver can drop duplicates.
+ */
+async function deliverWebhook(watch, alert) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({ event: "alert", delivery_id: deliveryId, alert });
+  const stats = watch.webhook_stats;
+  webhookCounters.pending++;
+  try {
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      if (!watches.has(watch.id)) return; // deleted while retrying
+      const t = Math.floor(Date.now() / 1000);
+      const signature = crypto.createHmac("sha256", watch.webhook_secret).update(`${t}.${body}`).digest("hex");
+      stats.last_attempt_at = new Date().toISOString();
+      try {
+        const status = await postWebhook(
+          watch.webhook_url,
+          {
+            "content-type": "application/json",
+            "x-aegis-event": "alert",
+            "x-aegis-delivery": deliveryId,
+            "x-aegis-signature": `t=${t},v1=${signature}`
+          },
+          body
+        );
+        stats.last_status = status;
+        if (status >= 200 && status < 300) {
+          webhookDeliveries.inc({ outcome: "delivered" });
+          webhookCounters.delivered++;
+          stats.delivered++;
+          stats.last_error = null;
+          return;
+        }
+        if (status === 429 || status >= 500) throw Object.assign(new Error(`HTTP ${status}`), { status });
+        webhookDeliveries.inc({ outcome: "rejected" });
+        stats.last_error = status >= 300 && status < 400 ? `HTTP ${status} (redirects are not followed)` : `HTTP ${status}`;
+        break;
+      } catch (e) {
+        stats.last_status = e?.status || null;
+        stats.last_error = String(e?.message || e);
+        if (e?.code === "EPRIVATEADDR") {
+          webhookDeliveries.inc({ outcome: "rejected" });
+          break;
+        }
+        if (attempt === WEBHOOK_MAX_ATTEMPTS) break;
+        webhookDeliveries.inc({ outcome: "retry" });
+        await sleep(Math.min(WEBHOOK_MAX_BACKOFF_MS, WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1)));
+      }
+    }
+    webhookDeliveries.inc({ outcome: "failed" });
+    webhookCounters.failed++;
+    stats.failed++;
+    log.warn("webhook_failed", `webhook for ${watch.id} gave up on ${alert.id}`, { watch_id: watch.id, alert_id: alert.id, error: stats.last_error });
+  } finally {
+    webhookCounters.pending--;
+  }
+}
+
+function heartbeat() {
+  for (const client of clients) client.res.write(": ping\n\n");
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Handlers                                  */
+/* -------------------------------------------------------------------------- */
+// Express handlers mounted by resources-server.js behind auth.requireKey("watches").
+// A watch belongs to the API key that created it ("anonymous" with API_AUTH=off).
+
+function ownerOf(req) {
+  return req.apiKey?.id || "anonymous";
+}
+
+// Who limits are counted against: the key, or the client a delegating key named
+function accountOf(watch) {
+  return watch.on_behalf_of ? `${watch.owner}/${watch.on_behalf_of}` : watch.owner;
+}
+
+function mayDelegate(req) {
+  return !req.apiKey || auth.hasScope(req.apiKey.scopes, "watches:delegate");
+}
+
+function publicWatch(w) {
+  const conditions = {};
+  for (const [name, st] of Object.entries(w.state.conditions)) {
+    conditions[name] = { breached: st.breached, since: st.since, last_triggered_at: st.triggered_at, observed: st.observed ?? null };
+  }
+  return {
+    watch_id: w.id,
+    type: w.type,
+    label: w.label,
+    on_behalf_of: w.on_behalf_of ?? null,
+    spec: w.spec,
+    cooldown_minutes: w.cooldown_minutes,
+    webhook_url: w.webhook_url,
+    webhook: w.webhook_stats,
+    created_at: w.created_at,
+    expires_at: w.expires_at,
+    last_checked_at: w.last_checked_at,
+    last_error: w.last_error,
+    last_alert_at: w.last_alert_at,
+    alerts_sent: w.alerts_sent,
+    conditions
+  };
+}
+
+function ownedWatch(req) {
+  const w = watches.get(String(req.params.id));
+  return w && w.owner === ownerOf(req) ? w : null;
+}
+
+function removeWatch(id, reason) {
+  const w = watches.get(id);
+  if (!w) return;
+  watches.delete(id);
+  for (const client of clients) {
+    if (!client.watchIds?.has(id)) continue;
+    client.watchIds.delete(id);
+    if (!client.watchIds.size) client.res.end();
+  }
+  log.info("watch_removed", `watch ${id} ${reason}`, { watch_id: id, owner: w.owner, reason });
+}
+
+/**
+ * POST /watches -> 201 { watch, stream_path, stream_token, webhook_secret }
+ *
+ * The resource behind the watch is read once first, so a watch on an unknown
+ * token or pool is refused up front rather than failing on every poll.
+ */
+async function createWatch(req, res) {
+  try {
+    const parsed = parseWatch(req.body);
+    if (parsed.errors) return res.status(400).json(fail("Invalid watch.", parsed.errors));
+
+    const owner = ownerOf(req);
+    if (parsed.onBehalfOf && !mayDelegate(req)) {
+      return res.status(403).json(fail("on_behalf_of needs an API key with the watches:delegate scope.", { reason: "forbidden" }));
+    }
+    const account = accountOf({ owner, on_behalf_of: parsed.onBehalfOf });
+    const owned = [...watches.values()].filter((w) => accountOf(w) === account).length;
+    if (owned >= MONITOR_MAX_WATCHES_PER_KEY) {
+      const per = parsed.onBehalfOf ? "client" : "key";
+      return res.status(409).json(fail(`Watch limit reached (${MONITOR_MAX_WATCHES_PER_KEY} per ${per}). Delete one first.`, { reason: "watch_limit" }));
+    }
+    if (parsed.webhookUrl) {
+      const problem = await webhookHostProblem(parsed.webhookUrl).catch(() => "host does not resolve");
+      if (problem) return res.status(400).json(fail("Invalid watch.", [`webhook_url: ${problem}`]));
+    }
+
+    const [resource, query] = resourceQuery(parsed.type, parsed.spec);
+    const probe = await readResource(resource, query);
+    if (probe.status === 400) {
+      return res.status(400).json(fail(`Invalid watch: ${probe.body?.message}`, probe.body?.details ?? null));
+    }
+    if (parsed.type === "pool" && probe.body?.ok) {
+      const pools = (probe.body.data.venues || []).map((v) => String(v.pool_id).toLowerCase());
+      if (!pools.includes(parsed.spec.pool_id)) {
+        return res.status(400).json(fail("Invalid watch: pool_id is not among the pair's venues.", { pool_ids: pools }));
+      }
+    }
+
+    const now = Date.now();
+    const streamToken = crypto.randomBytes(24).toString("base64url");
+    const watch = {
+      id: `wch_${crypto.randomBytes(8).toString("hex")}`,
+      owner,
+      on_behalf_of: parsed.onBehalfOf,
+      type: parsed.type,
+      label: parsed.label,
+      spec: parsed.spec,
+      cooldown_minutes: parsed.cooldownMinutes,
+      webhook_url: parsed.webhookUrl,
+      webhook_secret: parsed.webhookUrl ? parsed.webhookSecret || crypto.randomBytes(32).toString("hex") : null,
+      webhook_stats: parsed.webhookUrl ? { delivered: 0, failed: 0, last_status: null, last_error: null, last_attempt_at: null } : null,
+      stream_token_sha256: sha256(streamToken),
+      created_at: iso(now),
+      expires_at: iso(now + parsed.ttlHours * 3600 * 1000),
+      last_checked_at: null,
+      last_error: null,
+      last_alert_at: null,
+      alerts_sent: 0,
+      state: { conditions: {}, samples: [], seen: {} }
+    };
+    watches.set(watch.id, watch);
+    saveStore();
+    log.info("watch_created", `watch ${watch.id} (${watch.type}) created`, {
+      watch_id: watch.id,
+      owner,
+      on_behalf_of: watch.on_behalf_of,
+      type: watch.type
+    });
+
+    return res.status(201).json({
+      ok: true,
+      data: {
+        watch: publicWatch(watch),
+        stream_path: `/streams/alerts?watch_id=${watch.id}&token=${streamToken}`,
+        stream_token: streamToken,
+        webhook_secret: watch.webhook_secret,
+        poll_seconds: MONITOR_POLL_SECONDS
+      }
+    });
+  } catch (e) {
+    return res.status(500).json(fail("Failed to create watch.", String(e?.message || e)));
+  }
+}
+
+// GET /watches -> the key's watches
+function listWatches(req, res) {
+  const owner = ownerOf(req);
+  const own = [...watches.values()].filter((w) => w.owner === owner).map(publicWatch);
+  return res.json({ ok: true, data: { watches: own, poll_seconds: MONITOR_POLL_SECONDS } });
+}
+
+// GET /watches/:id -> the watch with its latest alerts
+function getWatch(req, res) {
+  const w = ownedWatch(req);
+  if (!w) return res.status(404).json(fail(`No watch '${req.params.id}'.`));
+  const recent = replay.filter((e) => e.watch_id === w.id).slice(-20).map((e) => e.alert);
+  return res.json({ ok: true, data: { watch: publicWatch(w), recent_alerts: recent } });
+}
+
+// DELETE /watches/:id, also ending streams that were only following it
+function deleteWatch(req, res) {
+  const w = ownedWatch(req);
+  if (!w) return res.status(404).json(fail(`No watch '${req.params.id}'.`));
+  removeWatch(w.id, "deleted");
+  saveStore();
+  return res.json({ ok: true, data: { deleted: w.id } });
+}
+
+function tokenMatches(watch, token) {
+  const a = Buffer.from(watch.stream_token_sha256, "hex");
+  const b = Buffer.from(sha256(token), "hex");
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * GET /streams/alerts
+ *  ?watch_id=a,b&token=ta,tb  the watches those stream tokens belong to
+ *  (API key)                  every watch of the key, or ?watch_id= among them
+ *
+ * Sends `event: ready` once subscribed, then `event: alert` frames with the
+ * alert's sequence number as id, and a comment line every
+ * SSE_HEARTBEAT_SECONDS to keep proxies from closing an idle stream.
+ */
+function streamAlerts(req, res) {
+  const ids = String(req.query.watch_id || "").split(",").map((s) => s.trim()).filter(Boolean);
+  let owner = null;
+  let watchIds = null;
+
+  if (req.query.token) {
+    const tokens = String(req.query.token).split(",").map((s) => s.trim());
+    const valid = ids.length && ids.length === tokens.length && ids.every((id, i) => watches.has(id) && tokenMatches(watches.get(id), tokens[i]));
+    if (!valid) return res.status(401).json(fail("Invalid watch_id / token.", { reason: "invalid_token" }));
+    watchIds = new Set(ids);
+  } else {
+    owner = ownerOf(req);
+    if (ids.length) {
+      const unknown = ids.filter((id) => watches.get(id)?.owner !== owner);
+      if (unknown.length) return res.status(404).json(fail(`No watch '${unknown[0]}'.`));
+      watchIds = new Set(ids);
+    }
+  }
+
+  if (clients.size >= MONITOR_MAX_STREAMS) {
+    res.set("Retry-After", String(SSE_RETRY_MS / 1000));
+    return res.status(503).json(fail("Too many open alert streams; retry shortly.", { reason: "stream_limit" }));
+  }
+
+  // A token stream counts against the owners of its watches, a key stream against the key
+  const accounts = owner ? new Set([owner]) : new Set([...watchIds].map((id) => accountOf(watches.get(id))));
+  const busyWatch = [...(watchIds || [])].find(
+    (id) => [...clients].filter((c) => c.watchIds?.has(id)).length >= MONITOR_MAX_STREAMS_PER_WATCH
+  );
+  const busyAccount = [...accounts].some(
+    (a) => [...clients].filter((c) => c.accounts.has(a)).length >= MONITOR_MAX_STREAMS_PER_OWNER
+  );
+  if (busyWatch || busyAccount) {
+    res.set("Retry-After", String(SSE_RETRY_MS / 1000));
+    const message = busyWatch
+      ? `Too many open streams for watch '${busyWatch}' (${MONITOR_MAX_STREAMS_PER_WATCH}); close one first.`
+      : `Too many open alert streams for this owner (${MONITOR_MAX_STREAMS_PER_OWNER}); close one first.`;
+    return res.status(429).json(fail(message, { reason: busyWatch ? "watch_stream_limit" : "owner_stream_limit" }));
+  }
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const client = { res, owner, watchIds, accounts };
+  clients.add(client);
+  req.on("close", () => clients.delete(client));
+
+  const following = watchIds ? [...watchIds] : [...watches.values()].filter((w) => w.owner === owner).map((w) => w.id);
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ watch_ids: following, poll_seconds: MONITOR_POLL_SECONDS })}\n\n`);
+
+  const lastId = Number(req.get("last-event-id") ?? req.query.last_event_id);
+  if (Number.isFinite(lastId)) {
+    for (const e of replay) if (e.alert.seq > lastId && accepts(client, e.watch_id, e.owner)) sendEvent(client, e.alert);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Lifecycle                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Load the store and start polling. `reader(resource, query)` resolves to
+ * { status, body } as the resource would have answered.
+ */
+function start(reader) {
+  if (readResource) return;
+  readResource = reader;
+  loadStore();
+  setInterval(poll, MONITOR_POLL_SECONDS * 1000).unref();
+  setInterval(heartbeat, SSE_HEARTBEAT_SECONDS * 1000).unref();
+}
+
+function monitorStats() {
+  const byType = {};
+  for (const w of watches.values()) byType[w.type] = (byType[w.type] || 0) + 1;
+  return {
+    enabled: Boolean(readResource),
+    watches: watches.size,
+    by_type: byType,
+    stream_clients: clients.size,
+    poll_seconds: MONITOR_POLL_SECONDS,
+    last_poll_utc: lastPoll?.at || null,
+    last_poll_ms: lastPoll?.ms ?? null,
+    webhooks: { ...webhookCounters }
+  };
+}
+
+module.exports = { start, createWatch, listWatches, getWatch, deleteWatch, streamAlerts, monitorStats };
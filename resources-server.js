@@ -2,245 +2,3532 @@
 
 require("dotenv").config();
 
+const fs = require("fs");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
+const { ethers } = require("ethers");
+const schemas = require("./schemas");
+const upstream = require("./upstream");
+const telemetry = require("./telemetry");
+const auth = require("./auth");
+const monitor = require("./monitor");
+const { buildSwapTransactions, decodeSwapOutput } = require("./swap-calldata");
+const { SEVERITY_ORDER, round, usd } = require("./common");
+
+const log = telemetry.createLogger("resources-server");
 
 const app = express();
-app.use(cors());
+app.use(cors(auth.corsOptions()));
 app.use(express.json());
 
-/* -------------------------------------------------------------------------- */
-/*                            Resource: base-gas-profile                       */
-/* -------------------------------------------------------------------------- */
+// Behind a load balancer set TRUST_PROXY (hop count, or e.g. "loopback") so
+// per-IP limits see the client address from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+const httpRequests = telemetry.counter("aegis_http_requests_total", "HTTP requests by route and status.", ["route", "status"]);
+const httpSeconds = telemetry.histogram("aegis_http_request_seconds", "HTTP request latency by route.", ["route"]);
+
+// Count, time and log every request once its response is finished. Routes
+// are labelled by their pattern, not the raw path, to keep series bounded.
+app.use((req, res, next) => {
+  const done = httpSeconds.startTimer();
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = done({ route });
+    httpRequests.inc({ route, status: res.statusCode });
+    log[res.statusCode >= 500 ? "warn" : "debug"]("http_request", `${req.method} ${req.path} ${res.statusCode}`, {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      cache: res.get("X-Cache") || null,
+      key: req.apiKey?.id || null,
+      latency_ms: Math.round(seconds * 1000)
+    });
+  });
+  next();
+});
+
+// Every resource needs an API key with its scope, e.g. "resources:base-venue-depth" (see auth.js)
+app.use("/resources", auth.requireKey((req) => `resources:${req.path.split("/")[1] || ""}`));
+
+/* -------------------------------------------------------------------------- */
+/*                                 RPC helpers                                */
+/* -------------------------------------------------------------------------- */
+
+// Comma-separated list of RPC URLs, tried in order (see upstream.js)
+const RPC_URLS = String(process.env.CUSTOM_RPC_URL || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const CUSTOM_RPC_URL = RPC_URLS[0];
+
+// How many recent blocks eth_feeHistory samples (override per request with ?blocks=)
+const GAS_FEE_HISTORY_BLOCKS = Number(process.env.GAS_FEE_HISTORY_BLOCKS || 20);
+
+// Gas units used to turn fee levels into USD cost estimates
+const SWAP_GAS_UNITS = 180000;
+const COMPLEX_TX_GAS_UNITS = 450000;
+
+// Estimated compressed (FastLZ) size in bytes of the signed tx, which is what
+// the OP Stack charges the L1 data fee on
+const SWAP_TX_DATA_BYTES = 200;
+const COMPLEX_TX_DATA_BYTES = 450;
+
+let rpcId = 0;
+
+// A JSON-RPC error (revert, bad params) is the node's answer and is thrown
+// as is; anything else that isn't a result moves on to the next RPC URL.
+async function rpc(method, params = []) {
+  if (!RPC_URLS.length) throw new Error("CUSTOM_RPC_URL missing");
+  return upstream.withFailover(RPC_URLS, async (url) => {
+    const r = await upstream.fetchJson(url, {
+      source: "rpc",
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++rpcId, method, params })
+    });
+    const j = r.json;
+    if (j?.error) {
+      const err = new Error(`RPC error (${method}): ${JSON.stringify(j.error)}`);
+      err.rpcError = j.error; // revert data for callers that simulate
+      throw err;
+    }
+    if (!r.ok || !j || !("result" in j)) {
+      throw new upstream.UpstreamError(`RPC error (${method}): HTTP ${r.status} ${JSON.stringify(j)}`, { status: r.status });
+    }
+    return j.result;
+  });
+}
+
+async function ethCall(to, iface, fn, args = []) {
+  const data = iface.encodeFunctionData(fn, args);
+  const out = await rpc("eth_call", [{ to, data }, "latest"]);
+  return iface.decodeFunctionResult(fn, out);
+}
+
+function hexToGwei(h) {
+  return Number(BigInt(h)) / 1e9;
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0;
+}
+
+function median(xs) {
+  if (!xs.length) return 0;
+  const s = [...xs].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function stdev(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(mean(xs.map((x) => (x - m) ** 2)));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Response cache                               */
+/* -------------------------------------------------------------------------- */
+// Successful resource responses are cached by resource + query parameters.
+// Within `ttl` seconds an entry is served as is; for a further `stale`
+// seconds it is still served while one background request refreshes it.
+// Concurrent misses for the same key share a single computation. Every
+// response carries `as_of` (when its data was computed) and `age_seconds`.
+//
+// Per-resource overrides: CACHE_TTL_<RESOURCE>="ttl[,stale]", e.g.
+// CACHE_TTL_BASE_VENUE_DEPTH=15,60. CACHE_DISABLED=1 turns caching off.
+
+const CACHE_POLICIES = {
+  "base-gas-profile": { ttl: 6, stale: 30 },
+  "base-token-info": { ttl: 3600, stale: 86400 },
+  "base-venue-depth": { ttl: 30, stale: 120 },
+  "base-route": { ttl: 30, stale: 120 },
+  "base-token-risk": { ttl: 900, stale: 3600 },
+  "base-market-activity": { ttl: 60, stale: 300 }
+};
+const CACHE_DISABLED = process.env.CACHE_DISABLED === "1";
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 1000);
+
+for (const [resource, policy] of Object.entries(CACHE_POLICIES)) {
+  const env = process.env[`CACHE_TTL_${resource.toUpperCase().replace(/-/g, "_")}`];
+  if (!env) continue;
+  const [ttl, stale] = env.split(",").map(Number);
+  if (Number.isFinite(ttl)) policy.ttl = ttl;
+  if (Number.isFinite(stale)) policy.stale = stale;
+}
+
+const responseCache = new Map(); // key -> { status, body, at, refreshing }
+const inflight = new Map(); // key -> Promise of { status, body, at }
+const resourceHandlers = new Map(); // resource -> handler, for in-process reads (cachedData)
+const cacheCounters = { hit: 0, stale: 0, miss: 0, coalesced: 0, refresh_errors: 0 };
+
+const cacheResults = telemetry.counter(
+  "aegis_resource_cache_total",
+  "Resource responses by cache result (hit / stale / miss / coalesced / bypass).",
+  ["resource", "result"]
+);
+const cacheRefreshErrors = telemetry.counter("aegis_resource_cache_refresh_errors_total", "Failed background refreshes by resource.", [
+  "resource"
+]);
+const computeSeconds = telemetry.histogram("aegis_resource_compute_seconds", "Time to compute an uncached resource response.", [
+  "resource"
+]);
+const cacheEntries = telemetry.gauge("aegis_resource_cache_entries", "Entries held in the response cache.");
+
+telemetry.onCollect("resource_cache", () => cacheEntries.set({}, responseCache.size));
+
+function cacheKey(resource, query) {
+  const params = Object.keys(query || {})
+    .sort()
+    .map((k) => `${k}=${[].concat(query[k]).map((v) => String(v).trim()).join(",")}`);
+  return `${resource}?${params.join("&")}`;
+}
+
+// Run an Express-style handler against a stand-in response and collect what it sends
+function runHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const out = { status: 200, at: Date.now() };
+    const res = {
+      status(code) {
+        out.status = code;
+        return res;
+      },
+      set() {
+        return res;
+      },
+      json(body) {
+        resolve({ ...out, body });
+        return res;
+      }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+function cacheStore(key, result) {
+  if (result.status !== 200 || !result.body?.ok) return;
+  responseCache.delete(key);
+  responseCache.set(key, result);
+  while (responseCache.size > CACHE_MAX_ENTRIES) responseCache.delete(responseCache.keys().next().value);
+}
+
+// One computation per key at a time; later callers wait for the first
+function computeOnce(key, handler, req) {
+  if (inflight.has(key)) return { promise: inflight.get(key), coalesced: true };
+  const done = computeSeconds.startTimer({ resource: key.slice(0, key.indexOf("?")) });
+  const promise = runHandler(handler, req)
+    .then((result) => {
+      done();
+      cacheStore(key, result);
+      return result;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return { promise, coalesced: false };
+}
+
+/**
+ * Wrap a resource handler with the response cache. The handler only ever
+ * sees req.query, so background refreshes can run it without a live request.
+ */
+function cachedResource(resource, handler) {
+  const policy = CACHE_POLICIES[resource];
+  resourceHandlers.set(resource, handler);
+
+  return async (req, res) => {
+    const send = ({ status, body, at }, state) => {
+      const ageSeconds = Math.max(0, Math.floor((Date.now() - at) / 1000));
+      cacheResults.inc({ resource, result: state });
+      res.set("X-Cache", state);
+      res.set("Age", String(ageSeconds));
+      return res.status(status).json({ ...body, as_of: new Date(at).toISOString(), age_seconds: ageSeconds, cache: state });
+    };
+
+    try {
+      if (CACHE_DISABLED || !policy.ttl) return send(await runHandler(handler, { query: req.query }), "bypass");
+
+      const key = cacheKey(resource, req.query);
+      const entry = responseCache.get(key);
+      const age = entry ? (Date.now() - entry.at) / 1000 : Infinity;
+
+      if (age < policy.ttl) {
+        cacheCounters.hit++;
+        return send(entry, "hit");
+      }
+      if (age < policy.ttl + policy.stale) {
+        cacheCounters.stale++;
+        if (!entry.refreshing) {
+          entry.refreshing = true;
+          computeOnce(key, handler, { query: { ...req.query } })
+            .promise.catch((e) => {
+              cacheCounters.refresh_errors++;
+              cacheRefreshErrors.inc({ resource });
+              log.error("cache_refresh_failed", `cache refresh failed for ${key}`, { resource, error: String(e?.message || e) });
+            })
+            .finally(() => (entry.refreshing = false));
+        }
+        return send(entry, "stale");
+      }
+
+      const { promise, coalesced } = computeOnce(key, handler, { query: { ...req.query } });
+      cacheCounters[coalesced ? "coalesced" : "miss"]++;
+      return send(await promise, coalesced ? "coalesced" : "miss");
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: true, message: `Failed to serve ${resource}.`, details: String(e?.message || e) });
+    }
+  };
+}
+
+/**
+ * Read a resource in-process, as GET /resources/<resource>?<query> would
+ * answer: a fresh cache entry if there is one, otherwise a (coalesced)
+ * computation. Stale entries are not served; background consumers such as
+ * the monitor want current data. Resolves to { status, body, at }.
+ */
+async function cachedData(resource, query) {
+  const handler = resourceHandlers.get(resource);
+  if (!handler) throw new Error(`unknown resource ${resource}`);
+  const policy = CACHE_POLICIES[resource];
+  if (CACHE_DISABLED || !policy.ttl) return runHandler(handler, { query });
+
+  const key = cacheKey(resource, query);
+  const entry = responseCache.get(key);
+  if (entry && (Date.now() - entry.at) / 1000 < policy.ttl) return entry;
+  return computeOnce(key, handler, { query: { ...query } }).promise;
+}
+
+function cacheStats() {
+  return { enabled: !CACHE_DISABLED, entries: responseCache.size, inflight: inflight.size, ...cacheCounters };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Resource: base-gas-profile                       */
+/* -------------------------------------------------------------------------- */
+
+const PRIORITY_PERCENTILES = [10, 50, 90];
+
+/**
+ * Derive a congestion level from how full recent blocks were and whether the
+ * base fee is climbing. EIP-1559 targets 50% fullness, so sustained ratios
+ * above that push the base fee up block after block.
+ */
+function congestionFromHistory(avgGasUsedRatio, baseFeeChangePct) {
+  if (avgGasUsedRatio >= 0.9 || baseFeeChangePct >= 50) return "high";
+  if (avgGasUsedRatio >= 0.6 || baseFeeChangePct >= 20) return "elevated";
+  return "normal";
+}
+
+function trendOf(first, last, tolerance) {
+  if (last > first * (1 + tolerance)) return "rising";
+  if (last < first * (1 - tolerance)) return "falling";
+  return "flat";
+}
+
+/* ---------------------------- OP Stack L1 data fee --------------------------- */
+
+// OP Stack predeploy that prices the L1 data component of every Base tx
+const GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+
+const gasPriceOracleIface = new ethers.Interface([
+  "function l1BaseFee() view returns (uint256)",
+  "function blobBaseFee() view returns (uint256)",
+  "function baseFeeScalar() view returns (uint32)",
+  "function blobBaseFeeScalar() view returns (uint32)"
+]);
+
+async function fetchL1FeeParams() {
+  const call = async (fn) => (await ethCall(GAS_PRICE_ORACLE, gasPriceOracleIface, fn))[0];
+  const [l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar] = await Promise.all([
+    call("l1BaseFee"),
+    call("blobBaseFee"),
+    call("baseFeeScalar"),
+    call("blobBaseFeeScalar")
+  ]);
+  return {
+    l1BaseFee: BigInt(l1BaseFee),
+    blobBaseFee: BigInt(blobBaseFee),
+    baseFeeScalar: BigInt(baseFeeScalar),
+    blobBaseFeeScalar: BigInt(blobBaseFeeScalar)
+  };
+}
+
+/**
+ * Fjord L1 fee for a tx whose compressed size is `bytes`:
+ *   l1FeeScaled = baseFeeScalar * l1BaseFee * 16 + blobBaseFeeScalar * blobBaseFee
+ *   l1Fee       = bytes * l1FeeScaled / 1e6
+ * Scalars carry 6 decimals, hence the 1e6.
+ */
+function l1DataFeeWei(params, bytes) {
+  const scaled =
+    params.baseFeeScalar * params.l1BaseFee * 16n + params.blobBaseFeeScalar * params.blobBaseFee;
+  return (BigInt(bytes) * scaled) / 1000000n;
+}
+
+function costBreakdown(gasUnits, dataBytes, feePerGasGwei, l1Params, eth_usd) {
+  const l2Usd = gasUnits * feePerGasGwei * 1e-9 * eth_usd;
+  const l1Usd = l1Params ? (Number(l1DataFeeWei(l1Params, dataBytes)) / 1e18) * eth_usd : null;
+  return {
+    gas_units: gasUnits,
+    data_bytes: dataBytes,
+    l2_execution_cost_usd: round(l2Usd, 6),
+    l1_data_cost_usd: l1Usd == null ? null : round(l1Usd, 6),
+    total_cost_usd: round(l2Usd + (l1Usd || 0), 6)
+  };
+}
+
+function costEstimates(feePerGasGwei, eth_usd, l1Params) {
+  const swap = costBreakdown(SWAP_GAS_UNITS, SWAP_TX_DATA_BYTES, feePerGasGwei, l1Params, eth_usd);
+  const complex = costBreakdown(COMPLEX_TX_GAS_UNITS, COMPLEX_TX_DATA_BYTES, feePerGasGwei, l1Params, eth_usd);
+  return {
+    swap_estimated_cost_usd: swap.total_cost_usd,
+    complex_tx_estimated_cost_usd: complex.total_cost_usd,
+    breakdown: { swap, complex_tx: complex },
+    includes_l1_data_fee: Boolean(l1Params),
+    eth_usd
+  };
+}
+
+function l1FeeSummary(l1Params) {
+  if (!l1Params) return null;
+  return {
+    source: "rpc/GasPriceOracle",
+    oracle: GAS_PRICE_ORACLE,
+    l1_base_fee_gwei: round(Number(l1Params.l1BaseFee) / 1e9, 6),
+    blob_base_fee_gwei: round(Number(l1Params.blobBaseFee) / 1e9, 9),
+    base_fee_scalar: Number(l1Params.baseFeeScalar),
+    blob_base_fee_scalar: Number(l1Params.blobBaseFeeScalar)
+  };
+}
+
+async function gasProfileFromFeeHistory(blockCount, eth_usd) {
+  const [h, l1] = await Promise.all([
+    rpc("eth_feeHistory", [`0x${blockCount.toString(16)}`, "latest", PRIORITY_PERCENTILES]),
+    // L1 fee params are best-effort: without them we still price L2 execution
+    fetchL1FeeParams().catch((e) => ({ error: String(e?.message || e) }))
+  ]);
+  const l1Params = l1.error ? null : l1;
+
+  // baseFeePerGas has blockCount + 1 entries; the last one is the next block's base fee
+  const baseFees = (h.baseFeePerGas || []).map(hexToGwei);
+  const observed = baseFees.slice(0, -1);
+  const nextBaseFee = baseFees[baseFees.length - 1] ?? 0;
+  const ratios = (h.gasUsedRatio || []).map(Number);
+  const rewards = (h.reward || []).map((row) => row.map(hexToGwei));
+
+  if (!observed.length) throw new Error("eth_feeHistory returned no blocks");
+
+  const priority = {};
+  PRIORITY_PERCENTILES.forEach((p, i) => {
+    priority[`p${p}`] = round(median(rewards.map((row) => row[i] ?? 0)), 6);
+  });
+
+  // Compare the oldest and newest quarter of the window to get a direction
+  const q = Math.max(1, Math.floor(ratios.length / 4));
+  const ratioEarly = mean(ratios.slice(0, q));
+  const ratioLate = mean(ratios.slice(-q));
+  const avgRatio = mean(ratios);
+
+  const baseFeeEarly = mean(observed.slice(0, q));
+  const baseFeeChangePct = baseFeeEarly > 0 ? ((nextBaseFee - baseFeeEarly) / baseFeeEarly) * 100 : 0;
+
+  const medianBaseFee = median(observed);
+  const volatilityRatio = medianBaseFee > 0 ? stdev(observed) / medianBaseFee : 0;
+
+  const suggestedMaxFee = nextBaseFee * 2 + priority.p50;
+  const oldestBlock = Number(BigInt(h.oldestBlock));
+
+  return {
+    chain: "base",
+    source: "rpc/eth_feeHistory",
+    congestion_level: congestionFromHistory(avgRatio, baseFeeChangePct),
+    base_fee_gwei: round(nextBaseFee, 6),
+    median_priority_fee_gwei: priority.p50,
+    priority_fee_percentiles_gwei: priority,
+    suggested_max_fee_gwei: round(suggestedMaxFee, 6),
+    base_fee_trend: {
+      direction: trendOf(baseFeeEarly, nextBaseFee, 0.05),
+      change_pct: round(baseFeeChangePct, 2),
+      min_gwei: round(Math.min(...observed), 6),
+      max_gwei: round(Math.max(...observed), 6),
+      median_gwei: round(medianBaseFee, 6)
+    },
+    gas_used_ratio: {
+      average: round(avgRatio),
+      early_window_average: round(ratioEarly),
+      late_window_average: round(ratioLate),
+      direction: trendOf(ratioEarly, ratioLate, 0.1)
+    },
+    variance_hint: {
+      volatility_ratio: round(volatilityRatio),
+      sample_blocks: observed.length
+    },
+    block_range: { oldest: oldestBlock, newest: oldestBlock + observed.length - 1 },
+    l1_data_fee: l1Params ? l1FeeSummary(l1Params) : { source: "unavailable", error: l1.error },
+    cost_estimates: costEstimates(nextBaseFee + priority.p50, eth_usd, l1Params),
+    last_updated_utc: new Date().toISOString()
+  };
+}
+
+function heuristicGasProfile(eth_usd, reason) {
+  return {
+    chain: "base",
+    source: "heuristic",
+    fallback_reason: reason,
+    congestion_level: "normal",
+    base_fee_gwei: 2.0,
+    median_priority_fee_gwei: 0.3,
+    suggested_max_fee_gwei: 2.6,
+    variance_hint: { volatility_ratio: null, sample_blocks: 0 },
+    l1_data_fee: null,
+    cost_estimates: {
+      swap_estimated_cost_usd: 0.65,
+      complex_tx_estimated_cost_usd: 1.55,
+      breakdown: null,
+      includes_l1_data_fee: false,
+      eth_usd
+    },
+    last_updated_utc: new Date().toISOString()
+  };
+}
+
+// Gas profile for internal consumers (routing, splitting) with the default window
+async function currentGasProfile(eth_usd) {
+  if (!CUSTOM_RPC_URL) return heuristicGasProfile(eth_usd, "CUSTOM_RPC_URL not set");
+  try {
+    return await gasProfileFromFeeHistory(GAS_FEE_HISTORY_BLOCKS, eth_usd);
+  } catch (e) {
+    return heuristicGasProfile(eth_usd, String(e?.message || e));
+  }
+}
+
+/**
+ * GET /resources/base-gas-profile?eth_usd=3600&blocks=20
+ *
+ * Uses RPC eth_feeHistory over the last `blocks` blocks (default
+ * GAS_FEE_HISTORY_BLOCKS) when CUSTOM_RPC_URL is provided, plus the
+ * GasPriceOracle predeploy for the L1 data fee, so cost_estimates split each
+ * tx type into L2 execution and L1 data cost. Otherwise, or if the RPC call
+ * fails, returns a simple heuristic profile flagged with `source: "heuristic"`.
+ */
+app.get("/resources/base-gas-profile", cachedResource("base-gas-profile", async (req, res) => {
+  try {
+    const ethUsd = Number(String(req.query.eth_usd || "3500").replace(/,/g, ""));
+    const eth_usd = Number.isFinite(ethUsd) && ethUsd > 0 ? ethUsd : 3500;
+
+    const blocksQ = Math.trunc(Number(req.query.blocks || GAS_FEE_HISTORY_BLOCKS));
+    const blocks = Number.isFinite(blocksQ) ? Math.max(1, Math.min(1024, blocksQ)) : 20;
+
+    if (!CUSTOM_RPC_URL) {
+      return res.json({ ok: true, data: heuristicGasProfile(eth_usd, "CUSTOM_RPC_URL not set") });
+    }
+
+    let data;
+    try {
+      data = await gasProfileFromFeeHistory(blocks, eth_usd);
+    } catch (e) {
+      data = heuristicGasProfile(eth_usd, String(e?.message || e));
+    }
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: true,
+      message: "Failed to compute base gas profile.",
+      details: String(e?.message || e)
+    });
+  }
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                               Token registry                               */
+/* -------------------------------------------------------------------------- */
+
+// Local token list in Uniswap tokenlist format; entries there are canonical
+const TOKEN_LIST_PATH = process.env.TOKEN_LIST_PATH || path.join(__dirname, "base.tokenlist.json");
+const BASE_CHAIN_IDS = [8453, 84532];
+
+// Failed on-chain lookups are retried after this long; successful ones never expire
+const TOKEN_LOOKUP_RETRY_MS = 5 * 60 * 1000;
+
+const erc20Iface = new ethers.Interface([
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "function balanceOf(address) view returns (uint256)"
+]);
+
+// Some older tokens (MKR-style) return bytes32 instead of string
+const erc20Bytes32Iface = new ethers.Interface([
+  "function symbol() view returns (bytes32)",
+  "function name() view returns (bytes32)"
+]);
+
+const tokensByAddress = new Map(); // lowercase address -> token
+const tokensBySymbol = new Map(); // uppercase symbol -> Map(lowercase address -> token)
+const failedLookups = new Map(); // lowercase address -> { error, at }
+
+function registerToken(token) {
+  const addr = token.address.toLowerCase();
+  tokensByAddress.set(addr, token);
+  const sym = String(token.symbol || "").toUpperCase();
+  if (!sym) return;
+  if (!tokensBySymbol.has(sym)) tokensBySymbol.set(sym, new Map());
+  tokensBySymbol.get(sym).set(addr, token);
+}
+
+function loadTokenList(file) {
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  let count = 0;
+  for (const t of list.tokens || []) {
+    if (!BASE_CHAIN_IDS.includes(Number(t.chainId)) || !ethers.isAddress(t.address)) continue;
+    registerToken({
+      address: ethers.getAddress(t.address),
+      symbol: t.symbol,
+      name: t.name,
+      decimals: Number(t.decimals),
+      chain_id: Number(t.chainId),
+      source: "tokenlist"
+    });
+    count++;
+  }
+  return count;
+}
+
+try {
+  const n = loadTokenList(TOKEN_LIST_PATH);
+  log.info("token_list_loaded", `token registry loaded ${n} tokens from ${TOKEN_LIST_PATH}`, { tokens: n, path: TOKEN_LIST_PATH });
+} catch (e) {
+  log.error("token_list_failed", `token list ${TOKEN_LIST_PATH} could not be loaded`, {
+    path: TOKEN_LIST_PATH,
+    error: String(e?.message || e)
+  });
+}
+
+async function erc20String(address, fn) {
+  try {
+    return String((await ethCall(address, erc20Iface, fn))[0]);
+  } catch {
+    const raw = (await ethCall(address, erc20Bytes32Iface, fn))[0];
+    return ethers.decodeBytes32String(raw);
+  }
+}
+
+function notErc20(message) {
+  const err = new Error(message);
+  err.notErc20 = true;
+  return err;
+}
+
+// Answers showing the address is not an ERC-20 (no code, a reverting or
+// undecodable call), as opposed to the RPC failing to answer at all
+function provesNotErc20(e) {
+  if (e?.notErc20) return true;
+  if (e?.rpcError) return /revert/i.test(JSON.stringify(e.rpcError));
+  return ethers.isError(e, "BAD_DATA") || ethers.isError(e, "CALL_EXCEPTION");
+}
+
+async function fetchErc20Metadata(address) {
+  const code = await rpc("eth_getCode", [address, "latest"]);
+  if (!code || code === "0x") throw notErc20("no contract code at address");
+
+  const [decimals, symbol, name] = await Promise.all([
+    ethCall(address, erc20Iface, "decimals").then((r) => Number(r[0])),
+    erc20String(address, "symbol"),
+    erc20String(address, "name").catch(() => null)
+  ]);
+
+  return { address, symbol, name, decimals, chain_id: 8453, source: "rpc/erc20" };
+}
+
+function symbolCandidates(sym) {
+  return [...(tokensBySymbol.get(sym)?.values() || [])];
+}
+
+/**
+ * Resolve a token symbol or address against the registry.
+ *
+ * Returns { ok: true, token, ambiguous, candidates } or
+ * { ok: false, status, message, candidates }.
+ * - Addresses not in the list are looked up on-chain (ERC-20 decimals/symbol/name)
+ *   and cached. Without CUSTOM_RPC_URL they are passed through unverified.
+ *   A lookup the RPC could not answer is status 503 and not cached: it says
+ *   nothing about the token.
+ * - A symbol that maps to several addresses is flagged ambiguous; it still
+ *   resolves when exactly one of them comes from the token list.
+ */
+async function resolveToken(x) {
+  if (!x) return { ok: false, status: 400, message: "token is required" };
+  const s = String(x).trim();
+
+  if (s.startsWith("0x")) {
+    if (!ethers.isAddress(s)) return { ok: false, status: 400, message: `invalid address: ${s}` };
+    const address = ethers.getAddress(s);
+    const key = address.toLowerCase();
+
+    const known = tokensByAddress.get(key);
+    if (known) return { ok: true, token: known, ambiguous: false, candidates: [] };
+
+    if (!CUSTOM_RPC_URL) {
+      return {
+        ok: true,
+        token: { address, symbol: null, name: null, decimals: null, chain_id: 8453, source: "unverified" },
+        ambiguous: false,
+        candidates: []
+      };
+    }
+
+    const failed = failedLookups.get(key);
+    if (failed && Date.now() - failed.at < TOKEN_LOOKUP_RETRY_MS) {
+      return { ok: false, status: 404, message: `not an ERC-20 token on Base: ${failed.error}` };
+    }
+
+    try {
+      const token = await fetchErc20Metadata(address);
+      registerToken(token);
+      failedLookups.delete(key);
+      const others = symbolCandidates(String(token.symbol).toUpperCase()).filter((t) => t.address !== address);
+      return { ok: true, token, ambiguous: others.length > 0, candidates: others };
+    } catch (e) {
+      const error = String(e?.message || e);
+      if (!provesNotErc20(e)) return { ok: false, status: 503, message: `token lookup unavailable: ${error}` };
+      failedLookups.set(key, { error, at: Date.now() });
+      return { ok: false, status: 404, message: `not an ERC-20 token on Base: ${error}` };
+    }
+  }
+
+  const candidates = symbolCandidates(s.toUpperCase());
+  if (!candidates.length) {
+    return { ok: false, status: 404, message: `unknown token symbol: ${s}. Provide the token address instead.` };
+  }
+  if (candidates.length === 1) {
+    return { ok: true, token: candidates[0], ambiguous: false, candidates: [] };
+  }
+
+  const listed = candidates.filter((t) => t.source === "tokenlist");
+  if (listed.length === 1) {
+    return { ok: true, token: listed[0], ambiguous: true, candidates };
+  }
+  return {
+    ok: false,
+    status: 409,
+    message: `ambiguous token symbol: ${s} maps to ${candidates.length} addresses. Provide the token address instead.`,
+    candidates
+  };
+}
+
+/**
+ * GET /resources/base-token-info?token=USDC
+ * GET /resources/base-token-info?token=0x...
+ *
+ * Resolves a symbol or address through the token registry.
+ * 400 = malformed input, 404 = unknown / not an ERC-20, 409 = ambiguous symbol,
+ * 503 = the on-chain lookup could not be made.
+ */
+app.get("/resources/base-token-info", cachedResource("base-token-info", async (req, res) => {
+  try {
+    const r = await resolveToken(req.query.token);
+    if (!r.ok) {
+      return res.status(r.status).json({
+        ok: false,
+        error: true,
+        message: r.message,
+        candidates: r.candidates || []
+      });
+    }
+    return res.json({
+      ok: true,
+      data: {
+        chain: "base",
+        token: r.token,
+        ambiguous: r.ambiguous,
+        candidates: r.candidates,
+        last_updated_utc: new Date().toISOString()
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: true,
+      message: "Failed to resolve token.",
+      details: String(e?.message || e)
+    });
+  }
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                       Graph helpers + base-venue-depth                      */
+/* -------------------------------------------------------------------------- */
+
+// --- add near top of resources-server.js ---
+const GRAPH_API_KEY = process.env.GRAPH_API_KEY;
+const AERODROME_SUBGRAPH_ID = process.env.AERODROME_SUBGRAPH_ID;
+const UNISWAPV3_SUBGRAPH_ID = process.env.UNISWAPV3_SUBGRAPH_ID;
+
+// Override to point at a self-hosted gateway or the simulator's mock subgraph
+const GRAPH_GATEWAY_URL = process.env.GRAPH_GATEWAY_URL || "https://gateway.thegraph.com/api";
+
+function urlList(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Per venue: the gateway subgraph first, then full GraphQL URLs of mirrors
+// (a self-hosted graph-node, another indexer) tried when it fails
+const SUBGRAPHS = {
+  aerodrome: { id: AERODROME_SUBGRAPH_ID, fallbacks: urlList(process.env.AERODROME_SUBGRAPH_FALLBACK_URLS) },
+  uniswap_v3: { id: UNISWAPV3_SUBGRAPH_ID, fallbacks: urlList(process.env.UNISWAPV3_SUBGRAPH_FALLBACK_URLS) }
+};
+
+function graphEndpoints(venue) {
+  const { id, fallbacks } = SUBGRAPHS[venue];
+  const urls = GRAPH_API_KEY && id ? [`${GRAPH_GATEWAY_URL}/${GRAPH_API_KEY}/subgraphs/id/${id}`] : [];
+  urls.push(...fallbacks);
+  if (!urls.length) throw new Error(GRAPH_API_KEY ? "Subgraph ID missing" : "GRAPH_API_KEY missing");
+  return urls;
+}
+
+// GraphQL errors (indexing errors, a mirror missing a field) move on to the
+// next endpoint like transport failures do, but don't count against its breaker
+async function gql(venue, query, variables = {}) {
+  return upstream.withFailover(graphEndpoints(venue), async (url) => {
+    const r = await upstream.fetchJson(url, {
+      source: `thegraph/${venue}`,
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ query, variables })
+    });
+    const j = r.json;
+    if (!r.ok || !j || j.errors) {
+      throw new upstream.UpstreamError(`GraphQL error: ${JSON.stringify(j?.errors || j)}`, { status: r.status });
+    }
+    return j.data;
+  });
+}
+
+// Helpers
+function bps(x) {
+  return Math.round(x * 10000);
+}
+
+function estSlipV2(notionalUsd, reserveUsd) {
+  if (!reserveUsd || reserveUsd <= 0) return 9999;
+  const ratio = notionalUsd / reserveUsd;
+  return Math.max(1, Math.min(2000, bps(ratio * 1.2)));
+}
+
+function estSlipV3(notionalUsd, tvlUsd, feeTier) {
+  if (!tvlUsd || tvlUsd <= 0) return 9999;
+  const ratio = notionalUsd / tvlUsd;
+  const baseFeeBps = (Number(feeTier) || 3000) / 1e6 * 10000;
+  const impactBps = bps(ratio * 1.0);
+  return Math.max(1, Math.min(2000, Math.round(baseFeeBps + impactBps)));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           Uniswap V3 swap math                             */
+/* -------------------------------------------------------------------------- */
+// BigInt port of TickMath / SqrtPriceMath / SwapMath from v3-core, so the
+// simulated output matches what the pool would actually pay out.
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const TICK_RATIO_MULTIPLIERS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n]
+];
+
+function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) throw new Error(`tick out of range: ${tick}`);
+  const absTick = Math.abs(tick);
+  let ratio = absTick & 0x1 ? 0xfffcb933bd6fad37aa2d162d1a594001n : 0x100000000000000000000000000000000n;
+  for (const [bit, mul] of TICK_RATIO_MULTIPLIERS) {
+    if (absTick & bit) ratio = (ratio * mul) >> 128n;
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Only used for reporting where the price ended up, so float precision is enough
+function approxTickAtSqrtRatio(sqrtPriceX96) {
+  const p = (Number(sqrtPriceX96) / Number(Q96)) ** 2;
+  return Math.floor(Math.log(p) / Math.log(1.0001));
+}
+
+function mulDiv(a, b, d) {
+  return (a * b) / d;
+}
+
+function mulDivRoundingUp(a, b, d) {
+  const p = a * b;
+  return p / d + (p % d === 0n ? 0n : 1n);
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtB - sqrtA;
+  if (roundUp) {
+    const x = mulDivRoundingUp(numerator1, numerator2, sqrtB);
+    return x / sqrtA + (x % sqrtA === 0n ? 0n : 1n);
+  }
+  return mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  return roundUp ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96) : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+function getNextSqrtPriceFromInput(sqrtP, liquidity, amountIn, zeroForOne) {
+  if (zeroForOne) {
+    const numerator1 = liquidity << 96n;
+    return mulDivRoundingUp(numerator1, sqrtP, numerator1 + amountIn * sqrtP);
+  }
+  return sqrtP + (amountIn << 96n) / liquidity;
+}
+
+// SwapMath.computeSwapStep, exact-input branch only
+function computeSwapStep(sqrtCurrent, sqrtTarget, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtCurrent >= sqrtTarget;
+  const fee = BigInt(feePips);
+  const amountRemainingLessFee = mulDiv(amountRemaining, 1000000n - fee, 1000000n);
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+    : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+
+  let sqrtNext;
+  if (amountRemainingLessFee >= amountIn) sqrtNext = sqrtTarget;
+  else sqrtNext = getNextSqrtPriceFromInput(sqrtCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+
+  const max = sqrtNext === sqrtTarget;
+  if (!max) {
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true)
+      : getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+  }
+  const amountOut = zeroForOne
+    ? getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false)
+    : getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+
+  const feeAmount = !max ? amountRemaining - amountIn : mulDivRoundingUp(amountIn, fee, 1000000n - fee);
+  return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Exact-input swap across initialized ticks, as UniswapV3Pool.swap would run it.
+ * `ticks` = [{ tickIdx, liquidityNet }] (BigInt liquidityNet), any order.
+ * Returns raw amounts plus how many initialized ticks were crossed.
+ */
+function simulateV3ExactIn({ sqrtPriceX96, tick, liquidity, feePips, ticks }, amountIn, zeroForOne) {
+  const sorted = [...ticks].sort((a, b) => a.tickIdx - b.tickIdx);
+  const desc = [...sorted].reverse();
+  const limit = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+  let sqrtP = sqrtPriceX96;
+  let curTick = tick;
+  let L = liquidity;
+  let remaining = amountIn;
+  let amountOut = 0n;
+  let feesPaid = 0n;
+  let ticksCrossed = 0;
+
+  while (remaining > 0n && sqrtP !== limit) {
+    const next = zeroForOne
+      ? desc.find((t) => t.tickIdx <= curTick)
+      : sorted.find((t) => t.tickIdx > curTick);
+
+    const nextTick = next ? Math.max(MIN_TICK, Math.min(MAX_TICK, next.tickIdx)) : null;
+    const sqrtNextTick = nextTick == null ? limit : getSqrtRatioAtTick(nextTick);
+    const sqrtTarget = zeroForOne
+      ? (sqrtNextTick < limit ? limit : sqrtNextTick)
+      : (sqrtNextTick > limit ? limit : sqrtNextTick);
+
+    const step = computeSwapStep(sqrtP, sqrtTarget, L, remaining, feePips);
+    remaining -= step.amountIn + step.feeAmount;
+    amountOut += step.amountOut;
+    feesPaid += step.feeAmount;
+    sqrtP = step.sqrtNext;
+
+    if (next && sqrtP === sqrtNextTick) {
+      const net = zeroForOne ? -next.liquidityNet : next.liquidityNet;
+      L += net;
+      if (L < 0n) L = 0n;
+      ticksCrossed++;
+      curTick = zeroForOne ? nextTick - 1 : nextTick;
+    } else {
+      curTick = approxTickAtSqrtRatio(sqrtP);
+    }
+  }
+
+  return {
+    amountIn: amountIn - remaining,
+    amountOut,
+    feesPaid,
+    unfilled: remaining,
+    ticksCrossed,
+    sqrtPriceAfterX96: sqrtP,
+    tickAfter: curTick
+  };
+}
+
+// Ticks fetched on each side of the current tick; enough for any size we'd quote
+const V3_TICKS_PER_SIDE = 500;
+
+// Convert a human amount to raw token units without going through 1e18 floats
+function toRawUnits(amount, decimals) {
+  const d = Number(decimals);
+  return ethers.parseUnits(amount.toFixed(Math.min(d, 12)), d);
+}
+
+// A side that came back as a full page may go on past the last tick loaded.
+// As with the RPC sentinels (uniswapV3TicksFromRpc), crossing that tick drops
+// liquidity to zero, so a trade reaching it is reported partly unfilled
+// instead of quoted against liquidity that was never read.
+async function uniswapV3TicksFromSubgraph(poolId, tick) {
+  const query = `
+    query Ticks($pool: String!, $tick: BigInt!, $n: Int!) {
+      below: ticks(where:{ pool: $pool, tickIdx_lte: $tick, liquidityNet_not: "0" }, first: $n, orderBy: tickIdx, orderDirection: desc) {
+        tickIdx liquidityNet
+      }
+      above: ticks(where:{ pool: $pool, tickIdx_gt: $tick, liquidityNet_not: "0" }, first: $n, orderBy: tickIdx, orderDirection: asc) {
+        tickIdx liquidityNet
+      }
+    }
+  `;
+
+  const data = await gql("uniswap_v3", query, { pool: poolId, tick: String(tick), n: V3_TICKS_PER_SIDE });
+  const side = (rows) => rows.map((t) => ({ tickIdx: Number(t.tickIdx), liquidityNet: BigInt(t.liquidityNet) }));
+  const below = side(data.below || []);
+  const above = side(data.above || []);
+
+  // Rows come nearest first, so the last one is the edge of what was loaded
+  const belowTruncated = below.length === V3_TICKS_PER_SIDE;
+  const aboveTruncated = above.length === V3_TICKS_PER_SIDE;
+  if (belowTruncated) below[below.length - 1].liquidityNet = MAX_UINT256;
+  if (aboveTruncated) above[above.length - 1].liquidityNet = -MAX_UINT256;
+  return { ticks: [...below, ...above], truncated: belowTruncated || aboveTruncated };
+}
+
+// Pools read over RPC get their ticks over RPC too
+async function uniswapV3Ticks(pool) {
+  if (pool.source === "rpc") return uniswapV3TicksFromRpc(pool);
+  return withRpcFallback(
+    "uniswap_v3",
+    () => uniswapV3TicksFromSubgraph(pool.id, Number(pool.tick)),
+    () => uniswapV3TicksFromRpc(pool)
+  );
+}
+
+// Spot price of tokenOut per tokenIn in human units
+function v3SpotPrice(pool, zeroForOne) {
+  const raw = (Number(BigInt(pool.sqrtPrice)) / Number(Q96)) ** 2;
+  const human = raw * 10 ** (Number(pool.token0.decimals) - Number(pool.token1.decimals));
+  return zeroForOne ? human : 1 / human;
+}
+
+/**
+ * Quote `amountIn` raw units of tokenIn through a V3 pool by walking its
+ * initialized ticks.
+ */
+async function quoteUniswapV3(pool, tokenIn, amountIn) {
+  const zeroForOne = pool.token0.id.toLowerCase() === tokenIn.toLowerCase();
+  if (pool.sqrtPrice == null || pool.tick == null) throw new Error("pool has no price yet");
+
+  if (!poolStateCache.has(pool)) poolStateCache.set(pool, uniswapV3Ticks(pool));
+  const { ticks, truncated } = await poolStateCache.get(pool);
+  const r = simulateV3ExactIn(
+    {
+      sqrtPriceX96: BigInt(pool.sqrtPrice),
+      tick: Number(pool.tick),
+      liquidity: BigInt(pool.liquidity),
+      feePips: Number(pool.feeTier),
+      ticks
+    },
+    amountIn,
+    zeroForOne
+  );
+
+  return {
+    model: "uniswap_v3_tick_walk",
+    tokenIn: zeroForOne ? pool.token0 : pool.token1,
+    tokenOut: zeroForOne ? pool.token1 : pool.token0,
+    amountIn: r.amountIn,
+    amountOut: r.amountOut,
+    feesPaid: r.feesPaid,
+    unfilled: r.unfilled,
+    feeBps: Number(pool.feeTier) / 100,
+    spot: v3SpotPrice(pool, zeroForOne),
+    extra: {
+      ticks_crossed: r.ticksCrossed,
+      tick_before: Number(pool.tick),
+      tick_after: r.tickAfter,
+      initialized_ticks_loaded: ticks.length,
+      ticks_truncated: truncated
+    }
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Aerodrome swap math                             */
+/* -------------------------------------------------------------------------- */
+// BigInt port of Aerodrome Pool.getAmountOut: volatile pools are x*y=k,
+// stable pools are x³y+y³x=k solved for y with Newton's method.
+
+const E18 = 10n ** 18n;
+
+// Factory defaults, used when the per-pool fee can't be read on-chain (bps)
+const AERODROME_DEFAULT_FEE_BPS = { stable: 5, volatile: 30 };
+
+const aerodromePoolIface = new ethers.Interface([
+  "function factory() view returns (address)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint256 _reserve0, uint256 _reserve1, uint256 _blockTimestampLast)"
+]);
+const aerodromeFactoryIface = new ethers.Interface([
+  "function getFee(address pool, bool _stable) view returns (uint256)",
+  "function getPool(address tokenA, address tokenB, bool stable) view returns (address)"
+]);
+
+function aeroK(x, y, p) {
+  if (!p.stable) return x * y;
+  const _x = (x * E18) / p.unit0;
+  const _y = (y * E18) / p.unit1;
+  const _a = (_x * _y) / E18;
+  const _b = (_x * _x) / E18 + (_y * _y) / E18;
+  return (_a * _b) / E18;
+}
+
+function aeroF(x0, y) {
+  const a = (x0 * ((((y * y) / E18) * y) / E18)) / E18;
+  const b = (((((x0 * x0) / E18) * x0) / E18) * y) / E18;
+  return a + b;
+}
+
+function aeroD(x0, y) {
+  return (3n * x0 * ((y * y) / E18)) / E18 + (((x0 * x0) / E18) * x0) / E18;
+}
+
+function aeroGetY(x0, xy, y) {
+  for (let i = 0; i < 255; i++) {
+    const k = aeroF(x0, y);
+    if (k < xy) {
+      let dy = ((xy - k) * E18) / aeroD(x0, y);
+      if (dy === 0n) {
+        if (k === xy) return y;
+        if (aeroF(x0, y + 1n) > xy) return y + 1n;
+        dy = 1n;
+      }
+      y = y + dy;
+    } else {
+      let dy = ((k - xy) * E18) / aeroD(x0, y);
+      if (dy === 0n) {
+        if (k === xy || aeroF(x0, y - 1n) < xy) return y;
+        dy = 1n;
+      }
+      y = y - dy;
+    }
+  }
+  throw new Error("!y");
+}
+
+/**
+ * Exact Aerodrome output for `amountIn` raw units of token0 (zeroForOne) or
+ * token1. `p` = { reserve0, reserve1, unit0, unit1, stable, feeBps } in raw
+ * units, where unitN = 10^decimalsN.
+ */
+function aerodromeGetAmountOut(p, amountIn, zeroForOne) {
+  const amountInLessFee = amountIn - (amountIn * BigInt(p.feeBps)) / 10000n;
+  const [reserveIn, reserveOut] = zeroForOne ? [p.reserve0, p.reserve1] : [p.reserve1, p.reserve0];
+
+  if (!p.stable) return (amountInLessFee * reserveOut) / (reserveIn + amountInLessFee);
+
+  const xy = aeroK(p.reserve0, p.reserve1, p);
+  const [unitIn, unitOut] = zeroForOne ? [p.unit0, p.unit1] : [p.unit1, p.unit0];
+  const rIn = (reserveIn * E18) / unitIn;
+  const rOut = (reserveOut * E18) / unitOut;
+  const x = (amountInLessFee * E18) / unitIn;
+  const y = rOut - aeroGetY(x + rIn, xy, rOut);
+  return (y * unitOut) / E18;
+}
+
+// Marginal price (tokenOut per tokenIn, human units) before the trade
+function aerodromeSpotPrice(rIn, rOut, stable) {
+  if (!stable) return rOut / rIn;
+  return (3 * rIn * rIn * rOut + rOut ** 3) / (rIn ** 3 + 3 * rOut * rOut * rIn);
+}
+
+async function aerodromeFeeBps(poolId, stable) {
+  const fallback = { fee_bps: AERODROME_DEFAULT_FEE_BPS[stable ? "stable" : "volatile"], fee_source: "factory_default" };
+  if (!CUSTOM_RPC_URL) return fallback;
+  try {
+    const [factory] = await ethCall(poolId, aerodromePoolIface, "factory");
+    const [fee] = await ethCall(factory, aerodromeFactoryIface, "getFee", [poolId, stable]);
+    return { fee_bps: Number(fee), fee_source: "rpc/PoolFactory.getFee" };
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Quote `amountIn` raw units of tokenIn through an Aerodrome pool using the
+ * pool's own curve and fee.
+ */
+async function quoteAerodrome(pool, tokenIn, amountIn) {
+  const zeroForOne = pool.token0.id.toLowerCase() === tokenIn.toLowerCase();
+  const stable = Boolean(pool.stable);
+
+  const r0 = Number(pool.reserve0);
+  const r1 = Number(pool.reserve1);
+  if (!(r0 > 0 && r1 > 0)) throw new Error("pool has no reserves");
+
+  if (!poolStateCache.has(pool)) poolStateCache.set(pool, aerodromeFeeBps(pool.id, stable));
+  const { fee_bps, fee_source } = await poolStateCache.get(pool);
+  const dec0 = Number(pool.token0.decimals);
+  const dec1 = Number(pool.token1.decimals);
+
+  const params = {
+    reserve0: toRawUnits(r0, dec0),
+    reserve1: toRawUnits(r1, dec1),
+    unit0: 10n ** BigInt(dec0),
+    unit1: 10n ** BigInt(dec1),
+    stable,
+    feeBps: fee_bps
+  };
+  const amountOut = aerodromeGetAmountOut(params, amountIn, zeroForOne);
+
+  return {
+    model: stable ? "aerodrome_stable_curve" : "aerodrome_volatile_cpmm",
+    tokenIn: zeroForOne ? pool.token0 : pool.token1,
+    tokenOut: zeroForOne ? pool.token1 : pool.token0,
+    amountIn,
+    amountOut,
+    feesPaid: (amountIn * BigInt(fee_bps)) / 10000n,
+    unfilled: amountOut > 0n ? 0n : amountIn,
+    feeBps: fee_bps,
+    spot: zeroForOne ? aerodromeSpotPrice(r0, r1, stable) : aerodromeSpotPrice(r1, r0, stable),
+    extra: { fee_source }
+  };
+}
+
+// All Aerodrome pools for a pair (stable and volatile), deepest first
+async function aerodromePools(tokenA, tokenB) {
+  return withRpcFallback(
+    "aerodrome",
+    () => aerodromePoolsFromSubgraph(tokenA, tokenB),
+    () => aerodromePoolsFromRpc(tokenA, tokenB)
+  );
+}
+
+async function aerodromePoolsFromSubgraph(tokenA, tokenB) {
+  const query = `
+    query Pools($a: Bytes!, $b: Bytes!) {
+      pairs0: pairs(where:{ token0: $a, token1: $b }, first: 5, orderBy: reserveUSD, orderDirection: desc) {
+        id reserve0 reserve1 reserveUSD stable
+        token0 { id symbol decimals }
+        token1 { id symbol decimals }
+      }
+      pairs1: pairs(where:{ token0: $b, token1: $a }, first: 5, orderBy: reserveUSD, orderDirection: desc) {
+        id reserve0 reserve1 reserveUSD stable
+        token0 { id symbol decimals }
+        token1 { id symbol decimals }
+      }
+      _meta { block { number timestamp } }
+    }
+  `;
+
+  const data = await gql("aerodrome", query, { a: tokenA.toLowerCase(), b: tokenB.toLowerCase() });
+  const indexing = await freshIndexing("aerodrome", data._meta);
+  const pools = [...(data.pairs0 || []), ...(data.pairs1 || [])];
+  pools.sort((x, y) => Number(y.reserveUSD || 0) - Number(x.reserveUSD || 0));
+  return pools.map((p) => ({ ...p, indexing }));
+}
+
+async function aerodromeBestPool(tokenA, tokenB) {
+  const pools = await aerodromePools(tokenA, tokenB);
+  return pools[0] || null;
+}
+
+// All Uniswap V3 pools for a pair (every fee tier), deepest first, each
+// carrying the subgraph's ETH/USD price
+async function uniswapV3Pools(tokenA, tokenB) {
+  return withRpcFallback(
+    "uniswap_v3",
+    () => uniswapV3PoolsFromSubgraph(tokenA, tokenB),
+    () => uniswapV3PoolsFromRpc(tokenA, tokenB)
+  );
+}
+
+async function uniswapV3PoolsFromSubgraph(tokenA, tokenB) {
+  const query = `
+    query Pools($a: Bytes!, $b: Bytes!) {
+      pools0: pools(where:{ token0: $a, token1: $b }, first: 5, orderBy: totalValueLockedUSD, orderDirection: desc) {
+        id feeTier totalValueLockedUSD totalValueLockedToken0 totalValueLockedToken1
+        sqrtPrice tick liquidity
+        token0 { id symbol decimals derivedETH }
+        token1 { id symbol decimals derivedETH }
+      }
+      pools1: pools(where:{ token0: $b, token1: $a }, first: 5, orderBy: totalValueLockedUSD, orderDirection: desc) {
+        id feeTier totalValueLockedUSD totalValueLockedToken0 totalValueLockedToken1
+        sqrtPrice tick liquidity
+        token0 { id symbol decimals derivedETH }
+        token1 { id symbol decimals derivedETH }
+      }
+      bundle(id: "1") { ethPriceUSD }
+      _meta { block { number timestamp } }
+    }
+  `;
+
+  const data = await gql("uniswap_v3", query, { a: tokenA.toLowerCase(), b: tokenB.toLowerCase() });
+  const indexing = await freshIndexing("uniswap_v3", data._meta);
+  const pools = [...(data.pools0 || []), ...(data.pools1 || [])];
+  pools.sort((x, y) => Number(y.totalValueLockedUSD || 0) - Number(x.totalValueLockedUSD || 0));
+  const ethPriceUSD = Number(data.bundle?.ethPriceUSD || 0);
+  return pools.map((p) => ({ ...p, ethPriceUSD, indexing }));
+}
+
+/* --------------------------- Subgraph indexing lag --------------------------- */
+// Pool queries also ask for the subgraph's _meta block, which is compared with
+// the RPC head (or the wall clock without an RPC) so responses can say how old
+// their reserves are. Past SUBGRAPH_MAX_LAG_SECONDS the subgraph counts as
+// down and, with an RPC configured, pool state is read on-chain instead.
+
+const SUBGRAPH_MAX_LAG_SECONDS = Number(process.env.SUBGRAPH_MAX_LAG_SECONDS || 300);
+const BASE_BLOCK_SECONDS = 2;
+
+let chainHeadCache = null; // { at, promise }
+
+async function chainHead() {
+  if (!chainHeadCache || Date.now() - chainHeadCache.at > BASE_BLOCK_SECONDS * 1000) {
+    const promise = rpc("eth_getBlockByNumber", ["latest", false]).then((b) => ({
+      number: Number(BigInt(b.number)),
+      timestamp: Number(BigInt(b.timestamp))
+    }));
+    chainHeadCache = { at: Date.now(), promise };
+    promise.catch(() => (chainHeadCache = null));
+  }
+  return chainHeadCache.promise;
+}
+
+/**
+ * How far a subgraph's indexed block is behind the chain. Lag in seconds
+ * comes from block timestamps when both are known, otherwise from the block
+ * gap at Base's 2s block time; without an RPC head only the seconds against
+ * the wall clock are known.
+ */
+async function indexingLag(meta) {
+  const block = meta?.block;
+  if (!block || block.number == null) {
+    return { indexed_block: null, head_block: null, lag_blocks: null, lag_seconds: null, measured_against: null };
+  }
+  const indexedNumber = Number(block.number);
+  const indexedTs = block.timestamp != null ? Number(block.timestamp) : null;
+  const head = RPC_URLS.length ? await chainHead().catch(() => null) : null;
+
+  let lagBlocks = null;
+  let lagSeconds = null;
+  if (head) {
+    lagBlocks = Math.max(0, head.number - indexedNumber);
+    lagSeconds = indexedTs != null ? Math.max(0, head.timestamp - indexedTs) : lagBlocks * BASE_BLOCK_SECONDS;
+  } else if (indexedTs != null) {
+    lagSeconds = Math.max(0, Math.floor(Date.now() / 1000) - indexedTs);
+  }
+
+  return {
+    indexed_block: indexedNumber,
+    head_block: head ? head.number : null,
+    lag_blocks: lagBlocks,
+    lag_seconds: lagSeconds,
+    measured_against: head ? "rpc_head" : "wall_clock"
+  };
+}
+
+// Lag of a pool query's _meta; throws when the RPC fallback should take over
+async function freshIndexing(venue, meta) {
+  const lag = await indexingLag(meta);
+  if (RPC_URLS.length && lag.lag_seconds != null && lag.lag_seconds > SUBGRAPH_MAX_LAG_SECONDS) {
+    throw new Error(`${venue} subgraph is ${lag.lag_seconds}s (${lag.lag_blocks ?? "?"} blocks) behind the chain head`);
+  }
+  return lag;
+}
+
+// Pool state read over RPC is at the head by construction
+const RPC_INDEXING = { indexed_block: null, head_block: null, lag_blocks: 0, lag_seconds: 0, measured_against: "rpc_read" };
+
+/**
+ * Worst indexing lag across the pools a response used (`pools` = [{ venue, pool }]),
+ * plus each venue's own.
+ */
+function dataFreshness(pools) {
+  const venues = {};
+  for (const { venue, pool } of pools) {
+    const lag = pool?.indexing;
+    if (!lag) continue;
+    if (!venues[venue] || (lag.lag_seconds ?? -1) > (venues[venue].lag_seconds ?? -1)) venues[venue] = lag;
+  }
+  const lags = Object.values(venues);
+  const worst = (k) => {
+    const xs = lags.map((l) => l[k]).filter((x) => x != null);
+    return xs.length ? Math.max(...xs) : null;
+  };
+  return { max_lag_seconds: worst("lag_seconds"), max_lag_blocks: worst("lag_blocks"), venues };
+}
+
+async function uniswapV3BestPool(tokenA, tokenB) {
+  const pools = await uniswapV3Pools(tokenA, tokenB);
+  return pools[0] || null;
+}
+
+/* ------------------------- Pool state over RPC --------------------------- */
+// When every subgraph endpoint for a venue fails, a pair's pools are found
+// through the venue's factory and read over RPC instead, shaped like the
+// subgraph rows (plus source: "rpc" and the reason) so quoting and pricing
+// don't need to know. USD values come from the V3 WETH/USDC pool and the
+// stablecoins in RPC_USD_STABLES; a pool with neither side priced has no USD
+// depth. Event history (market activity) has no RPC fallback.
+
+const AERODROME_POOL_FACTORY = process.env.AERODROME_POOL_FACTORY || "0x420DD381b31aEf6683db6B902084cB0FFECe40Da";
+const UNISWAPV3_FACTORY = process.env.UNISWAPV3_FACTORY || "0x33128a8fC17869897dcE68Ed026d694621f6FDfD";
+const UNISWAPV3_FEE_TIERS = [100, 500, 3000, 10000];
+const WETH_ADDRESS = "0x4200000000000000000000000000000000000006";
+const USDC_ADDRESS = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+
+const RPC_USD_STABLES = new Set(
+  String(process.env.RPC_USD_STABLES || "USDC,USDbC,DAI,USDT")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean)
+);
+
+// Tick bitmap words read on each side of the current one (a word spans 256 tick spacings)
+const V3_RPC_TICK_WORDS = 2;
+
+// ETH/USD from the WETH/USDC pool is reused for this long
+const RPC_ETH_USD_TTL_MS = 60 * 1000;
+
+const uniswapV3FactoryIface = new ethers.Interface([
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)"
+]);
+
+let rpcEthUsdCache = null; // { at, promise }
+
+async function withRpcFallback(venue, fromSubgraph, fromRpc) {
+  try {
+    return await fromSubgraph();
+  } catch (e) {
+    if (!RPC_URLS.length) throw e;
+    const reason = String(e?.message || e);
+    log.warn("rpc_fallback", `${venue} subgraph unavailable, reading pool state over RPC`, { venue, reason });
+    let out;
+    try {
+      out = await fromRpc();
+    } catch (rpcErr) {
+      throw new Error(`${reason}; RPC fallback failed: ${String(rpcErr?.message || rpcErr)}`);
+    }
+    return Array.isArray(out) ? out.map((p) => ({ ...p, fallback_reason: reason })) : out;
+  }
+}
+
+// Evidence for the pools a response used: the subgraph, the RPC reads that
+// stood in for it, or both when some pairs fell back and others didn't
+function venueEvidence(venue, pools) {
+  const used = pools.filter(Boolean);
+  const viaRpc = used.filter((p) => p.source === "rpc");
+  const viaGraph = used.filter((p) => p.source !== "rpc");
+  const evidence = [];
+  if (viaGraph.length || !used.length) {
+    const lags = viaGraph.map((p) => p.indexing?.lag_seconds).filter((x) => x != null);
+    evidence.push({
+      source: `thegraph/${venue}`,
+      subgraph_id: SUBGRAPHS[venue].id,
+      indexing_lag_seconds: lags.length ? Math.max(...lags) : null
+    });
+  }
+  if (viaRpc.length) {
+    evidence.push({
+      source: `rpc/${venue}`,
+      pool_ids: viaRpc.map((p) => p.id),
+      fallback_reason: viaRpc[0].fallback_reason,
+      indexing_lag_seconds: 0
+    });
+  }
+  return evidence;
+}
+
+async function rpcPoolToken(address) {
+  const r = await resolveToken(address);
+  if (!r.ok || r.token.decimals == null) throw new Error(`token ${address}: ${r.message || "no decimals"}`);
+  return { id: r.token.address.toLowerCase(), symbol: r.token.symbol, decimals: String(r.token.decimals) };
+}
+
+function knownUsdPrice(token, ethUsd) {
+  if (token.id === WETH_ADDRESS.toLowerCase()) return ethUsd;
+  if (RPC_USD_STABLES.has(String(token.symbol || "").toUpperCase())) return 1;
+  return null;
+}
+
+// USD prices of both tokens from whichever side is known; `spot` = token1 per token0
+function pairUsdPrices(token0, token1, spot, ethUsd) {
+  const k0 = knownUsdPrice(token0, ethUsd);
+  const k1 = knownUsdPrice(token1, ethUsd);
+  const u0 = k0 ?? (k1 != null && spot > 0 ? k1 * spot : null);
+  const u1 = k1 ?? (u0 != null && spot > 0 ? u0 / spot : null);
+  return [u0, u1];
+}
+
+async function rpcUniswapV3PoolState(address, feeTier) {
+  const [[sqrtPriceX96, tick], [liquidity], [t0], [t1]] = await Promise.all([
+    ethCall(address, uniswapV3PoolIface, "slot0"),
+    ethCall(address, uniswapV3PoolIface, "liquidity"),
+    ethCall(address, uniswapV3PoolIface, "token0"),
+    ethCall(address, uniswapV3PoolIface, "token1")
+  ]);
+  const [token0, token1] = await Promise.all([rpcPoolToken(t0), rpcPoolToken(t1)]);
+  return {
+    id: address.toLowerCase(),
+    feeTier: String(feeTier),
+    sqrtPrice: sqrtPriceX96.toString(),
+    tick: tick.toString(),
+    liquidity: liquidity.toString(),
+    token0,
+    token1,
+    source: "rpc",
+    indexing: RPC_INDEXING
+  };
+}
+
+async function rpcEthUsd() {
+  if (!rpcEthUsdCache || Date.now() - rpcEthUsdCache.at > RPC_ETH_USD_TTL_MS) {
+    const promise = (async () => {
+      const [address] = await ethCall(UNISWAPV3_FACTORY, uniswapV3FactoryIface, "getPool", [WETH_ADDRESS, USDC_ADDRESS, 500]);
+      const pool = await rpcUniswapV3PoolState(address, 500);
+      return v3SpotPrice(pool, pool.token0.id === WETH_ADDRESS.toLowerCase());
+    })();
+    rpcEthUsdCache = { at: Date.now(), promise };
+    promise.catch(() => (rpcEthUsdCache = null));
+  }
+  return rpcEthUsdCache.promise;
+}
+
+async function aerodromePoolsFromRpc(tokenA, tokenB) {
+  const ethUsd = await rpcEthUsd();
+  const pools = [];
+  for (const stable of [true, false]) {
+    const [address] = await ethCall(AERODROME_POOL_FACTORY, aerodromeFactoryIface, "getPool", [tokenA, tokenB, stable]);
+    if (address === ethers.ZeroAddress) continue;
+
+    const [[reserve0, reserve1], [t0], [t1]] = await Promise.all([
+      ethCall(address, aerodromePoolIface, "getReserves"),
+      ethCall(address, aerodromePoolIface, "token0"),
+      ethCall(address, aerodromePoolIface, "token1")
+    ]);
+    const [token0, token1] = await Promise.all([rpcPoolToken(t0), rpcPoolToken(t1)]);
+    const r0 = Number(ethers.formatUnits(reserve0, Number(token0.decimals)));
+    const r1 = Number(ethers.formatUnits(reserve1, Number(token1.decimals)));
+    const [u0, u1] = pairUsdPrices(token0, token1, r0 > 0 && r1 > 0 ? aerodromeSpotPrice(r0, r1, stable) : 0, ethUsd);
+
+    pools.push({
+      id: address.toLowerCase(),
+      reserve0: String(r0),
+      reserve1: String(r1),
+      reserveUSD: String(u0 != null && u1 != null ? r0 * u0 + r1 * u1 : 0),
+      stable,
+      token0,
+      token1,
+      source: "rpc",
+      indexing: RPC_INDEXING
+    });
+  }
+  pools.sort((x, y) => Number(y.reserveUSD) - Number(x.reserveUSD));
+  return pools;
+}
+
+async function uniswapV3PoolsFromRpc(tokenA, tokenB) {
+  const ethUsd = await rpcEthUsd();
+  const pools = [];
+  for (const fee of UNISWAPV3_FEE_TIERS) {
+    const [address] = await ethCall(UNISWAPV3_FACTORY, uniswapV3FactoryIface, "getPool", [tokenA, tokenB, fee]);
+    if (address === ethers.ZeroAddress) continue;
+
+    const pool = await rpcUniswapV3PoolState(address, fee);
+    const [[bal0], [bal1]] = await Promise.all([
+      ethCall(pool.token0.id, erc20Iface, "balanceOf", [address]),
+      ethCall(pool.token1.id, erc20Iface, "balanceOf", [address])
+    ]);
+    const tvl0 = Number(ethers.formatUnits(bal0, Number(pool.token0.decimals)));
+    const tvl1 = Number(ethers.formatUnits(bal1, Number(pool.token1.decimals)));
+    const [u0, u1] = pairUsdPrices(pool.token0, pool.token1, v3SpotPrice(pool, true), ethUsd);
+
+    pools.push({
+      ...pool,
+      totalValueLockedToken0: String(tvl0),
+      totalValueLockedToken1: String(tvl1),
+      totalValueLockedUSD: String(u0 != null && u1 != null ? tvl0 * u0 + tvl1 * u1 : 0),
+      token0: { ...pool.token0, derivedETH: String(u0 != null ? u0 / ethUsd : 0) },
+      token1: { ...pool.token1, derivedETH: String(u1 != null ? u1 / ethUsd : 0) },
+      ethPriceUSD: ethUsd
+    });
+  }
+  pools.sort((x, y) => Number(y.totalValueLockedUSD) - Number(x.totalValueLockedUSD));
+  return pools;
+}
+
+/**
+ * Initialized ticks within V3_RPC_TICK_WORDS bitmap words of the current
+ * tick. Liquidity beyond that range is unknown, so it is treated as absent:
+ * a sentinel tick at each edge drops liquidity to zero and a trade that gets
+ * there comes back partly unfilled rather than quoted against liquidity that
+ * may not exist.
+ */
+async function uniswapV3TicksFromRpc(pool) {
+  const [spacing] = await ethCall(pool.id, uniswapV3PoolIface, "tickSpacing");
+  const ts = Number(spacing);
+  const word = Math.floor(Math.floor(Number(pool.tick) / ts) / 256);
+  const words = [];
+  for (let w = word - V3_RPC_TICK_WORDS; w <= word + V3_RPC_TICK_WORDS; w++) words.push(w);
+
+  const bitmaps = await Promise.all(words.map((w) => ethCall(pool.id, uniswapV3PoolIface, "tickBitmap", [w])));
+  const indices = [];
+  words.forEach((w, i) => {
+    const bitmap = BigInt(bitmaps[i][0]);
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bitmap >> BigInt(bit)) & 1n) indices.push((w * 256 + bit) * ts);
+    }
+  });
+
+  const rows = await Promise.all(indices.map((t) => ethCall(pool.id, uniswapV3PoolIface, "ticks", [t])));
+  const ticks = indices.map((tickIdx, i) => ({ tickIdx, liquidityNet: BigInt(rows[i].liquidityNet) }));
+
+  const low = words[0] * 256 * ts;
+  const high = (words[words.length - 1] + 1) * 256 * ts;
+  if (low > MIN_TICK) ticks.push({ tickIdx: low, liquidityNet: MAX_UINT256 });
+  if (high < MAX_TICK) ticks.push({ tickIdx: high, liquidityNet: -MAX_UINT256 });
+  return { ticks, truncated: low > MIN_TICK || high < MAX_TICK };
+}
+
+/* ------------------------------- Pool quoting -------------------------------- */
+
+// Per-pool data a quote needs beyond the subgraph row (V3 ticks, Aerodrome fee).
+// Keyed by the pool object, so it lives as long as the request that fetched it.
+const poolStateCache = new WeakMap();
+
+// Fractions of the requested notional sampled for each venue's slippage curve
+const SLIPPAGE_CURVE_FRACTIONS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+
+function poolToken(pool, address) {
+  return pool.token0.id.toLowerCase() === address.toLowerCase() ? pool.token0 : pool.token1;
+}
+
+/**
+ * USD price of `token` implied by a pool. V3 uses the subgraph's derivedETH;
+ * Aerodrome backs it out of reserveUSD and the curve's spot price, which
+ * holds for both stable and volatile pools.
+ */
+function poolTokenPriceUsd(venue, pool, token) {
+  const is0 = pool.token0.id.toLowerCase() === token.toLowerCase();
+  if (venue === "uniswap_v3") {
+    return Number((is0 ? pool.token0 : pool.token1).derivedETH) * Number(pool.ethPriceUSD || 0);
+  }
+  const r0 = Number(pool.reserve0);
+  const r1 = Number(pool.reserve1);
+  const [rIn, rOut] = is0 ? [r0, r1] : [r1, r0];
+  const spot = aerodromeSpotPrice(rIn, rOut, Boolean(pool.stable));
+  const priceOutUsd = Number(pool.reserveUSD || 0) / (rIn * spot + rOut);
+  return spot * priceOutUsd;
+}
+
+function quotePool(venue, pool, tokenIn, amountIn) {
+  return venue === "uniswap_v3" ? quoteUniswapV3(pool, tokenIn, amountIn) : quoteAerodrome(pool, tokenIn, amountIn);
+}
+
+// Slippage is measured against the pre-trade spot price and includes the pool
+// fee; price impact excludes it.
+function quoteSummary(q) {
+  const decIn = Number(q.tokenIn.decimals);
+  const decOut = Number(q.tokenOut.decimals);
+  const inHuman = Number(ethers.formatUnits(q.amountIn, decIn));
+  const outHuman = Number(ethers.formatUnits(q.amountOut, decOut));
+  const feeHuman = Number(ethers.formatUnits(q.feesPaid, decIn));
+  const fullyFilled = q.unfilled === 0n && q.amountOut > 0n;
+  const ideal = inHuman * q.spot;
+
+  return {
+    model: q.model,
+    token_in: q.tokenIn.symbol,
+    token_out: q.tokenOut.symbol,
+    amount_in: ethers.formatUnits(q.amountIn, decIn),
+    amount_out: ethers.formatUnits(q.amountOut, decOut),
+    fully_filled: fullyFilled,
+    unfilled_amount_in: ethers.formatUnits(q.unfilled, decIn),
+    fee_bps: q.feeBps,
+    spot_price: q.spot,
+    slippage_bps: fullyFilled && ideal > 0 ? Math.max(0, bps(1 - outHuman / ideal)) : 9999,
+    price_impact_bps:
+      fullyFilled && ideal > 0 ? Math.max(0, bps(1 - outHuman / ((inHuman - feeHuman) * q.spot))) : 9999,
+    ...q.extra
+  };
+}
+
+// Simulate selling `notionalUsd` worth of tokenIn into a single pool
+async function simulatePool(venue, pool, tokenIn, notionalUsd) {
+  const priceInUsd = poolTokenPriceUsd(venue, pool, tokenIn);
+  if (!(priceInUsd > 0)) throw new Error("no USD price for input token");
+  const q = await quotePool(venue, pool, tokenIn, toRawUnits(notionalUsd / priceInUsd, poolToken(pool, tokenIn).decimals));
+  return quoteSummary(q);
+}
+
+/**
+ * Slippage (bps, fee included) at increasing fractions of `notionalUsd`, so
+ * callers can size and split across venues without re-querying. The zero
+ * point is the pool fee: what an infinitesimal trade pays.
+ */
+async function slippageCurve(venue, pool, tokenIn, notionalUsd) {
+  const points = [];
+  for (const f of SLIPPAGE_CURVE_FRACTIONS) {
+    const sim = await simulatePool(venue, pool, tokenIn, notionalUsd * f);
+    points.push({ notional_usd: round(notionalUsd * f, 2), slippage_bps: sim.slippage_bps });
+  }
+  const feeBps = venue === "uniswap_v3" ? Number(pool.feeTier) / 100 : (await poolStateCache.get(pool)).fee_bps;
+  return [{ notional_usd: 0, slippage_bps: feeBps }, ...points];
+}
+
+/* ----------------------------- Price integrity ------------------------------ */
+// Each pool's spot price is checked against references that are expensive to
+// move inside one block: the Uniswap V3 time-weighted average (observe()) and
+// the median spot price across venues. A pool far from both is likely being
+// manipulated or stale, and quotes against it should not be trusted.
+
+const PRICE_TWAP_SECONDS = Number(process.env.PRICE_TWAP_SECONDS || 1800);
+const PRICE_DEVIATION_WARN_BPS = Number(process.env.PRICE_DEVIATION_WARN_BPS || 50);
+const PRICE_DEVIATION_ALERT_BPS = Number(process.env.PRICE_DEVIATION_ALERT_BPS || 200);
+
+const uniswapV3PoolIface = new ethers.Interface([
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function tickSpacing() view returns (int24)",
+  "function tickBitmap(int16 wordPosition) view returns (uint256)",
+  "function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)"
+]);
+
+// Pre-trade spot price of tokenOut per tokenIn (human units)
+function poolSpotPrice(venue, pool, tokenIn) {
+  const zeroForOne = pool.token0.id.toLowerCase() === tokenIn.toLowerCase();
+  if (venue === "uniswap_v3") return pool.sqrtPrice == null ? null : v3SpotPrice(pool, zeroForOne);
+  const r0 = Number(pool.reserve0);
+  const r1 = Number(pool.reserve1);
+  if (!(r0 > 0 && r1 > 0)) return null;
+  return zeroForOne ? aerodromeSpotPrice(r0, r1, Boolean(pool.stable)) : aerodromeSpotPrice(r1, r0, Boolean(pool.stable));
+}
+
+/**
+ * Arithmetic-mean tick over the last `seconds` from the pool's oracle, rounded
+ * toward negative infinity like OracleLibrary.consult, as a tokenOut-per-tokenIn
+ * price. Reverts ("OLD") when the pool's observation buffer is shorter than the window.
+ */
+async function uniswapV3Twap(pool, tokenIn, seconds) {
+  const [tickCumulatives] = await ethCall(pool.id, uniswapV3PoolIface, "observe", [[seconds, 0]]);
+  const delta = BigInt(tickCumulatives[1]) - BigInt(tickCumulatives[0]);
+  const window = BigInt(seconds);
+  let tick = delta / window;
+  if (delta < 0n && delta % window !== 0n) tick -= 1n;
+
+  const zeroForOne = pool.token0.id.toLowerCase() === tokenIn.toLowerCase();
+  const human = 1.0001 ** Number(tick) * 10 ** (Number(pool.token0.decimals) - Number(pool.token1.decimals));
+  return { tick: Number(tick), price: zeroForOne ? human : 1 / human };
+}
+
+function deviationBps(price, reference) {
+  if (!(price > 0 && reference > 0)) return null;
+  return round(Math.abs(price / reference - 1) * 10000, 2);
+}
+
+function deviationStatus(dev, thresholds) {
+  if (dev == null) return "unknown";
+  if (dev >= thresholds.alert_bps) return "alert";
+  if (dev >= thresholds.warn_bps) return "warn";
+  return "ok";
+}
+
+/**
+ * Compare each pool's spot price (`pools` = [{ venue, pool }]) with the V3
+ * TWAP and the cross-venue median. The median needs at least two venues;
+ * with exactly two it is their midpoint, so it measures how far apart they are
+ * rather than which one moved. The TWAP needs CUSTOM_RPC_URL.
+ */
+async function priceIntegrity(pools, tokenIn, { twapSeconds, thresholds }) {
+  const spots = pools
+    .map(({ venue, pool }) => ({ venue, pool, spot: poolSpotPrice(venue, pool, tokenIn) }))
+    .filter((p) => p.spot > 0);
+
+  let twap = null;
+  let twapError = null;
+  const v3 = spots.find((p) => p.venue === "uniswap_v3");
+  if (!v3) twapError = "no Uniswap V3 pool for this pair";
+  else if (!CUSTOM_RPC_URL) twapError = "CUSTOM_RPC_URL not set";
+  else {
+    try {
+      const t = await uniswapV3Twap(v3.pool, tokenIn, twapSeconds);
+      twap = { source: "rpc/UniswapV3Pool.observe", pool_id: v3.pool.id, window_seconds: twapSeconds, ...t };
+    } catch (e) {
+      twapError = String(e?.message || e);
+    }
+  }
+
+  const medianPrice = spots.length >= 2 ? median(spots.map((p) => p.spot)) : null;
+
+  const rows = spots.map(({ venue, pool, spot }) => {
+    const vsTwap = twap ? deviationBps(spot, twap.price) : null;
+    const vsMedian = medianPrice != null ? deviationBps(spot, medianPrice) : null;
+    const known = [vsTwap, vsMedian].filter((d) => d != null);
+    const maxDev = known.length ? Math.max(...known) : null;
+    return {
+      venue,
+      pool_id: pool.id,
+      spot_price: spot,
+      deviation_vs_twap_bps: vsTwap,
+      deviation_vs_median_bps: vsMedian,
+      max_deviation_bps: maxDev,
+      status: deviationStatus(maxDev, thresholds)
+    };
+  });
+
+  const devs = rows.map((r) => r.max_deviation_bps).filter((d) => d != null);
+  const maxDeviation = devs.length ? Math.max(...devs) : null;
+  const flags = rows
+    .filter((r) => r.status === "warn" || r.status === "alert")
+    .map((r) => {
+      const refs = [
+        r.deviation_vs_twap_bps != null ? `${r.deviation_vs_twap_bps} bps from the ${twapSeconds}s TWAP` : null,
+        r.deviation_vs_median_bps != null ? `${r.deviation_vs_median_bps} bps from the cross-venue median` : null
+      ].filter(Boolean);
+      return `${r.venue} pool ${r.pool_id} spot is ${refs.join(" and ")} (${r.status}).`;
+    });
+
+  return {
+    status: devs.length ? deviationStatus(maxDeviation, thresholds) : "unavailable",
+    max_deviation_bps: maxDeviation,
+    thresholds_bps: { warn: thresholds.warn_bps, alert: thresholds.alert_bps },
+    references: {
+      twap,
+      twap_error: twapError,
+      cross_venue_median: medianPrice != null ? { price: medianPrice, venues: spots.length } : null
+    },
+    pools: rows,
+    flags
+  };
+}
+
+// --- Resource 2: base-venue-depth ---
+app.get("/resources/base-venue-depth", cachedResource("base-venue-depth", async (req, res) => {
+  try {
+    const assetIn = String(req.query.asset_in || "").trim();
+    const assetOut = String(req.query.asset_out || "").trim();
+    const notionalUsd = Number(String(req.query.notional_usd || "0").replace(/,/g, ""));
+
+    const [inR, outR] = await Promise.all([resolveToken(assetIn), resolveToken(assetOut)]);
+
+    if (!inR.ok || !outR.ok) {
+      const unavailable = [inR, outR].some((r) => r.status === 503);
+      return res.status(unavailable ? 503 : 400).json({
+        ok: false,
+        error: true,
+        message: unavailable
+          ? "Token lookup unavailable (RPC error); retry shortly."
+          : "Unknown asset_in/asset_out. Provide token addresses or add them to the token list.",
+        details: { asset_in: inR.ok ? null : inR.message, asset_out: outR.ok ? null : outR.message },
+        received: { asset_in: assetIn, asset_out: assetOut }
+      });
+    }
+    const tokenA = inR.token.address;
+    const tokenB = outR.token.address;
+    if (!Number.isFinite(notionalUsd) || notionalUsd <= 0) {
+      return res.status(400).json({ ok: false, error: true, message: "notional_usd must be > 0" });
+    }
+
+    const twapSeconds = Number(req.query.twap_seconds || PRICE_TWAP_SECONDS);
+    const thresholds = {
+      warn_bps: Number(req.query.deviation_warn_bps || PRICE_DEVIATION_WARN_BPS),
+      alert_bps: Number(req.query.deviation_alert_bps || PRICE_DEVIATION_ALERT_BPS)
+    };
+    if (!Number.isInteger(twapSeconds) || twapSeconds < 60 || twapSeconds > 86400) {
+      return res.status(400).json({ ok: false, error: true, message: "twap_seconds must be an integer 60..86400" });
+    }
+    if (!(thresholds.warn_bps > 0 && thresholds.alert_bps >= thresholds.warn_bps)) {
+      return res.status(400).json({
+        ok: false,
+        error: true,
+        message: "deviation_warn_bps must be > 0 and deviation_alert_bps >= deviation_warn_bps",
+        details: thresholds
+      });
+    }
+
+    const [aero, uni] = await Promise.all([
+      aerodromeBestPool(tokenA, tokenB),
+      uniswapV3BestPool(tokenA, tokenB)
+    ]);
+
+    const venues = [];
+
+    if (aero) {
+      const reserveUsd = Number(aero.reserveUSD || 0);
+      const heuristic = estSlipV2(notionalUsd, reserveUsd);
+
+      let simulation = null;
+      let slippage_curve = null;
+      let simulationError = null;
+      try {
+        simulation = await simulatePool("aerodrome", aero, tokenA, notionalUsd);
+        slippage_curve = await slippageCurve("aerodrome", aero, tokenA, notionalUsd);
+      } catch (e) {
+        simulationError = String(e?.message || e);
+      }
+
+      venues.push({
+        venue: "aerodrome",
+        pool_id: aero.id,
+        pool_type: aero.stable ? "stable" : "volatile",
+        fee_bps: simulation ? simulation.fee_bps : AERODROME_DEFAULT_FEE_BPS[aero.stable ? "stable" : "volatile"],
+        depth_usd: reserveUsd,
+        estimated_slippage_bps: simulation ? simulation.slippage_bps : heuristic,
+        slippage_model: simulation ? simulation.model : "reserve_ratio_heuristic",
+        heuristic_slippage_bps: heuristic,
+        heuristic_error_bps: simulation?.fully_filled ? heuristic - simulation.slippage_bps : null,
+        simulation,
+        slippage_curve,
+        simulation_error: simulationError,
+        token0: aero.token0?.symbol,
+        token1: aero.token1?.symbol,
+        data_source: aero.source === "rpc" ? "rpc" : "thegraph",
+        indexing: aero.indexing || null
+      });
+    }
+
+    if (uni) {
+      const tvlUsd = Number(uni.totalValueLockedUSD || 0);
+      const heuristic = estSlipV3(notionalUsd, tvlUsd, uni.feeTier);
+
+      let simulation = null;
+      let slippage_curve = null;
+      let simulationError = null;
+      try {
+        simulation = await simulatePool("uniswap_v3", uni, tokenA, notionalUsd);
+        slippage_curve = await slippageCurve("uniswap_v3", uni, tokenA, notionalUsd);
+      } catch (e) {
+        simulationError = String(e?.message || e);
+      }
+
+      venues.push({
+        venue: "uniswap_v3",
+        pool_id: uni.id,
+        feeTier: String(uni.feeTier),
+        fee_bps: Number(uni.feeTier) / 100,
+        depth_usd: tvlUsd,
+        estimated_slippage_bps: simulation ? simulation.slippage_bps : heuristic,
+        slippage_model: simulation ? simulation.model : "tvl_ratio_heuristic",
+        heuristic_slippage_bps: heuristic,
+        heuristic_error_bps: simulation?.fully_filled ? heuristic - simulation.slippage_bps : null,
+        simulation,
+        slippage_curve,
+        simulation_error: simulationError,
+        token0: uni.token0?.symbol,
+        token1: uni.token1?.symbol,
+        data_source: uni.source === "rpc" ? "rpc" : "thegraph",
+        indexing: uni.indexing || null
+      });
+    }
+
+    venues.sort((a, b) => (b.depth_usd || 0) - (a.depth_usd || 0));
+
+    const integrity = await priceIntegrity(
+      [aero && { venue: "aerodrome", pool: aero }, uni && { venue: "uniswap_v3", pool: uni }].filter(Boolean),
+      tokenA,
+      { twapSeconds, thresholds }
+    );
+    for (const v of venues) {
+      const row = integrity.pools.find((r) => r.pool_id === v.pool_id);
+      v.price_deviation_bps = row ? row.max_deviation_bps : null;
+      v.price_status = row ? row.status : "unknown";
+    }
+
+    const evidence = [...venueEvidence("aerodrome", [aero]), ...venueEvidence("uniswap_v3", [uni])];
+    if (integrity.references.twap) {
+      evidence.push({ source: integrity.references.twap.source, pool_id: integrity.references.twap.pool_id });
+    }
+
+    return res.json({
+      ok: true,
+      data: {
+        chain: "base",
+        request: {
+          asset_in: assetIn,
+          asset_out: assetOut,
+          notional_usd: notionalUsd,
+          twap_seconds: twapSeconds,
+          deviation_warn_bps: thresholds.warn_bps,
+          deviation_alert_bps: thresholds.alert_bps
+        },
+        tokens: { asset_in: inR.token, asset_out: outR.token },
+        venues,
+        best_by_depth: venues[0] || null,
+        price_integrity: integrity,
+        data_freshness: dataFreshness(
+          [aero && { venue: "aerodrome", pool: aero }, uni && { venue: "uniswap_v3", pool: uni }].filter(Boolean)
+        ),
+        last_updated_utc: new Date().toISOString(),
+        evidence
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: true,
+      message: "Failed to compute venue depth from subgraphs.",
+      details: String(e?.message || e)
+    });
+  }
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                             Resource: base-route                            */
+/* -------------------------------------------------------------------------- */
+
+const ROUTE_VENUES = ["aerodrome", "uniswap_v3"];
+const ROUTE_MAX_HOPS = Number(process.env.ROUTE_MAX_HOPS || 2);
+const ROUTE_INTERMEDIATES = String(process.env.ROUTE_INTERMEDIATES || "WETH,USDC")
+  .split(",")
+  .map((x) => x.trim())
+  .filter(Boolean);
+
+// Each extra hop adds roughly this much execution gas and calldata
+const ROUTE_EXTRA_HOP_GAS_UNITS = 100000;
+const ROUTE_EXTRA_HOP_DATA_BYTES = 40;
+
+// With prefer_stable, a route with more stable hops wins if it is within this
+// many bps of the best net output
+const PREFER_STABLE_TOLERANCE_BPS = 10;
+
+function candidatePaths(a, b, mids, maxHops) {
+  const paths = [[a, b]];
+  const usable = mids.filter((m) => m !== a && m !== b);
+  if (maxHops >= 2) for (const m of usable) paths.push([a, m, b]);
+  if (maxHops >= 3) {
+    for (const m1 of usable) for (const m2 of usable) if (m1 !== m2) paths.push([a, m1, m2, b]);
+  }
+  return paths;
+}
+
+function routeGasCostUsd(gas, hops) {
+  const swap = gas.cost_estimates?.breakdown?.swap;
+  const l2 = swap ? swap.l2_execution_cost_usd : Number(gas.cost_estimates?.swap_estimated_cost_usd || 0);
+  const l1 = swap?.l1_data_cost_usd || 0;
+  const extra = hops - 1;
+  return (
+    l2 * ((SWAP_GAS_UNITS + extra * ROUTE_EXTRA_HOP_GAS_UNITS) / SWAP_GAS_UNITS) +
+    l1 * ((SWAP_TX_DATA_BYTES + extra * ROUTE_EXTRA_HOP_DATA_BYTES) / SWAP_TX_DATA_BYTES)
+  );
+}
+
+/**
+ * Walk one path hop by hop. At each hop every candidate pool is quoted with
+ * the amount coming out of the previous hop and the best output wins (or a
+ * stable pool within tolerance, with preferStable), so a route can mix venues.
+ */
+async function simulatePath(path, amountIn, venues, poolsFor, preferStable) {
+  const hops = [];
+  let amount = amountIn;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const pools = await poolsFor(path[i], path[i + 1]);
+    const quotes = [];
+    for (const { venue, pool } of pools.filter((p) => venues.includes(p.venue))) {
+      try {
+        const q = await quotePool(venue, pool, path[i], amount);
+        if (q.unfilled === 0n && q.amountOut > 0n) quotes.push({ venue, pool, q });
+      } catch {
+        // unquotable pool: try the other venue
+      }
+    }
+    if (!quotes.length) return null;
+
+    quotes.sort((x, y) => (y.q.amountOut > x.q.amountOut ? 1 : y.q.amountOut < x.q.amountOut ? -1 : 0));
+    let pick = quotes[0];
+    if (preferStable && !(pick.venue === "aerodrome" && pick.pool.stable)) {
+      const floor = (pick.q.amountOut * BigInt(10000 - PREFER_STABLE_TOLERANCE_BPS)) / 10000n;
+      pick = quotes.find((c) => c.venue === "aerodrome" && c.pool.stable && c.q.amountOut >= floor) || pick;
+    }
+    const { venue, pool, q } = pick;
+    hops.push({
+      venue,
+      pool_id: pool.id,
+      pool_type: venue === "aerodrome" ? (pool.stable ? "stable" : "volatile") : "concentrated",
+      fee_bps: q.feeBps,
+      token_in: q.tokenIn.symbol,
+      token_in_address: ethers.getAddress(q.tokenIn.id),
+      token_in_decimals: Number(q.tokenIn.decimals),
+      token_out: q.tokenOut.symbol,
+      token_out_address: ethers.getAddress(q.tokenOut.id),
+      token_out_decimals: Number(q.tokenOut.decimals),
+      ...quoteSummary(q)
+    });
+    amount = q.amountOut;
+  }
+
+  return { hops, amountOut: amount };
+}
+
+/**
+ * GET /resources/base-route?asset_in=AERO&asset_out=USDC&notional_usd=25000
+ *     &max_hops=2&intermediates=WETH,USDC&venues=aerodrome,uniswap_v3&prefer_stable=true
+ *
+ * Searches direct and multi-hop paths through the intermediate tokens over
+ * Aerodrome and Uniswap V3 pools, simulates each hop with the exact pool math,
+ * and ranks routes by USD output net of gas.
+ */
+app.get("/resources/base-route", cachedResource("base-route", async (req, res) => {
+  try {
+    const assetIn = String(req.query.asset_in || "").trim();
+    const assetOut = String(req.query.asset_out || "").trim();
+    const notionalUsd = Number(String(req.query.notional_usd || "0").replace(/,/g, ""));
+    const maxHops = Math.max(1, Math.min(3, Math.trunc(Number(req.query.max_hops || ROUTE_MAX_HOPS)) || 2));
+    const preferStable = ["1", "true", "yes"].includes(String(req.query.prefer_stable || "").toLowerCase());
+    const venues = req.query.venues
+      ? String(req.query.venues).split(",").map((v) => v.trim().toLowerCase()).filter((v) => ROUTE_VENUES.includes(v))
+      : ROUTE_VENUES;
+    const midInputs = req.query.intermediates
+      ? String(req.query.intermediates).split(",").map((x) => x.trim()).filter(Boolean)
+      : ROUTE_INTERMEDIATES;
+
+    if (!Number.isFinite(notionalUsd) || notionalUsd <= 0) {
+      return res.status(400).json({ ok: false, error: true, message: "notional_usd must be > 0" });
+    }
+    if (!venues.length) {
+      return res.status(400).json({ ok: false, error: true, message: `venues must include one of: ${ROUTE_VENUES.join(", ")}` });
+    }
+
+    const [inR, outR, ...midR] = await Promise.all([assetIn, assetOut, ...midInputs].map(resolveToken));
+    if (!inR.ok || !outR.ok) {
+      const unavailable = [inR, outR].some((r) => r.status === 503);
+      return res.status(unavailable ? 503 : 400).json({
+        ok: false,
+        error: true,
+        message: unavailable
+          ? "Token lookup unavailable (RPC error); retry shortly."
+          : "Unknown asset_in/asset_out. Provide token addresses or add them to the token list.",
+        details: { asset_in: inR.ok ? null : inR.message, asset_out: outR.ok ? null : outR.message }
+      });
+    }
+
+    const a = inR.token.address.toLowerCase();
+    const b = outR.token.address.toLowerCase();
+    const mids = [...new Set(midR.filter((r) => r.ok).map((r) => r.token.address.toLowerCase()))];
+
+    // Candidate pools per pair, shared across paths: the deepest Aerodrome
+    // stable and volatile pools plus the deepest V3 pool
+    const pairCache = new Map();
+    const poolsFor = (x, y) => {
+      const key = [x, y].sort().join(":");
+      if (!pairCache.has(key)) {
+        pairCache.set(
+          key,
+          Promise.all([
+            venues.includes("aerodrome") ? aerodromePools(x, y).catch(() => []) : [],
+            venues.includes("uniswap_v3") ? uniswapV3BestPool(x, y).catch(() => null) : null
+          ]).then(([aero, uni]) => [
+            ...[aero.find((p) => p.stable), aero.find((p) => !p.stable)]
+              .filter(Boolean)
+              .map((pool) => ({ venue: "aerodrome", pool })),
+            ...(uni ? [{ venue: "uniswap_v3", pool: uni }] : [])
+          ])
+        );
+      }
+      return pairCache.get(key);
+    };
+
+    const paths = candidatePaths(a, b, mids, maxHops);
+
+    // Size the input from every first-hop pool's view of the input token price
+    const firstHopPools = (await Promise.all([...new Set(paths.map((p) => p[1]))].map((n) => poolsFor(a, n)))).flat();
+    const inPrices = firstHopPools.map(({ venue, pool }) => poolTokenPriceUsd(venue, pool, a)).filter((x) => x > 0);
+    if (!inPrices.length) {
+      return res.status(404).json({ ok: false, error: true, message: "No priced pool found for asset_in." });
+    }
+    const priceInUsd = median(inPrices);
+    const inDecimals = Number(inR.token.decimals ?? poolToken(firstHopPools[0].pool, a).decimals);
+    const amountIn = toRawUnits(notionalUsd / priceInUsd, inDecimals);
+
+    const ethUsd = Number(firstHopPools.find((p) => p.venue === "uniswap_v3")?.pool.ethPriceUSD || req.query.eth_usd || 3500);
+    const gas = await currentGasProfile(ethUsd);
+
+    const simulated = [];
+    for (const path of paths) {
+      const r = await simulatePath(path, amountIn, venues, poolsFor, preferStable);
+      if (r) simulated.push(r);
+    }
+    if (!simulated.length) {
+      return res.status(404).json({ ok: false, error: true, message: "No route found between asset_in and asset_out." });
+    }
+
+    const outDecimals = simulated[0].hops[simulated[0].hops.length - 1].token_out_decimals;
+    const amountInHuman = Number(ethers.formatUnits(amountIn, inDecimals));
+
+    // Price the output token once for all routes: median of what each path's
+    // spot prices imply, so routes are compared on output, not on their own marks
+    const ideals = simulated.map((r) => amountInHuman * r.hops.reduce((p, h) => p * h.spot_price, 1));
+    const priceOutUsd = median(ideals.map((x) => notionalUsd / x));
+
+    const routes = simulated.map((r, i) => {
+      const outHuman = Number(ethers.formatUnits(r.amountOut, outDecimals));
+      const gasUsd = routeGasCostUsd(gas, r.hops.length);
+      return {
+        path: [r.hops[0].token_in, ...r.hops.map((h) => h.token_out)],
+        hop_count: r.hops.length,
+        hops: r.hops,
+        amount_in: ethers.formatUnits(amountIn, inDecimals),
+        expected_amount_out: ethers.formatUnits(r.amountOut, outDecimals),
+        slippage_bps: Math.max(0, bps(1 - outHuman / ideals[i])),
+        output_value_usd: round(outHuman * priceOutUsd, 2),
+        gas_cost_usd: round(gasUsd, 6),
+        net_output_usd: round(outHuman * priceOutUsd - gasUsd, 2),
+        stable_hops: r.hops.filter((h) => h.pool_type === "stable").length
+      };
+    });
+
+    routes.sort((x, y) => y.net_output_usd - x.net_output_usd);
+    const poolsUsed = (await Promise.all(pairCache.values())).flat();
+    let best = routes[0];
+    if (preferStable) {
+      const floor = best.net_output_usd * (1 - PREFER_STABLE_TOLERANCE_BPS / 10000);
+      const stableFirst = routes
+        .filter((r) => r.net_output_usd >= floor)
+        .sort((x, y) => y.stable_hops - x.stable_hops || y.net_output_usd - x.net_output_usd);
+      best = stableFirst[0];
+    }
+
+    return res.json({
+      ok: true,
+      data: {
+        chain: "base",
+        request: {
+          asset_in: assetIn,
+          asset_out: assetOut,
+          notional_usd: notionalUsd,
+          max_hops: maxHops,
+          venues,
+          intermediates: midInputs,
+          prefer_stable: preferStable
+        },
+        best_route: best,
+        routes,
+        paths_considered: paths.length,
+        pricing: { asset_in_usd: round(priceInUsd, 6), asset_out_usd: round(priceOutUsd, 6), eth_usd: ethUsd },
+        data_freshness: dataFreshness(poolsUsed),
+        gas_source: gas.source,
+        last_updated_utc: new Date().toISOString(),
+        evidence: [
+          ...venueEvidence("aerodrome", poolsUsed.filter((p) => p.venue === "aerodrome").map((p) => p.pool)),
+          ...venueEvidence("uniswap_v3", poolsUsed.filter((p) => p.venue === "uniswap_v3").map((p) => p.pool)),
+          { source: `gas/${gas.source}` }
+        ]
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: true,
+      message: "Failed to compute route.",
+      details: String(e?.message || e)
+    });
+  }
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                        Resource: base-simulate-swap                        */
+/* -------------------------------------------------------------------------- */
+// Runs a route's swap calldata (swap-calldata.js) with eth_call against the
+// configured RPC, a Base node or a local anvil fork, at one pinned block.
+// The trader is funded with state overrides: the token's balance and
+// allowance mapping slots are found by probing (override a candidate slot,
+// read balanceOf / allowance back) and cached per token. debug_traceCall then
+// gives gas used (callTracer) and the trader's actual balance changes
+// (prestateTracer diff); nodes without the debug namespace fall back to
+// eth_estimateGas and the router's reported output.
+
+// Empty account used when the caller doesn't name a trader
+const SIMULATION_TRADER = "0x00000000000000000000000000000000005157e5";
+const SIMULATION_GAS_LIMIT = 5000000;
+
+// Candidate mapping slots: low declaration indexes, OpenZeppelin 4
+// upgradeable (_balances after 50 gap slots) and OpenZeppelin 5's ERC-7201
+// ERC20 namespace
+const OZ5_ERC20_STORAGE = "0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00";
+const MAPPING_SLOT_CANDIDATES = [...Array(21).keys()].map(BigInt).concat([51n, BigInt(OZ5_ERC20_STORAGE)]);
+const PROBE_WORD = ethers.toBeHex(0x5157e55157e5n, 32);
+
+const erc20SimIface = new ethers.Interface([
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)"
+]);
+
+const tokenSlotCache = new Map(); // token -> Promise of { balance_slot, allowance_slot, layout } | null
+
+// Storage key of mapping[key] at `slot`: Solidity hashes key then slot, Vyper slot then key
+function mappingKey(slot, key, layout) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  return layout === "vyper"
+    ? ethers.keccak256(coder.encode(["uint256", "bytes32"], [slot, ethers.zeroPadValue(key, 32)]))
+    : ethers.keccak256(coder.encode(["bytes32", "uint256"], [ethers.zeroPadValue(key, 32), slot]));
+}
+
+function balanceKey(slots, owner) {
+  return mappingKey(slots.balance_slot, owner, slots.layout);
+}
+
+function allowanceKey(slots, owner, spender) {
+  return mappingKey(BigInt(mappingKey(slots.allowance_slot, owner, slots.layout)), spender, slots.layout);
+}
+
+async function readsBack(token, data, key, block) {
+  try {
+    const out = await rpc("eth_call", [{ to: token, data }, block, { [token]: { stateDiff: { [key]: PROBE_WORD } } }]);
+    return BigInt(out) === BigInt(PROBE_WORD);
+  } catch (e) {
+    // A revert means "not this slot"; a dead node must not be cached as one
+    if (e instanceof upstream.UpstreamError) throw e;
+    return false;
+  }
+}
+
+async function probeTokenSlots(token, block) {
+  const owner = SIMULATION_TRADER;
+  const spender = "0x000000000000000000000000000000000005e7de";
+  const balanceOf = erc20SimIface.encodeFunctionData("balanceOf", [owner]);
+  const allowance = erc20SimIface.encodeFunctionData("allowance", [owner, spender]);
+
+  for (const layout of ["solidity", "vyper"]) {
+    for (const slot of MAPPING_SLOT_CANDIDATES) {
+      if (!(await readsBack(token, balanceOf, mappingKey(slot, owner, layout), block))) continue;
+
+      // Allowances are usually declared right after balances
+      const found = { balance_slot: slot, allowance_slot: null, layout };
+      for (const a of [slot + 1n, ...MAPPING_SLOT_CANDIDATES.filter((c) => c !== slot + 1n)]) {
+        if (await readsBack(token, allowance, allowanceKey({ ...found, allowance_slot: a }, owner, spender), block)) {
+          found.allowance_slot = a;
+          break;
+        }
+      }
+      return found;
+    }
+  }
+  return null;
+}
+
+function tokenSlots(token, block) {
+  const key = token.toLowerCase();
+  if (!tokenSlotCache.has(key)) {
+    const p = probeTokenSlots(token, block);
+    tokenSlotCache.set(key, p);
+    // Transport failures shouldn't pin a token as unprobeable
+    p.catch(() => tokenSlotCache.delete(key));
+  }
+  return tokenSlotCache.get(key);
+}
+
+function rpcRevertReason(e) {
+  const data = e?.rpcError?.data;
+  const raw = typeof data === "string" ? data : data?.data;
+  return decodeRevert(raw) || e?.rpcError?.message || String(e?.message || e);
+}
+
+// Change of one storage slot in a prestateTracer diff. Diff mode leaves zero
+// values out: a slot only in pre was cleared to 0, one only in post was 0
+// before, one in neither didn't change.
+function storageDelta(diff, token, key) {
+  const t = token.toLowerCase();
+  const find = (side) => {
+    const entry = Object.entries(diff?.[side] || {}).find(([a]) => a.toLowerCase() === t)?.[1];
+    const v = Object.entries(entry?.storage || {}).find(([k]) => k.toLowerCase() === key)?.[1];
+    return v == null ? null : BigInt(v);
+  };
+  const pre = find("pre");
+  const post = find("post");
+  return (post ?? 0n) - (pre ?? 0n);
+}
+
+/**
+ * Simulate one swap step funded with its own input through state overrides,
+ * or with the trader's real balances when the token's slots aren't known.
+ */
+async function simulateSwapStep(step, trader, block) {
+  const [inSlots, outSlots] = await Promise.all([tokenSlots(step.token_in_address, block), tokenSlots(step.token_out_address, block)]);
+  const amountIn = BigInt(step.amount_in_raw);
+  const funded = Boolean(inSlots?.allowance_slot != null);
+
+  const overrides = {};
+  if (funded) {
+    overrides[step.token_in_address] = {
+      stateDiff: {
+        [balanceKey(inSlots, trader)]: ethers.toBeHex(amountIn, 32),
+        [allowanceKey(inSlots, trader, step.to)]: ethers.toBeHex(amountIn, 32)
+      }
+    };
+  }
+  const tx = { from: trader, to: step.to, data: step.data, value: "0x0", gas: ethers.toBeHex(SIMULATION_GAS_LIMIT) };
+
+  const result = {
+    segment: step.segment,
+    venue: step.venue,
+    router: step.to,
+    funding: funded ? "state_override" : "trader_balance",
+    amount_in_raw: step.amount_in_raw,
+    expected_amount_out_raw: step.expected_amount_out_raw,
+    amount_out_minimum_raw: step.amount_out_minimum_raw
+  };
+
+  let output;
+  try {
+    output = await rpc("eth_call", [tx, block, overrides]);
+  } catch (e) {
+    if (!e?.rpcError) throw e;
+    return { ...result, status: "reverted", revert_reason: rpcRevertReason(e), gas_used: null };
+  }
+  const routerOut = decodeSwapOutput(step, output);
+
+  const [calls, diff] = await Promise.allSettled([
+    rpc("debug_traceCall", [tx, block, { tracer: "callTracer", stateOverrides: overrides }]),
+    rpc("debug_traceCall", [tx, block, { tracer: "prestateTracer", tracerConfig: { diffMode: true }, stateOverrides: overrides }])
+  ]);
+
+  let gasUsed = null;
+  let gasSource = null;
+  if (calls.status === "fulfilled" && calls.value?.gasUsed) {
+    gasUsed = Number(BigInt(calls.value.gasUsed));
+    gasSource = "debug_traceCall";
+  } else {
+    try {
+      gasUsed = Number(BigInt(await rpc("eth_estimateGas", [tx, block, overrides])));
+      gasSource = "eth_estimateGas";
+    } catch {
+      // gas stays unknown
+    }
+  }
+
+  // Actual balance changes catch transfer taxes the router's return value hides
+  const fromDiff = diff.status === "fulfilled" && outSlots;
+  const received = fromDiff ? storageDelta(diff.value, step.token_out_address, balanceKey(outSlots, trader)) : routerOut;
+  const spent = diff.status === "fulfilled" && inSlots ? -storageDelta(diff.value, step.token_in_address, balanceKey(inSlots, trader)) : amountIn;
+
+  return {
+    ...result,
+    status: "success",
+    revert_reason: null,
+    router_amount_out_raw: routerOut.toString(),
+    received_amount_out_raw: received.toString(),
+    spent_amount_in_raw: spent.toString(),
+    balances_source: fromDiff ? "state_diff" : "return_value",
+    gas_used: gasUsed,
+    gas_source: gasSource
+  };
+}
+
+/**
+ * POST /resources/base-simulate-swap
+ *   { "route": { "hops": [...] }, "trader": "0x...", "slippage_bps": 50, "deadline_seconds": 180 }
+ *
+ * `route` is a route as returned by base-route (best_route) or the
+ * execution_quote_and_route deliverable. `trader` defaults to an empty
+ * account; either way the input is funded by state overrides.
+ */
+app.post("/resources/base-simulate-swap", async (req, res) => {
+  try {
+    if (!CUSTOM_RPC_URL) {
+      return res.status(503).json({ ok: false, error: true, message: "Swap simulation needs CUSTOM_RPC_URL (a Base node or fork)." });
+    }
+    const body = req.body || {};
+    const hops = body.route?.hops;
+    if (!Array.isArray(hops) || !hops.length) {
+      return res.status(400).json({ ok: false, error: true, message: "route.hops must be a non-empty array (a base-route route)" });
+    }
+    if (body.trader != null && !ethers.isAddress(String(body.trader))) {
+      return res.status(400).json({ ok: false, error: true, message: "trader must be an address" });
+    }
+    const slippageBps = Math.trunc(Number(body.slippage_bps ?? 50));
+    if (!(slippageBps >= 1 && slippageBps <= 2000)) {
+      return res.status(400).json({ ok: false, error: true, message: "slippage_bps must be an integer 1..2000" });
+    }
+    const deadlineSeconds = Math.trunc(Number(body.deadline_seconds ?? 180));
+
+    const trader = ethers.getAddress(String(body.trader || SIMULATION_TRADER));
+    let tx;
+    try {
+      tx = buildSwapTransactions({ chain: "base", hops, recipient: trader, slippageBps, deadlineSeconds });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: true, message: "route could not be encoded", details: String(e?.message || e) });
+    }
+    if (tx.status !== "ready") return res.status(400).json({ ok: false, error: true, message: tx.reason });
+
+    const blockNumber = Number(BigInt(await rpc("eth_blockNumber")));
+    const block = ethers.toQuantity(blockNumber);
+
+    // Each segment runs on its own, sized as the calldata sizes it
+    const steps = [];
+    for (const step of tx.steps.filter((s) => s.kind === "swap")) {
+      const r = await simulateSwapStep(step, trader, block);
+      steps.push(r);
+      if (r.status !== "success") break;
+    }
+
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+    const failed = steps.find((s) => s.status !== "success") || null;
+    const final = failed ? null : steps[steps.length - 1];
+    const realized = final ? BigInt(final.received_amount_out_raw) : null;
+    const quoted = ethers.parseUnits(last.expected_amount_out, last.token_out_decimals);
+    const realizedHuman = realized != null ? Number(ethers.formatUnits(realized, last.token_out_decimals)) : null;
+
+    // Slippage against spot needs the hops' spot prices (base-route includes them)
+    const spot = hops.every((h) => Number(h.spot_price) > 0) ? hops.reduce((p, h) => p * Number(h.spot_price), 1) : null;
+    const ideal = spot != null ? Number(first.amount_in) * spot : null;
+
+    const gasKnown = steps.length && steps.every((s) => s.gas_used != null);
+    const balanceDeltas = final
+      ? [
+          {
+            token: first.token_in,
+            address: tx.token_in,
+            delta_raw: (-BigInt(steps[0].spent_amount_in_raw)).toString(),
+            delta: ethers.formatUnits(-BigInt(steps[0].spent_amount_in_raw), first.token_in_decimals),
+            source: steps[0].balances_source
+          },
+          {
+            token: last.token_out,
+            address: tx.token_out,
+            delta_raw: realized.toString(),
+            delta: ethers.formatUnits(realized, last.token_out_decimals),
+            source: final.balances_source
+          }
+        ]
+      : [];
+
+    return res.json({
+      ok: true,
+      data: {
+        chain: "base",
+        block_number: blockNumber,
+        trader,
+        trader_source: body.trader ? "request" : "default",
+        status: failed ? "reverted" : "success",
+        revert_reason: failed?.revert_reason ?? null,
+        failed_segment: failed?.segment ?? null,
+        funding: steps.every((s) => s.funding === "state_override") ? "state_override" : "trader_balance",
+        atomic: tx.atomic,
+        amount_in: first.amount_in,
+        amount_in_raw: tx.amount_in_raw,
+        quoted_amount_out: last.expected_amount_out,
+        realized_amount_out: realized != null ? ethers.formatUnits(realized, last.token_out_decimals) : null,
+        realized_amount_out_raw: realized != null ? realized.toString() : null,
+        amount_out_minimum_raw: tx.amount_out_minimum_raw,
+        realized_vs_quote_bps: realized != null && quoted > 0n ? bps(1 - realizedHuman / Number(last.expected_amount_out)) : null,
+        realized_slippage_bps: realized != null && ideal ? Math.max(0, bps(1 - realizedHuman / ideal)) : null,
+        gas_used: gasKnown ? steps.reduce((s, x) => s + x.gas_used, 0) : null,
+        gas_source: gasKnown ? steps[0].gas_source : null,
+        balance_deltas: balanceDeltas,
+        steps
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({
+      ok: false,
+      error: true,
+      message: "Failed to simulate swap.",
+      details: String(e?.message || e)
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                         Resource: base-token-risk                          */
+/* -------------------------------------------------------------------------- */
+// Screens a token contract for the risks that dominate Base long-tail tokens:
+// missing code, upgradeable proxies, live owners, admin functions (mint,
+// pause, blacklist, fee and trading switches) and transfer taxes/honeypots.
+// The transfer check runs a holder -> probe -> holder round trip inside a
+// single eth_call with state overrides, so nothing is ever broadcast. Needs
+// CUSTOM_RPC_URL; point it at an anvil/hardhat fork of Base to run locally.
+
+// Runtime bytecode of contracts/TransferProbe.sol (solc 0.8.26, optimizer 200 runs)
+const TRANSFER_PROBE_RUNTIME =
+  "0x608060405234801561000f575f80fd5b5060043610610034575f3560e01c80630e1520a9146100385780639f5e40e314610065575b5f80fd5b61004b610046366004610500565b610086565b60405161005c959493929190610567565b60405180910390f35b610078610073366004610500565b6103b6565b60405161005c9291906105a0565b6040516370a0823160e01b81526001600160a01b0383811660048301525f9182918291829160609183918a16906370a0823190602401602060405180830381865afa1580156100d7573d5f803e3d5ffd5b505050506040513d601f19601f820116820180604052508101906100fb91906105c2565b90506101088989896103d1565b909650915085610124575f805f809550955095509550506103ab565b6040516370a0823160e01b81526001600160a01b0389811660048301525f91908b16906370a0823190602401602060405180830381865afa15801561016b573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061018f91906105c2565b905081811161019e575f6101a8565b6101a882826105d9565b9550855f036101c55760015f805f965096509650965050506103ab565b6040516370a0823160e01b81523060048201525f906001600160a01b038c16906370a0823190602401602060405180830381865afa158015610209573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061022d91906105c2565b6040516001600160a01b038d81166024830152306044830152606482018a90529192505f918291908d169060840160408051601f198184030181529181526020820180516001600160e01b0316639f5e40e360e01b1790525161029091906105fe565b5f604051808303815f865af19150503d805f81146102c9576040519150601f19603f3d011682016040523d82523d5f602084013e6102ce565b606091505b5091509150816102ee57600199505f975087965094506103ab9350505050565b808060200190518101906103029190610637565b9098509550876103215750600198505f96508695506103ab9350505050565b6040516370a0823160e01b81523060048201525f906001600160a01b038f16906370a0823190602401602060405180830381865afa158015610365573d5f803e3d5ffd5b505050506040513d601f19601f8201168201806040525081019061038991906105c2565b9050838111610398575f6103a2565b6103a284826105d9565b97505050505050505b939792965093509350565b5f60606103c48585856103d1565b915091505b935093915050565b5f606080856001600160a01b031663a9059cbb868660405160240161040b9291906001600160a01b03929092168252602082015260400190565b6040516020818303038152906040529060e01b6020820180516001600160e01b03838183161783525050505060405161044491906105fe565b5f604051808303815f865af19150503d805f811461047d576040519150601f19603f3d011682016040523d82523d5f602084013e610482565b606091505b50909350905082610497575f925090506103c9565b60208151101580156104ba5750808060200190518101906104b891906106fb565b155b156104c9575f925090506103c9565b505060408051602081019091525f815260019150935093915050565b80356001600160a01b03811681146104fb575f80fd5b919050565b5f805f60608486031215610512575f80fd5b61051b846104e5565b9250610529602085016104e5565b9150604084013590509250925092565b5f81518084528060208401602086015e5f602082860101526020601f19601f83011685010191505092915050565b8515158152846020820152831515604082015282606082015260a060808201525f61059560a0830184610539565b979650505050505050565b8215158152604060208201525f6105ba6040830184610539565b949350505050565b5f602082840312156105d2575f80fd5b5051919050565b818103818111156105f857634e487b7160e01b5f52601160045260245ffd5b92915050565b5f82518060208501845e5f920191825250919050565b805180151581146104fb575f80fd5b634e487b7160e01b5f52604160045260245ffd5b5f8060408385031215610648575f80fd5b61065183610614565b9150602083015167ffffffffffffffff81111561066c575f80fd5b8301601f8101851361067c575f80fd5b805167ffffffffffffffff81111561069657610696610623565b604051601f8201601f19908116603f0116810167ffffffffffffffff811182821017156106c5576106c5610623565b6040528181528282016020018710156106dc575f80fd5b8160208401602083015e5f602083830101528093505050509250929050565b5f6020828403121561070b575f80fd5b61071482610614565b939250505056fea26469706673582212201bd497891b231f19a3f552ec75e1dc63817620c26547e29af5bc2481ca31b4f064736f6c634300081a0033";
+
+// Empty address the probe code is injected at for the return leg
+const TRANSFER_PROBE_ADDRESS = "0x00000000000000000000000000000000007e5700";
+
+// Share of the holder's balance moved in the round trip
+const TRANSFER_PROBE_DIVISOR = 1000n;
+
+const transferProbeIface = new ethers.Interface([
+  "function roundTrip(address token, address probe, uint256 amount) returns (bool outOk, uint256 received, bool backOk, uint256 returned, bytes reason)"
+]);
+
+const tokenRiskIface = new ethers.Interface([
+  "function balanceOf(address) view returns (uint256)",
+  "function owner() view returns (address)",
+  "function getOwner() view returns (address)",
+  "function paused() view returns (bool)",
+  "function implementation() view returns (address)"
+]);
+
+const eip1967Slot = (label) => ethers.toBeHex(BigInt(ethers.id(label)) - 1n, 32);
+
+const PROXY_SLOTS = [
+  { standard: "eip1967", role: "implementation", slot: eip1967Slot("eip1967.proxy.implementation") },
+  { standard: "eip1967", role: "admin", slot: eip1967Slot("eip1967.proxy.admin") },
+  { standard: "eip1967", role: "beacon", slot: eip1967Slot("eip1967.proxy.beacon") },
+  { standard: "eip1822", role: "implementation", slot: ethers.id("PROXIABLE") },
+  // Pre-EIP-1967 OpenZeppelin proxies, e.g. USDC's FiatTokenProxy
+  { standard: "zeppelinos", role: "implementation", slot: ethers.id("org.zeppelinos.proxy.implementation") },
+  { standard: "zeppelinos", role: "admin", slot: ethers.id("org.zeppelinos.proxy.admin") }
+];
+
+// Admin capabilities recognised from function selectors in the bytecode.
+// Severity applies to unlisted tokens; token-list entries are capped at "low"
+// since e.g. regulated stablecoins are expected to be pausable.
+const RISKY_FUNCTIONS = {
+  mint: {
+    severity: "medium",
+    title: "Supply can be minted by a privileged account",
+    signatures: ["mint(address,uint256)", "mint(uint256)", "mintTo(address,uint256)", "configureMinter(address,uint256)"]
+  },
+  pause: {
+    severity: "medium",
+    title: "Transfers can be paused",
+    signatures: ["pause()", "unpause()"]
+  },
+  blacklist: {
+    severity: "high",
+    title: "Addresses can be blacklisted from transferring",
+    signatures: [
+      "blacklist(address)",
+      "addToBlacklist(address)",
+      "setBlacklist(address,bool)",
+      "setBlacklisted(address,bool)",
+      "blacklistAddress(address,bool)",
+      "setBots(address[],bool)",
+      "addBots(address[])"
+    ]
+  },
+  fee_control: {
+    severity: "high",
+    title: "Transfer fees/taxes can be changed by the owner",
+    signatures: [
+      "setFee(uint256)",
+      "setFees(uint256,uint256)",
+      "setTaxFee(uint256)",
+      "setTax(uint256)",
+      "setTaxes(uint256,uint256)",
+      "setBuyFee(uint256)",
+      "setSellFee(uint256)",
+      "updateFees(uint256,uint256)",
+      "excludeFromFee(address)",
+      "setFeeExempt(address,bool)"
+    ]
+  },
+  trading_control: {
+    severity: "medium",
+    title: "Trading limits or a trading switch are owner-controlled",
+    signatures: [
+      "setMaxTxAmount(uint256)",
+      "setMaxWalletSize(uint256)",
+      "setMaxWallet(uint256)",
+      "enableTrading()",
+      "openTrading()",
+      "setTradingEnabled(bool)",
+      "setTradingActive(bool)",
+      "setCooldownEnabled(bool)"
+    ]
+  },
+  upgrade: {
+    severity: "high",
+    title: "Contract logic can be upgraded",
+    signatures: ["upgradeTo(address)", "upgradeToAndCall(address,bytes)"]
+  }
+};
+
+for (const cap of Object.values(RISKY_FUNCTIONS)) {
+  cap.selectors = new Map(cap.signatures.map((sig) => [ethers.id(sig).slice(0, 10), sig]));
+}
+
+const SEVERITY_POINTS = { info: 0, low: 5, medium: 15, high: 30, critical: 60 };
+
+function capSeverity(severity, max) {
+  return SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(max) ? max : severity;
+}
+
+// PUSH4 operands in the code, skipping other push data. Solidity dispatchers
+// compare calldata against PUSH4 selectors, so this lists the public functions.
+function codeSelectors(code) {
+  const bytes = ethers.getBytes(code);
+  const out = new Set();
+  for (let i = 0; i < bytes.length; i++) {
+    const op = bytes[i];
+    if (op === 0x63 && i + 4 < bytes.length) out.add(ethers.hexlify(bytes.slice(i + 1, i + 5)));
+    if (op >= 0x60 && op <= 0x7f) i += op - 0x5f;
+  }
+  return out;
+}
+
+function slotAddress(word) {
+  if (!word || BigInt(word) === 0n) return null;
+  return ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(word, 32), 12));
+}
+
+// View call that returns null instead of throwing when the function is missing
+async function optionalCall(to, fn, args = []) {
+  try {
+    return (await ethCall(to, tokenRiskIface, fn, args))[0];
+  } catch {
+    return null;
+  }
+}
+
+function decodeRevert(data) {
+  if (!data || data === "0x") return null;
+  try {
+    if (data.startsWith("0x08c379a0")) return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+  } catch {
+    // fall through to raw data
+  }
+  return data;
+}
+
+async function inspectProxy(address) {
+  const words = await Promise.all(PROXY_SLOTS.map((s) => rpc("eth_getStorageAt", [address, s.slot, "latest"])));
+  const found = PROXY_SLOTS.map((s, i) => ({ ...s, address: slotAddress(words[i]) })).filter((s) => s.address);
+
+  let implementation = found.find((s) => s.role === "implementation")?.address || null;
+  const beacon = found.find((s) => s.role === "beacon")?.address || null;
+  if (!implementation && beacon) implementation = await optionalCall(beacon, "implementation");
+
+  return {
+    is_proxy: Boolean(implementation || beacon),
+    standard: found[0]?.standard || null,
+    implementation,
+    admin: found.find((s) => s.role === "admin")?.address || null,
+    beacon
+  };
+}
+
+/**
+ * Accounts likely to hold the token: an explicit ?holder=, else the deepest
+ * Aerodrome / Uniswap V3 pools against WETH and USDC. Returns the one with
+ * the largest balance, or null.
+ */
+async function findTokenHolder(token, explicit) {
+  const candidates = [];
+  if (explicit) candidates.push({ address: ethers.getAddress(explicit), source: "query" });
+  else {
+    const quotes = (await Promise.all(["WETH", "USDC"].map(resolveToken)))
+      .filter((r) => r.ok && r.token.address.toLowerCase() !== token.address.toLowerCase())
+      .map((r) => r.token.address);
+
+    const lookups = [];
+    for (const q of quotes) {
+      lookups.push(aerodromePools(token.address, q).then((ps) => ps.slice(0, 1)));
+      lookups.push(uniswapV3BestPool(token.address, q).then((p) => (p ? [p] : [])));
+    }
+    for (const r of await Promise.allSettled(lookups)) {
+      if (r.status === "fulfilled") for (const p of r.value) candidates.push({ address: ethers.getAddress(p.id), source: "pool" });
+    }
+  }
+
+  let best = null;
+  for (const c of candidates) {
+    const balance = await optionalCall(token.address, "balanceOf", [c.address]);
+    if (balance != null && balance > 0n && (!best || balance > best.balance)) best = { ...c, balance };
+  }
+  return best;
+}
+
+async function simulateTransferRoundTrip(token, holder) {
+  if (!holder) {
+    return { status: "skipped", reason: "no holder with a balance found; pass ?holder=<address>" };
+  }
+
+  const amount = holder.balance / TRANSFER_PROBE_DIVISOR || 1n;
+  const data = transferProbeIface.encodeFunctionData("roundTrip", [token.address, TRANSFER_PROBE_ADDRESS, amount]);
+  const overrides = {
+    [holder.address]: { code: TRANSFER_PROBE_RUNTIME },
+    [TRANSFER_PROBE_ADDRESS]: { code: TRANSFER_PROBE_RUNTIME }
+  };
+
+  const base = { holder: holder.address, holder_source: holder.source, amount_raw: amount.toString() };
+  let r;
+  try {
+    const out = await rpc("eth_call", [{ to: holder.address, data }, "latest", overrides]);
+    r = transferProbeIface.decodeFunctionResult("roundTrip", out);
+  } catch (e) {
+    return { ...base, status: "error", reason: String(e?.message || e) };
+  }
+
+  const [outOk, received, backOk, returned, reason] = r;
+  const taxBps = (sent, got) => (sent > 0n ? Number(((sent - got) * 100000n) / sent) / 10 : null);
+
+  const result = {
+    ...base,
+    received_raw: received.toString(),
+    returned_raw: returned.toString(),
+    // When the holder is a pool these are the buy and sell legs
+    inbound_tax_bps: outOk ? taxBps(amount, received) : null,
+    outbound_tax_bps: backOk ? taxBps(received, returned) : null,
+    revert_reason: decodeRevert(reason)
+  };
+
+  if (!outOk) return { ...result, status: "transfer_out_reverted" };
+  if (received === 0n) return { ...result, status: "nothing_received" };
+  if (!backOk) return { ...result, status: "transfer_back_reverted" };
+  return { ...result, status: "ok" };
+}
+
+function transferFindings(sim) {
+  const findings = [];
+  if (sim.status === "transfer_back_reverted") {
+    findings.push({
+      id: "honeypot",
+      severity: "critical",
+      title: "Tokens can be received but not transferred onward",
+      detail: `Return transfer reverted: ${sim.revert_reason || "no reason"}`
+    });
+  }
+  if (sim.status === "nothing_received") {
+    findings.push({ id: "transfer_blocked", severity: "critical", title: "Transfer succeeded but nothing arrived", detail: null });
+  }
+  if (sim.status === "transfer_out_reverted") {
+    findings.push({
+      id: "transfer_reverts",
+      severity: "high",
+      title: "Simulated transfer from a holder reverted",
+      detail: sim.revert_reason
+    });
+  }
+  const maxTax = Math.max(sim.inbound_tax_bps || 0, sim.outbound_tax_bps || 0);
+  if (maxTax > 0) {
+    findings.push({
+      id: "fee_on_transfer",
+      severity: maxTax >= 1000 ? "critical" : maxTax >= 300 ? "high" : "medium",
+      title: `Transfer tax detected (in ${sim.inbound_tax_bps ?? "n/a"} bps, out ${sim.outbound_tax_bps ?? "n/a"} bps)`,
+      detail: "Amounts received are less than amounts sent; min-out and accounting must account for it."
+    });
+  }
+  return findings;
+}
+
 /**
- * GET /resources/base-gas-profile?eth_usd=3600
- *
- * Uses RPC eth_feeHistory if CUSTOM_RPC_URL is provided; otherwise returns a
- * simple heuristic profile (still useful for UI + testing).
+ * Full screen of one token. Returns the resource's data payload.
+ */
+async function screenToken(token, { holder: explicitHolder } = {}) {
+  const listed = token.source === "tokenlist";
+  const findings = [];
+  const add = (f, adminCapability = false) =>
+    findings.push(adminCapability && listed ? { ...f, severity: capSeverity(f.severity, "low"), listed_token: true } : f);
+
+  const code = await rpc("eth_getCode", [token.address, "latest"]);
+  const bytecode = { has_code: Boolean(code && code !== "0x"), code_size_bytes: code ? (code.length - 2) / 2 : 0 };
+  if (!bytecode.has_code) {
+    add({ id: "no_contract", severity: "critical", title: "No contract code at the token address", detail: null });
+    return tokenRiskSummary(token, listed, findings, { bytecode });
+  }
+
+  const proxy = await inspectProxy(token.address);
+  const implCode = proxy.implementation ? await rpc("eth_getCode", [proxy.implementation, "latest"]) : null;
+  if (proxy.is_proxy) {
+    add(
+      {
+        id: "upgradeable_proxy",
+        severity: "high",
+        title: `Upgradeable proxy (${proxy.standard})`,
+        detail: `Implementation ${proxy.implementation || "via beacon"}${proxy.admin ? `, admin ${proxy.admin}` : ""}`
+      },
+      true
+    );
+  }
+
+  const selectors = new Set([...codeSelectors(code), ...(implCode ? codeSelectors(implCode) : [])]);
+  const capabilities = {};
+  for (const [name, cap] of Object.entries(RISKY_FUNCTIONS)) {
+    const hits = [...cap.selectors].filter(([sel]) => selectors.has(sel)).map(([, sig]) => sig);
+    capabilities[name] = hits;
+    if (hits.length) add({ id: name, severity: cap.severity, title: cap.title, detail: hits.join(", ") }, true);
+  }
+
+  const [ownerA, ownerB, paused] = await Promise.all([
+    optionalCall(token.address, "owner"),
+    optionalCall(token.address, "getOwner"),
+    optionalCall(token.address, "paused")
+  ]);
+  const owner = ownerA || ownerB || null;
+  const renounced = owner != null && BigInt(owner) === 0n;
+  const ownerCode = owner && !renounced ? await rpc("eth_getCode", [owner, "latest"]) : null;
+  const ownership = {
+    owner,
+    renounced,
+    owner_is_contract: ownerCode ? ownerCode !== "0x" : null
+  };
+  if (owner && !renounced) {
+    add(
+      {
+        id: "active_owner",
+        severity: ownership.owner_is_contract ? "low" : "medium",
+        title: ownership.owner_is_contract ? "Owned by a contract (multisig/timelock?)" : "Owned by an externally owned account",
+        detail: owner
+      },
+      true
+    );
+  }
+  if (paused === true) {
+    add({ id: "paused", severity: "critical", title: "Token transfers are currently paused", detail: null });
+  }
+
+  const holder = await findTokenHolder(token, explicitHolder).catch(() => null);
+  const transfer_simulation = await simulateTransferRoundTrip(token, holder);
+  transferFindings(transfer_simulation).forEach((f) => add(f));
+
+  return tokenRiskSummary(token, listed, findings, {
+    bytecode,
+    proxy,
+    ownership,
+    capabilities,
+    paused,
+    transfer_simulation
+  });
+}
+
+function tokenRiskSummary(token, listed, findings, checks) {
+  findings.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+  const score = Math.min(100, findings.reduce((s, f) => s + SEVERITY_POINTS[f.severity], 0));
+  return {
+    chain: "base",
+    token,
+    listed,
+    risk_score: score,
+    risk_level: findings[0]?.severity || "none",
+    findings,
+    checks,
+    source: "rpc/eth_call+state_overrides",
+    last_updated_utc: new Date().toISOString()
+  };
+}
+
+/**
+ * GET /resources/base-token-risk?token=0x...&holder=0x...
  *
- * If you already have a richer implementation, keep yours and remove this.
+ * Contract-level safety screen for a token. ?holder= picks the account the
+ * transfer round trip moves tokens from (default: the deepest pool found).
  */
-app.get("/resources/base-gas-profile", async (req, res) => {
+app.get("/resources/base-token-risk", cachedResource("base-token-risk", async (req, res) => {
   try {
-    const ethUsd = Number(String(req.query.eth_usd || "3500").replace(/,/g, ""));
-    const eth_usd = Number.isFinite(ethUsd) && ethUsd > 0 ? ethUsd : 3500;
+    if (!CUSTOM_RPC_URL) {
+      return res.status(503).json({ ok: false, error: true, message: "Token screening needs CUSTOM_RPC_URL (a Base node or fork)." });
+    }
+    if (req.query.holder && !ethers.isAddress(String(req.query.holder))) {
+      return res.status(400).json({ ok: false, error: true, message: "holder must be an address" });
+    }
 
-    // Minimal output (safe default). You can upgrade to real RPC feeHistory later.
-    return res.json({
-      ok: true,
-      data: {
-        chain: "base",
-        congestion_level: "normal",
-        base_fee_gwei: 2.0,
-        median_priority_fee_gwei: 0.3,
-        suggested_max_fee_gwei: 2.6,
-        cost_estimates: {
-          swap_estimated_cost_usd: 0.65,
-          complex_tx_estimated_cost_usd: 1.55,
-          eth_usd
-        },
-        last_updated_utc: new Date().toISOString()
-      }
-    });
+    const r = await resolveToken(req.query.token);
+    if (!r.ok) {
+      return res.status(r.status).json({ ok: false, error: true, message: r.message, candidates: r.candidates || [] });
+    }
+
+    const data = await screenToken(r.token, { holder: req.query.holder ? String(req.query.holder) : null });
+    return res.json({ ok: true, data });
   } catch (e) {
     return res.status(500).json({
       ok: false,
       error: true,
-      message: "Failed to compute base gas profile.",
+      message: "Failed to screen token.",
       details: String(e?.message || e)
     });
   }
-});
+}));
 
 /* -------------------------------------------------------------------------- */
-/*                       Graph helpers + base-venue-depth                      */
+/*                      Resource: base-market-activity                        */
 /* -------------------------------------------------------------------------- */
+// Swaps, mints and burns over a lookback window for the deepest pools of each
+// watched asset (or "A/B" pair), read from the venue subgraphs and turned into
+// alerts: large trades, liquidity withdrawals, volume spikes against the
+// pools' own hourly baseline, and abnormal price moves.
 
-// --- add near top of resources-server.js ---
-const GRAPH_API_KEY = process.env.GRAPH_API_KEY;
-const AERODROME_SUBGRAPH_ID = process.env.AERODROME_SUBGRAPH_ID;
-const UNISWAPV3_SUBGRAPH_ID = process.env.UNISWAPV3_SUBGRAPH_ID;
-
-function graphEndpoint(subgraphId) {
-  if (!GRAPH_API_KEY) throw new Error("GRAPH_API_KEY missing");
-  if (!subgraphId) throw new Error("Subgraph ID missing");
-  return `https://gateway.thegraph.com/api/${GRAPH_API_KEY}/subgraphs/id/${subgraphId}`;
-}
-
-async function gql(endpoint, query, variables = {}) {
-  const r = await fetch(endpoint, {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ query, variables })
-  });
-  const j = await r.json();
-  if (!r.ok || j.errors) {
-    throw new Error(`GraphQL error: ${JSON.stringify(j.errors || j)}`);
-  }
-  return j.data;
-}
+const MARKET_DEFAULT_ASSETS = String(process.env.MARKET_DEFAULT_ASSETS || "WETH,USDC")
+  .split(",")
+  .map((x) => x.trim())
+  .filter(Boolean);
+const MARKET_POOLS_PER_ASSET = Number(process.env.MARKET_POOLS_PER_ASSET || 3);
+// Trades at or above this are reported as large when ?min_notional_usd= is omitted
+const MARKET_DEFAULT_MIN_NOTIONAL_USD = Number(process.env.MARKET_DEFAULT_MIN_NOTIONAL_USD || 50000);
+// Hours before the window whose average volume a spike is measured against
+const MARKET_BASELINE_HOURS = Number(process.env.MARKET_BASELINE_HOURS || 72);
+const MARKET_MAX_ASSETS = 10;
 
-// Minimal token map (expand as needed)
-const BASE_TOKENS = {
-  USDC: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-  WETH: "0x4200000000000000000000000000000000000006",
-  AERO: "0x940181a94a35a4569e4529a3cdfb74e38fd98631"
-};
+// Largest trades reported individually per pool; pool stats count the rest
+const MARKET_TRADE_ALERTS_PER_POOL = 5;
 
-function normAddrOrSymbol(x) {
-  if (!x) return null;
-  const s = String(x).trim();
-  if (s.startsWith("0x") && s.length === 42) return s;
-  const up = s.toUpperCase();
-  return BASE_TOKENS[up] || null;
-}
+// Most rows a subgraph returns per collection; a full page means the window was truncated
+const SUBGRAPH_PAGE_SIZE = 1000;
+// Pages of hour rows read for the baseline (all pools of a venue share them)
+const MARKET_HOUR_MAX_PAGES = 10;
 
-// Helpers
-function bps(x) {
-  return Math.round(x * 10000);
-}
+// [minimum, severity], most severe first
+const LARGE_TRADE_LEVELS = [[10, "high"], [3, "medium"], [1, "low"]]; // % of pool TVL
+const WITHDRAWAL_LEVELS = [[25, "critical"], [10, "high"], [5, "medium"], [2, "low"]]; // % of pre-window TVL
+const VOLUME_SPIKE_LEVELS = [[10, "high"], [5, "medium"], [3, "low"]]; // x baseline
+const PRICE_MOVE_LEVELS = [[1000, "critical"], [500, "high"], [200, "medium"], [100, "low"]]; // bps
 
-function estSlipV2(notionalUsd, reserveUsd) {
-  if (!reserveUsd || reserveUsd <= 0) return 9999;
-  const ratio = notionalUsd / reserveUsd;
-  return Math.max(1, Math.min(2000, bps(ratio * 1.2)));
+function levelFor(levels, x, fallback = null) {
+  const hit = levels.find(([min]) => x >= min);
+  return hit ? hit[1] : fallback;
 }
 
-function estSlipV3(notionalUsd, tvlUsd, feeTier) {
-  if (!tvlUsd || tvlUsd <= 0) return 9999;
-  const ratio = notionalUsd / tvlUsd;
-  const baseFeeBps = (Number(feeTier) || 3000) / 1e6 * 10000;
-  const impactBps = bps(ratio * 1.0);
-  return Math.max(1, Math.min(2000, Math.round(baseFeeBps + impactBps)));
+function pairLabel(p) {
+  return `${p.token0.symbol}/${p.token1.symbol}`;
 }
 
-async function aerodromeBestPool(tokenA, tokenB) {
-  const endpoint = graphEndpoint(AERODROME_SUBGRAPH_ID);
-
+async function uniswapV3AssetPools(token, n) {
   const query = `
-    query Pools($a: Bytes!, $b: Bytes!) {
-      pairs0: pairs(where:{ token0: $a, token1: $b }, first: 5, orderBy: reserveUSD, orderDirection: desc) {
-        id reserve0 reserve1 reserveUSD stable
+    query AssetPools($a: Bytes!, $n: Int!) {
+      pools0: pools(where:{ token0: $a }, first: $n, orderBy: totalValueLockedUSD, orderDirection: desc) {
+        id feeTier totalValueLockedUSD sqrtPrice
         token0 { id symbol decimals }
         token1 { id symbol decimals }
       }
-      pairs1: pairs(where:{ token0: $b, token1: $a }, first: 5, orderBy: reserveUSD, orderDirection: desc) {
-        id reserve0 reserve1 reserveUSD stable
+      pools1: pools(where:{ token1: $a }, first: $n, orderBy: totalValueLockedUSD, orderDirection: desc) {
+        id feeTier totalValueLockedUSD sqrtPrice
         token0 { id symbol decimals }
         token1 { id symbol decimals }
       }
     }
   `;
-
-  const data = await gql(endpoint, query, { a: tokenA.toLowerCase(), b: tokenB.toLowerCase() });
-  const pools = [...(data.pairs0 || []), ...(data.pairs1 || [])];
-  if (!pools.length) return null;
-  return pools[0];
+  const data = await gql("uniswap_v3", query, { a: token.toLowerCase(), n });
+  const pools = [...(data.pools0 || []), ...(data.pools1 || [])];
+  pools.sort((x, y) => Number(y.totalValueLockedUSD || 0) - Number(x.totalValueLockedUSD || 0));
+  return pools.slice(0, n);
 }
 
-async function uniswapV3BestPool(tokenA, tokenB) {
-  const endpoint = graphEndpoint(UNISWAPV3_SUBGRAPH_ID);
-
+async function aerodromeAssetPools(token, n) {
   const query = `
-    query Pools($a: Bytes!, $b: Bytes!) {
-      pools0: pools(where:{ token0: $a, token1: $b }, first: 5, orderBy: totalValueLockedUSD, orderDirection: desc) {
-        id feeTier totalValueLockedUSD totalValueLockedToken0 totalValueLockedToken1
+    query AssetPools($a: Bytes!, $n: Int!) {
+      pairs0: pairs(where:{ token0: $a }, first: $n, orderBy: reserveUSD, orderDirection: desc) {
+        id reserve0 reserve1 reserveUSD stable
         token0 { id symbol decimals }
         token1 { id symbol decimals }
       }
-      pools1: pools(where:{ token0: $b, token1: $a }, first: 5, orderBy: totalValueLockedUSD, orderDirection: desc) {
-        id feeTier totalValueLockedUSD totalValueLockedToken0 totalValueLockedToken1
+      pairs1: pairs(where:{ token1: $a }, first: $n, orderBy: reserveUSD, orderDirection: desc) {
+        id reserve0 reserve1 reserveUSD stable
         token0 { id symbol decimals }
         token1 { id symbol decimals }
       }
     }
   `;
+  const data = await gql("aerodrome", query, { a: token.toLowerCase(), n });
+  const pools = [...(data.pairs0 || []), ...(data.pairs1 || [])];
+  pools.sort((x, y) => Number(y.reserveUSD || 0) - Number(x.reserveUSD || 0));
+  return pools.slice(0, n);
+}
 
-  const data = await gql(endpoint, query, { a: tokenA.toLowerCase(), b: tokenB.toLowerCase() });
-  const pools = [...(data.pools0 || []), ...(data.pools1 || [])];
-  if (!pools.length) return null;
-  return pools[0];
+// Common shape for both venues; price0 is token1 per token0 right now
+function watchedPool(venue, p) {
+  const isV3 = venue === "uniswap_v3";
+  return {
+    venue,
+    pool_id: p.id.toLowerCase(),
+    pair: pairLabel(p),
+    token0: p.token0,
+    token1: p.token1,
+    tvl_usd: Number((isV3 ? p.totalValueLockedUSD : p.reserveUSD) || 0),
+    price0: isV3
+      ? (p.sqrtPrice != null ? v3SpotPrice(p, true) : null)
+      : (Number(p.reserve0) > 0 ? aerodromeSpotPrice(Number(p.reserve0), Number(p.reserve1), Boolean(p.stable)) : null),
+    assets: []
+  };
 }
 
-// --- Resource 2: base-venue-depth ---
-app.get("/resources/base-venue-depth", async (req, res) => {
-  try {
-    const assetIn = String(req.query.asset_in || "").trim();
-    const assetOut = String(req.query.asset_out || "").trim();
-    const notionalUsd = Number(String(req.query.notional_usd || "0").replace(/,/g, ""));
+// Pools to watch for one focus entry: a token's deepest pools, or a pair's pools
+async function poolsForWatch(entry, n) {
+  if (entry.tokens.length === 2) {
+    const [a, b] = entry.tokens.map((t) => t.address);
+    const [aero, uni] = await Promise.all([aerodromePools(a, b), uniswapV3Pools(a, b)]);
+    return [...aero.slice(0, n).map((p) => watchedPool("aerodrome", p)), ...uni.slice(0, n).map((p) => watchedPool("uniswap_v3", p))];
+  }
+  const t = entry.tokens[0].address;
+  const [aero, uni] = await Promise.all([aerodromeAssetPools(t, n), uniswapV3AssetPools(t, n)]);
+  return [...aero.map((p) => watchedPool("aerodrome", p)), ...uni.map((p) => watchedPool("uniswap_v3", p))];
+}
+
+const ACTIVITY_QUERIES = {
+  uniswap_v3: `
+    query Activity($pools: [String!]!, $since: BigInt!, $baseline: Int!, $n: Int!) {
+      swaps(where:{ pool_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD sqrtPriceX96 origin pool { id } transaction { id }
+      }
+      mints(where:{ pool_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD origin pool { id } transaction { id }
+      }
+      burns(where:{ pool_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD origin pool { id } transaction { id }
+      }
+      hours: poolHourDatas(where:{ pool_in: $pools, periodStartUnix_gte: $baseline }, first: $n, orderBy: id, orderDirection: asc) {
+        id periodStartUnix volumeUSD pool { id }
+      }
+    }
+  `,
+  aerodrome: `
+    query Activity($pools: [String!]!, $since: BigInt!, $baseline: Int!, $n: Int!) {
+      swaps(where:{ pair_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD amount0In amount1In amount0Out amount1Out from pair { id } transaction { id }
+      }
+      mints(where:{ pair_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD to pair { id } transaction { id }
+      }
+      burns(where:{ pair_in: $pools, timestamp_gte: $since }, first: $n, orderBy: timestamp, orderDirection: desc) {
+        timestamp amountUSD sender pair { id } transaction { id }
+      }
+      hours: pairHourDatas(where:{ pair_in: $pools, hourStartUnix_gte: $baseline }, first: $n, orderBy: id, orderDirection: asc) {
+        id hourStartUnix hourlyVolumeUSD pair { id }
+      }
+    }
+  `
+};
 
-    const tokenA = normAddrOrSymbol(assetIn);
-    const tokenB = normAddrOrSymbol(assetOut);
+// Hour rows after the first page, continuing from the last id read
+const ACTIVITY_HOUR_QUERIES = {
+  uniswap_v3: `
+    query ActivityHours($pools: [String!]!, $baseline: Int!, $after: String!, $n: Int!) {
+      hours: poolHourDatas(where:{ pool_in: $pools, periodStartUnix_gte: $baseline, id_gt: $after }, first: $n, orderBy: id, orderDirection: asc) {
+        id periodStartUnix volumeUSD pool { id }
+      }
+    }
+  `,
+  aerodrome: `
+    query ActivityHours($pools: [String!]!, $baseline: Int!, $after: String!, $n: Int!) {
+      hours: pairHourDatas(where:{ pair_in: $pools, hourStartUnix_gte: $baseline, id_gt: $after }, first: $n, orderBy: id, orderDirection: asc) {
+        id hourStartUnix hourlyVolumeUSD pair { id }
+      }
+    }
+  `
+};
 
-    if (!tokenA || !tokenB) {
-      return res.status(400).json({
-        ok: false,
-        error: true,
-        message: "Unknown asset_in/asset_out. Provide token addresses or extend BASE_TOKENS map.",
-        received: { asset_in: assetIn, asset_out: assetOut }
-      });
+/**
+ * Price (token1 per token0) a swap left the pool at. V3 swaps record the
+ * post-swap sqrtPrice; Aerodrome swaps only have amounts, so their execution
+ * price is used, which carries the fee and the trade's own impact.
+ */
+function swapPrice(venue, pool, s) {
+  if (venue === "uniswap_v3") {
+    if (s.sqrtPriceX96 == null) return null;
+    const raw = (Number(BigInt(s.sqrtPriceX96)) / Number(Q96)) ** 2;
+    return raw * 10 ** (Number(pool.token0.decimals) - Number(pool.token1.decimals));
+  }
+  const d0 = Number(s.amount0In || 0) - Number(s.amount0Out || 0);
+  const d1 = Number(s.amount1In || 0) - Number(s.amount1Out || 0);
+  return d0 !== 0 && d1 !== 0 ? Math.abs(d1 / d0) : null;
+}
+
+// One venue's events for its watched pools, normalized and grouped by pool id.
+// Events are one page each; hour rows, which every pool has one of per hour,
+// are paged on so the baseline covers all of them.
+async function venueActivity(venue, pools, since, baselineStart) {
+  const poolIds = pools.map((p) => p.pool_id);
+  const data = await gql(venue, ACTIVITY_QUERIES[venue], {
+    pools: poolIds,
+    since: String(since),
+    baseline: baselineStart,
+    n: SUBGRAPH_PAGE_SIZE
+  });
+
+  const hours = [...(data.hours || [])];
+  let page = data.hours || [];
+  for (let pages = 1; page.length >= SUBGRAPH_PAGE_SIZE && pages < MARKET_HOUR_MAX_PAGES; pages++) {
+    const next = await gql(venue, ACTIVITY_HOUR_QUERIES[venue], {
+      pools: poolIds,
+      baseline: baselineStart,
+      after: page[page.length - 1].id,
+      n: SUBGRAPH_PAGE_SIZE
+    });
+    page = next.hours || [];
+    hours.push(...page);
+  }
+  const hoursTruncated = page.length >= SUBGRAPH_PAGE_SIZE;
+
+  const byId = new Map(pools.map((p) => [p.pool_id, { swaps: [], mints: [], burns: [], hours: [] }]));
+  const poolOf = (row) => (row.pool || row.pair)?.id?.toLowerCase();
+  const event = (row, account) => ({
+    timestamp: Number(row.timestamp),
+    amount_usd: Number(row.amountUSD || 0),
+    tx: row.transaction?.id || null,
+    account: account || null
+  });
+
+  for (const s of data.swaps || []) {
+    const pool = pools.find((p) => p.pool_id === poolOf(s));
+    if (pool) byId.get(pool.pool_id).swaps.push({ ...event(s, s.origin || s.from), price: swapPrice(venue, pool, s) });
+  }
+  for (const m of data.mints || []) byId.get(poolOf(m))?.mints.push(event(m, m.origin || m.to));
+  for (const b of data.burns || []) byId.get(poolOf(b))?.burns.push(event(b, b.origin || b.sender));
+  for (const h of hours) {
+    byId.get(poolOf(h))?.hours.push({
+      start: Number(h.periodStartUnix ?? h.hourStartUnix),
+      volume_usd: Number(h.volumeUSD ?? h.hourlyVolumeUSD ?? 0)
+    });
+  }
+
+  const truncated = hoursTruncated || ["swaps", "mints", "burns"].some((k) => (data[k] || []).length >= SUBGRAPH_PAGE_SIZE);
+  return { byId, truncated, hoursTruncated };
+}
+
+function poolActivityStats(pool, activity, { since, lookbackMinutes, minNotionalUsd, truncated, hoursTruncated }) {
+  const swaps = [...activity.swaps].sort((a, b) => a.timestamp - b.timestamp);
+  const volume = swaps.reduce((s, x) => s + x.amount_usd, 0);
+  const minted = activity.mints.reduce((s, x) => s + x.amount_usd, 0);
+  const burned = activity.burns.reduce((s, x) => s + x.amount_usd, 0);
+  const net = minted - burned;
+  // TVL now already reflects the window's flows
+  const tvlBefore = pool.tvl_usd - net;
+
+  // Baseline: full hours before the window; hours without a row had no volume.
+  // Missing rows only mean that when every page was read
+  const baselineRows = activity.hours.filter((h) => h.start + 3600 <= since);
+  const baselineHourly =
+    baselineRows.length && !hoursTruncated ? baselineRows.reduce((s, h) => s + h.volume_usd, 0) / MARKET_BASELINE_HOURS : null;
+  const expected = baselineHourly != null ? baselineHourly * (lookbackMinutes / 60) : null;
+  const spikeMeasurable = lookbackMinutes <= (MARKET_BASELINE_HOURS * 60) / 4;
+
+  const prices = swaps.map((s) => s.price).filter((p) => p > 0);
+  const start = prices[0] ?? null;
+  const end = pool.venue === "uniswap_v3" ? pool.price0 ?? prices[prices.length - 1] : prices[prices.length - 1];
+  const range = prices.length ? [...prices, ...(end ? [end] : [])] : [];
+
+  const events = [...swaps, ...activity.mints, ...activity.burns].map((e) => e.timestamp);
+
+  return {
+    venue: pool.venue,
+    pool_id: pool.pool_id,
+    pair: pool.pair,
+    assets: pool.assets,
+    tvl_usd: round(pool.tvl_usd, 2),
+    swaps: swaps.length,
+    volume_usd: round(volume, 2),
+    largest_trade_usd: swaps.length ? round(Math.max(...swaps.map((s) => s.amount_usd)), 2) : 0,
+    large_trades: swaps.filter((s) => s.amount_usd >= minNotionalUsd).length,
+    mints_usd: round(minted, 2),
+    burns_usd: round(burned, 2),
+    net_liquidity_usd: round(net, 2),
+    net_liquidity_pct: tvlBefore > 0 ? round((net / tvlBefore) * 100, 2) : null,
+    baseline_hourly_volume_usd: baselineHourly != null ? round(baselineHourly, 2) : null,
+    volume_vs_baseline: spikeMeasurable && expected > 0 ? round(volume / expected, 2) : null,
+    price_move_bps: start > 0 && end > 0 ? round((end / start - 1) * 10000, 1) : null,
+    price_range_bps: range.length >= 2 ? round((Math.max(...range) / Math.min(...range) - 1) * 10000, 1) : null,
+    price_source: pool.venue === "uniswap_v3" ? "swap_sqrt_price" : "swap_execution_price",
+    last_event_utc: events.length ? new Date(Math.max(...events) * 1000).toISOString() : null,
+    truncated,
+    _swaps: swaps,
+    _burns: activity.burns
+  };
+}
+
+function activityAlerts(stats, { lookbackMinutes, minNotionalUsd }) {
+  const alerts = [];
+  const base = { venue: stats.venue, pool_id: stats.pool_id, pair: stats.pair, assets: stats.assets };
+  const window = `the last ${lookbackMinutes} min`;
+
+  const large = stats._swaps.filter((s) => s.amount_usd >= minNotionalUsd).sort((a, b) => b.amount_usd - a.amount_usd);
+  for (const s of large.slice(0, MARKET_TRADE_ALERTS_PER_POOL)) {
+    const pct = stats.tvl_usd > 0 ? (s.amount_usd / stats.tvl_usd) * 100 : null;
+    alerts.push({
+      id: `large_trade:${stats.venue}:${s.tx || `${stats.pool_id}:${s.timestamp}`}`,
+      type: "large_trade",
+      severity: pct != null ? levelFor(LARGE_TRADE_LEVELS, pct, "info") : "info",
+      title: `Large ${stats.pair} trade on ${stats.venue}: ${usd(s.amount_usd)}`,
+      description:
+        `${usd(s.amount_usd)} swap at ${new Date(s.timestamp * 1000).toISOString()}` +
+        (pct != null ? `, ${round(pct, 2)}% of pool TVL` : "") +
+        (large.length > MARKET_TRADE_ALERTS_PER_POOL ? ` (${large.length} trades above ${usd(minNotionalUsd)} in ${window}).` : "."),
+      recommended_action: "Expect temporary dislocation on this pool; re-quote before executing and avoid trading right behind it.",
+      observed_utc: new Date(s.timestamp * 1000).toISOString(),
+      metrics: { amount_usd: round(s.amount_usd, 2), pct_of_tvl: pct != null ? round(pct, 2) : null, tx: s.tx, account: s.account },
+      ...base
+    });
+  }
+
+  const withdrawnPct = stats.net_liquidity_pct != null && stats.net_liquidity_pct < 0 ? -stats.net_liquidity_pct : 0;
+  const bigBurn = stats._burns.some((b) => b.amount_usd >= minNotionalUsd);
+  const withdrawal = levelFor(WITHDRAWAL_LEVELS, withdrawnPct, bigBurn ? "info" : null);
+  if (withdrawal) {
+    alerts.push({
+      id: `liquidity_withdrawal:${stats.venue}:${stats.pool_id}`,
+      type: "liquidity_withdrawal",
+      severity: withdrawal,
+      title: `Liquidity withdrawn from ${stats.pair} on ${stats.venue}`,
+      description:
+        `Net ${usd(-stats.net_liquidity_usd)} removed in ${window} (${round(withdrawnPct, 2)}% of TVL; ` +
+        `${usd(stats.burns_usd)} burned, ${usd(stats.mints_usd)} added).`,
+      recommended_action: "Depth is thinner than recent averages suggest; re-run base-venue-depth and size clips to the current pool.",
+      observed_utc: stats.last_event_utc,
+      metrics: { net_liquidity_usd: stats.net_liquidity_usd, net_liquidity_pct: stats.net_liquidity_pct, burns_usd: stats.burns_usd },
+      ...base
+    });
+  }
+
+  const spike = stats.volume_vs_baseline != null ? levelFor(VOLUME_SPIKE_LEVELS, stats.volume_vs_baseline) : null;
+  if (spike) {
+    alerts.push({
+      id: `volume_spike:${stats.venue}:${stats.pool_id}`,
+      type: "volume_spike",
+      severity: spike,
+      title: `${stats.pair} volume ${stats.volume_vs_baseline}x normal on ${stats.venue}`,
+      description:
+        `${usd(stats.volume_usd)} traded in ${window} vs ${usd(stats.baseline_hourly_volume_usd * (lookbackMinutes / 60))} expected ` +
+        `from the previous ${MARKET_BASELINE_HOURS}h average.`,
+      recommended_action: "Unusual flow; widen timing, expect faster price moves and re-quote each clip.",
+      observed_utc: stats.last_event_utc,
+      metrics: { volume_usd: stats.volume_usd, volume_vs_baseline: stats.volume_vs_baseline, baseline_hourly_volume_usd: stats.baseline_hourly_volume_usd },
+      ...base
+    });
+  }
+
+  const move = stats.price_move_bps != null ? levelFor(PRICE_MOVE_LEVELS, Math.abs(stats.price_move_bps)) : null;
+  if (move) {
+    alerts.push({
+      id: `price_move:${stats.venue}:${stats.pool_id}`,
+      type: "price_move",
+      severity: move,
+      title: `${stats.pair} moved ${round(stats.price_move_bps / 100, 2)}% on ${stats.venue}`,
+      description:
+        `${stats.pair.split("/")[1]} per ${stats.pair.split("/")[0]} moved ${stats.price_move_bps} bps in ${window}` +
+        (stats.price_range_bps != null ? ` (range ${stats.price_range_bps} bps).` : "."),
+      recommended_action: "Abnormal move; tighten slippage caps, re-check price integrity against the TWAP and split execution.",
+      observed_utc: stats.last_event_utc,
+      metrics: { price_move_bps: stats.price_move_bps, price_range_bps: stats.price_range_bps, price_source: stats.price_source },
+      ...base
+    });
+  }
+
+  return alerts;
+}
+
+/**
+ * Market activity for ?assets= (symbols, addresses or "A/B" pairs; default
+ * MARKET_DEFAULT_ASSETS) over ?lookback_minutes= (default 60), with trades at
+ * or above ?min_notional_usd= (default MARKET_DEFAULT_MIN_NOTIONAL_USD) reported
+ * as large.
+ */
+app.get("/resources/base-market-activity", cachedResource("base-market-activity", async (req, res) => {
+  try {
+    const entries = req.query.assets
+      ? String(req.query.assets).split(",").map((x) => x.trim()).filter(Boolean)
+      : MARKET_DEFAULT_ASSETS;
+    const lookbackMinutes = Number(req.query.lookback_minutes || 60);
+    const minNotionalUsd = Number(String(req.query.min_notional_usd || MARKET_DEFAULT_MIN_NOTIONAL_USD).replace(/,/g, ""));
+
+    if (!Number.isInteger(lookbackMinutes) || lookbackMinutes < 5 || lookbackMinutes > 43200) {
+      return res.status(400).json({ ok: false, error: true, message: "lookback_minutes must be an integer 5..43200" });
     }
-    if (!Number.isFinite(notionalUsd) || notionalUsd <= 0) {
-      return res.status(400).json({ ok: false, error: true, message: "notional_usd must be > 0" });
+    if (!(minNotionalUsd > 0)) {
+      return res.status(400).json({ ok: false, error: true, message: "min_notional_usd must be > 0" });
+    }
+    if (!entries.length || entries.length > MARKET_MAX_ASSETS) {
+      return res.status(400).json({ ok: false, error: true, message: `assets must list 1..${MARKET_MAX_ASSETS} symbols, addresses or A/B pairs` });
     }
 
-    const [aero, uni] = await Promise.all([
-      aerodromeBestPool(tokenA, tokenB),
-      uniswapV3BestPool(tokenA, tokenB)
-    ]);
+    // Resolve every entry; unknown ones are reported, not fatal
+    const watch = [];
+    const unresolved = {};
+    for (const label of entries) {
+      const parts = label.split("/").map((x) => x.trim());
+      const resolved = await Promise.all(parts.slice(0, 2).map(resolveToken));
+      const bad = resolved.find((r) => !r.ok);
+      if (parts.length > 2 || bad) unresolved[label] = bad ? bad.message : "pairs take exactly two tokens";
+      else watch.push({ label, tokens: resolved.map((r) => r.token) });
+    }
 
-    const venues = [];
+    const now = Math.floor(Date.now() / 1000);
+    const since = now - lookbackMinutes * 60;
+    const baselineStart = since - MARKET_BASELINE_HOURS * 3600;
 
-    if (aero) {
-      const reserveUsd = Number(aero.reserveUSD || 0);
-      venues.push({
-        venue: "aerodrome",
-        pool_id: aero.id,
-        pool_type: aero.stable ? "stable" : "volatile",
-        depth_usd: reserveUsd,
-        estimated_slippage_bps: estSlipV2(notionalUsd, reserveUsd),
-        token0: aero.token0?.symbol,
-        token1: aero.token1?.symbol
-      });
+    const errors = {};
+    const pools = new Map();
+    for (const entry of watch) {
+      try {
+        for (const p of await poolsForWatch(entry, MARKET_POOLS_PER_ASSET)) {
+          if (!pools.has(p.pool_id)) pools.set(p.pool_id, p);
+          pools.get(p.pool_id).assets.push(entry.label);
+        }
+      } catch (e) {
+        errors[entry.label] = String(e?.message || e);
+      }
     }
 
-    if (uni) {
-      const tvlUsd = Number(uni.totalValueLockedUSD || 0);
-      venues.push({
-        venue: "uniswap_v3",
-        pool_id: uni.id,
-        feeTier: String(uni.feeTier),
-        depth_usd: tvlUsd,
-        estimated_slippage_bps: estSlipV3(notionalUsd, tvlUsd, uni.feeTier),
-        token0: uni.token0?.symbol,
-        token1: uni.token1?.symbol
-      });
+    const stats = [];
+    const coverage = [];
+    for (const venue of ["aerodrome", "uniswap_v3"]) {
+      const venuePools = [...pools.values()].filter((p) => p.venue === venue);
+      if (!venuePools.length) continue;
+      try {
+        const { byId, truncated, hoursTruncated } = await venueActivity(venue, venuePools, since, baselineStart);
+        for (const p of venuePools) {
+          stats.push(poolActivityStats(p, byId.get(p.pool_id), { since, lookbackMinutes, minNotionalUsd, truncated, hoursTruncated }));
+        }
+        coverage.push(`thegraph/${venue}`);
+      } catch (e) {
+        errors[venue] = String(e?.message || e);
+      }
     }
 
-    venues.sort((a, b) => (b.depth_usd || 0) - (a.depth_usd || 0));
+    if (watch.length && !coverage.length && Object.keys(errors).length) {
+      return res.status(502).json({ ok: false, error: true, message: "No venue activity could be read from the subgraphs.", details: errors });
+    }
+
+    const alerts = stats
+      .flatMap((s) => activityAlerts(s, { lookbackMinutes, minNotionalUsd }))
+      .sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+
+    const assets = {};
+    for (const label of entries) {
+      const own = stats.filter((s) => s.assets.includes(label));
+      const ownAlerts = alerts.filter((a) => a.assets.includes(label));
+      assets[label] = {
+        resolved: !unresolved[label],
+        error: unresolved[label] || errors[label] || null,
+        pools: own.map((s) => s.pool_id),
+        volume_usd: round(own.reduce((sum, s) => sum + s.volume_usd, 0), 2),
+        alerts: ownAlerts.length,
+        worst_severity: ownAlerts.length ? ownAlerts[0].severity : null
+      };
+    }
+
+    const lastEvent = stats.map((s) => s.last_event_utc).filter(Boolean).sort().pop() || null;
 
     return res.json({
       ok: true,
       data: {
         chain: "base",
-        request: { asset_in: assetIn, asset_out: assetOut, notional_usd: notionalUsd },
-        venues,
-        best_by_depth: venues[0] || null,
+        request: { assets: entries, lookback_minutes: lookbackMinutes, min_notional_usd: minNotionalUsd },
+        window: { from_utc: new Date(since * 1000).toISOString(), to_utc: new Date(now * 1000).toISOString(), baseline_hours: MARKET_BASELINE_HOURS },
+        assets,
+        pools: stats.map(({ _swaps, _burns, ...s }) => s),
+        alerts,
+        latest_event_age_seconds: lastEvent ? Math.max(0, now - Math.floor(Date.parse(lastEvent) / 1000)) : null,
+        coverage,
+        errors,
         last_updated_utc: new Date().toISOString(),
-        evidence: [
-          { source: "thegraph/aerodrome", subgraph_id: AERODROME_SUBGRAPH_ID },
-          { source: "thegraph/uniswap_v3", subgraph_id: UNISWAPV3_SUBGRAPH_ID }
-        ]
+        evidence: coverage.map((source) => ({ source }))
       }
     });
   } catch (e) {
     return res.status(500).json({
       ok: false,
       error: true,
-      message: "Failed to compute venue depth from subgraphs.",
+      message: "Failed to read market activity from subgraphs.",
       details: String(e?.message || e)
     });
   }
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                                 Monitoring                                 */
+/* -------------------------------------------------------------------------- */
+// Standing watches on pairs, pools, gas and market activity, checked every
+// MONITOR_POLL_SECONDS against the resources above, with alerts pushed over
+// SSE and signed webhooks (see monitor.js).
+
+app.use("/watches", auth.requireKey("watches"));
+
+// POST /watches { type: "pair", asset_in: "WETH", asset_out: "USDC", depth_drop_pct: 30, webhook_url }
+app.post("/watches", monitor.createWatch);
+app.get("/watches", monitor.listWatches);
+app.get("/watches/:id", monitor.getWatch);
+app.delete("/watches/:id", monitor.deleteWatch);
+
+// Stream tokens stand in for the API key, since browsers' EventSource cannot send
+// headers; those requests are still rate limited per IP
+const streamByToken = auth.limitByIp();
+const streamByKey = auth.requireKey("watches");
+app.get(
+  "/streams/alerts",
+  (req, res, next) => (req.query.token ? streamByToken : streamByKey)(req, res, next),
+  monitor.streamAlerts
+);
+
+monitor.start(cachedData);
+
+/* -------------------------------------------------------------------------- */
+/*                                Job Schemas                                 */
+/* -------------------------------------------------------------------------- */
+// The seller's requirement/deliverable contracts, published so consuming
+// agents can validate what they send and receive.
+
+// GET /schemas -> jobs with their available and latest schema versions
+app.get("/schemas", (_req, res) => {
+  res.json({ ok: true, data: { jobs: schemas.listSchemas() } });
+});
+
+/**
+ * GET /schemas/pre_trade_risk_pack/1             -> { job, version, requirement, deliverable }
+ * GET /schemas/pre_trade_risk_pack/latest/deliverable -> the bare JSON Schema
+ *
+ * Versions may be given as "1", "v1" or "latest".
+ */
+app.get("/schemas/:job/:version/:kind?", (req, res) => {
+  const { job, kind } = req.params;
+  const raw = String(req.params.version).toLowerCase();
+  const version = raw === "latest" ? schemas.latestVersion(job) : Number(raw.replace(/^v/, ""));
+  const s = schemas.getSchemas(job, version);
+
+  if (!s) {
+    return res.status(404).json({
+      ok: false,
+      error: true,
+      message: `No schema for job '${job}' version '${req.params.version}'`,
+      details: { jobs: schemas.listSchemas() }
+    });
+  }
+  if (kind && !["requirement", "deliverable"].includes(kind)) {
+    return res.status(404).json({ ok: false, error: true, message: "kind must be 'requirement' or 'deliverable'" });
+  }
+
+  res.set("Cache-Control", "public, max-age=3600");
+  return res.json(kind ? s.doc[kind] : s.doc);
 });
 
 /* -------------------------------------------------------------------------- */
@@ -248,14 +3535,34 @@ app.get("/resources/base-venue-depth", async (req, res) => {
 /* -------------------------------------------------------------------------- */
 
 app.get("/health", (_req, res) => {
-  res.json({ ok: true, service: "resources-server", ts: new Date().toISOString() });
+  res.json({
+    ok: true,
+    service: "resources-server",
+    ts: new Date().toISOString(),
+    cache: cacheStats(),
+    auth: auth.keyUsageStats(),
+    monitor: monitor.monitorStats(),
+    upstream: upstream.breakerStates()
+  });
+});
+
+// Prometheus scrape endpoint: HTTP, cache, upstream and monitor series
+app.get("/metrics", auth.requireKey("metrics"), (_req, res) => {
+  res.set("Content-Type", telemetry.METRICS_CONTENT_TYPE);
+  res.send(telemetry.renderMetrics());
 });
 
 /* -------------------------------------------------------------------------- */
 /*                                   Listen                                   */
 /* -------------------------------------------------------------------------- */
 
-const port = Number(process.env.RESOURCES_PORT || 4000);
-app.listen(port, () => {
-  console.log(`✅ resources-server listening on http://localhost:${port}`);
-});
+// Exported so the ACP simulator can mount it on an ephemeral port, and check
+// the trace arithmetic it can't reach without a fork
+module.exports = { app, storageDelta };
+
+if (require.main === module) {
+  const port = Number(process.env.RESOURCES_PORT || 4000);
+  app.listen(port, () => {
+    log.info("listening", `resources-server listening on http://localhost:${port}`, { port });
+  });
+}
@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Versioned JSON Schemas for each job's requirement and deliverable.
+ *
+ * One file per job and version (schemas/<job>.v<version>.json) holding both
+ * schemas. seller.js validates requirements at negotiation and deliverables
+ * before job.deliver; resources-server.js publishes them at
+ * GET /schemas/:job/:version for consuming agents.
+ *
+ * Within a version, changes are additive only (new optional fields). Renaming,
+ * removing or retyping a field means a new version file.
+ *
+ * Requirement schemas carry annotations that are applied before validation:
+ *  - x-aliases:   other keys accepted for a property (first present one wins)
+ *  - x-normalize: ["trim"] / ["lowercase"] applied to string values
+ *  - x-message:   error text reported for the property
+ * number/integer properties accept numeric strings like "50000" or "50,000"
+ * (integers are truncated), boolean properties accept "true"/"false", and
+ * null counts as absent so schema defaults apply. Array items and object
+ * properties are coerced the same way.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const SCHEMA_DIR = __dirname;
+const SCHEMA_FILE_RE = /^([a-z0-9_]+)\.v(\d+)\.json$/;
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, allowUnionTypes: true });
+ajv.addVocabulary(["x-aliases", "x-normalize", "x-message"]);
+
+// job -> Map(version -> { doc, requirement, deliverable }) with compiled validators
+const registry = new Map();
+
+function loadSchemas() {
+  for (const file of fs.readdirSync(SCHEMA_DIR).sort()) {
+    const m = SCHEMA_FILE_RE.exec(file);
+    if (!m) continue;
+    const doc = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), "utf8"));
+    if (doc.job !== m[1] || doc.version !== Number(m[2])) {
+      throw new Error(`${file}: job/version fields do not match the file name`);
+    }
+    if (!registry.has(doc.job)) registry.set(doc.job, new Map());
+    registry.get(doc.job).set(doc.version, {
+      doc,
+      requirement: ajv.compile(doc.requirement),
+      deliverable: ajv.compile(doc.deliverable)
+    });
+  }
+}
+
+loadSchemas();
+
+/* -------------------------------------------------------------------------- */
+/*                                 Coercion                                   */
+/* -------------------------------------------------------------------------- */
+
+// Accept numbers or numeric strings like "50000" or "50,000"
+function toNumber(v) {
+  if (typeof v === "number" && Number.isFinite(v)) return v;
+  if (typeof v === "string") {
+    const cleaned = v.trim().replace(/,/g, "");
+    if (!cleaned) return NaN;
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : NaN;
+  }
+  return NaN;
+}
+
+function toInt(v) {
+  const n = toNumber(v);
+  return Number.isFinite(n) ? Math.trunc(n) : NaN;
+}
+
+// Values that can't be coerced are left as they are for the schema to reject
+function coerceValue(schema, v) {
+  const types = [].concat(schema.type || []);
+
+  if (typeof v === "string") {
+    for (const op of schema["x-normalize"] || []) {
+      if (op === "trim") v = v.trim();
+      if (op === "lowercase") v = v.toLowerCase();
+    }
+  }
+
+  // Objects (array items such as custom scenarios) are coerced property by property
+  if (types.includes("object") && v && typeof v === "object" && !Array.isArray(v)) {
+    const out = { ...v };
+    const extra = typeof schema.additionalProperties === "object" ? schema.additionalProperties : null;
+    for (const key of Object.keys(out)) {
+      const prop = schema.properties?.[key] || extra;
+      if (prop && out[key] != null) out[key] = coerceValue(prop, out[key]);
+    }
+    return out;
+  }
+  if (types.includes("integer") && !Number.isInteger(v)) {
+    const n = toInt(v);
+    return Number.isFinite(n) ? n : v;
+  }
+  if (types.includes("number") && typeof v !== "number") {
+    const n = toNumber(v);
+    return Number.isFinite(n) ? n : v;
+  }
+  if (types.includes("boolean") && typeof v === "string") {
+    const s = v.trim().toLowerCase();
+    return s === "true" ? true : s === "false" ? false : v;
+  }
+  if (types.includes("array") && Array.isArray(v) && schema.items) {
+    const items = v.map((x) => coerceValue(schema.items, x));
+    // Trimmed string lists drop blank entries ("WETH, ,USDC")
+    return (schema.items["x-normalize"] || []).includes("trim") ? items.filter((x) => x !== "") : items;
+  }
+  return v;
+}
+
+function normalizeRequirement(schema, req) {
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    if (req[key] == null) {
+      const alias = (prop["x-aliases"] || []).find((a) => req[a] != null);
+      if (alias) req[key] = req[alias];
+    }
+    if (req[key] === null) delete req[key];
+    if (req[key] !== undefined) req[key] = coerceValue(prop, req[key]);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Validation                                  */
+/* -------------------------------------------------------------------------- */
+
+function errorPath(e) {
+  const parts = e.instancePath.split("/").filter(Boolean);
+  if (e.keyword === "required") parts.push(e.params.missingProperty);
+  return parts;
+}
+
+// One "field: message" per offending field, in the seller's existing error format
+function describeErrors(errors, schema, { topLevel }) {
+  const out = new Map();
+  for (const e of errors || []) {
+    if (e.keyword === "if") continue; // the failing then/else branch reports its own errors
+    const parts = errorPath(e);
+    const field = (topLevel ? parts.slice(0, 1) : parts).join(".") || "(root)";
+    if (out.has(field)) continue;
+    const custom = topLevel ? schema.properties?.[field]?.["x-message"] : null;
+    out.set(field, custom || (e.keyword === "required" ? "is required" : e.message));
+  }
+  return [...out].map(([field, message]) => `${field}: ${message}`);
+}
+
+function latestVersion(job) {
+  const versions = registry.get(job);
+  return versions ? Math.max(...versions.keys()) : null;
+}
+
+function getSchemas(job, version = latestVersion(job)) {
+  return registry.get(job)?.get(Number(version)) || null;
+}
+
+/**
+ * Normalize `req` in place (aliases, coercion, defaults) and validate it
+ * against the job's requirement schema. Returns a list of "field: message"
+ * errors, empty when valid.
+ */
+function validateRequirement(job, req, version) {
+  const s = getSchemas(job, version);
+  if (!s) return [`job: no requirement schema for '${job}'`];
+  normalizeRequirement(s.doc.requirement, req);
+  return s.requirement(req) ? [] : describeErrors(s.requirement.errors, s.doc.requirement, { topLevel: true });
+}
+
+/**
+ * Check a built deliverable against the schema version it declares.
+ * Returns a list of "path: message" errors, empty when it conforms.
+ */
+function validateDeliverable(job, deliverable) {
+  const s = getSchemas(job, deliverable?.schema_version);
+  if (!s) return [`schema_version: no deliverable schema v${deliverable?.schema_version} for '${job}'`];
+  return s.deliverable(deliverable) ? [] : describeErrors(s.deliverable.errors, s.doc.deliverable, { topLevel: false });
+}
+
+// { job: { versions: [1, ...], latest } } for the schema index
+function listSchemas() {
+  const out = {};
+  for (const [job, versions] of registry) {
+    out[job] = { versions: [...versions.keys()].sort((a, b) => a - b), latest: latestVersion(job) };
+  }
+  return out;
+}
+
+module.exports = {
+  toNumber,
+  toInt,
+  getSchemas,
+  latestVersion,
+  listSchemas,
+  validateRequirement,
+  validateDeliverable
+};
@@ -11,14 +11,41 @@
  * Notes:
  * - Base-only: chain must be "base" (or "base-sepolia" if you set ACP_CHAIN accordingly and want testnet)
  * - Accepts numeric strings from Virtual UI (e.g., "50000", "50,000")
- * - Uses 2 resources from your resources-server.js:
+ * - Requirements and deliverables follow versioned JSON Schemas in schemas/,
+ *   published by the resources server at GET /schemas/:job/:version
+ * - Risk scores follow the profiles in RISK_MODEL_PATH (conservative / standard / aggressive)
+ * - Jobs are persisted to JOB_STORE_PATH (JSON lines) so delivery survives restarts
+ * - Logs are structured JSON lines (see telemetry.js); requirements and deliverables
+ *   are only logged at LOG_LEVEL=debug, redacted
+ * - GET /health and GET /metrics (Prometheus) are served on SELLER_HTTP_PORT (default 4100)
+ * - Authenticates to the resources server with RESOURCES_API_KEY (see auth.js)
+ * - market_intelligence_feed with subscribe: true registers watches on the
+ *   resources server (POST /watches, see monitor.js) on behalf of the client
+ *   and delivers a handle to their SSE stream and signed webhooks. They are
+ *   opened once the deliverable passes its schema; the handle's stream tokens
+ *   and webhook secret are never written to the job store
+ * - Uses 7 resources from your resources-server.js:
  *    - /resources/base-gas-profile
  *    - /resources/base-venue-depth
+ *    - /resources/base-token-info
+ *    - /resources/base-route
+ *    - /resources/base-simulate-swap
+ *    - /resources/base-token-risk
+ *    - /resources/base-market-activity
  */
 
 require("dotenv").config();
 
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
 const AcpClientModule = require("@virtuals-protocol/acp-node");
+// toNumber lives with the schemas so requirement validation coerces the same way
+const { toNumber, validateRequirement, validateDeliverable } = require("./schemas");
+const upstream = require("./upstream");
+const telemetry = require("./telemetry");
+const { buildSwapTransactions } = require("./swap-calldata");
 const AcpClient = AcpClientModule.default;
 
 const {
@@ -27,20 +54,39 @@ const {
   baseSepoliaAcpConfigV2
 } = AcpClientModule;
 
-// In-memory cache to remember job type + requirement between phases
-const jobCache = new Map();
-
 const AGENT_VERSION = "1.0.0";
 
 // Base-only (mainnet) by default; allow base-sepolia via env ACP_CHAIN=base-sepolia
 const ACP_CHAIN = String(process.env.ACP_CHAIN || "base").toLowerCase();
-const SUPPORTED_CHAINS = ["base", "base-sepolia"];
 
 // Your resources server base URL (optional). If omitted, defaults to localhost:4000.
 const RESOURCES_BASE_URL =
   process.env.RESOURCES_BASE_URL ||
   `http://localhost:${process.env.RESOURCES_PORT || 4000}`;
 
+// Where clients reach the resources server, for the alert stream URLs in
+// subscription handles; defaults to RESOURCES_BASE_URL
+const RESOURCES_PUBLIC_URL = (process.env.RESOURCES_PUBLIC_URL || RESOURCES_BASE_URL).replace(/\/+$/, "");
+
+// Resources do their own upstream retries, so the seller waits longer and retries once
+const RESOURCES_TIMEOUT_MS = Number(process.env.RESOURCES_TIMEOUT_MS || 30000);
+const RESOURCES_RETRIES = Number(process.env.RESOURCES_RETRIES || 1);
+
+// The seller's internal key, the "seller-internal" entry in the resources server's key file
+const RESOURCES_API_KEY = process.env.RESOURCES_API_KEY || "";
+
+// "0" picks a free port (the simulator does this)
+const SELLER_HTTP_PORT = Number(process.env.SELLER_HTTP_PORT ?? 4100);
+
+const log = telemetry.createLogger("seller");
+
+const jobsTotal = telemetry.counter(
+  "aegis_jobs_total",
+  "Jobs by type and outcome (accepted / rejected / delivered / schema_failed / failed).",
+  ["job", "outcome"]
+);
+const buildSeconds = telemetry.histogram("aegis_deliverable_build_seconds", "Time to build a deliverable by job type.", ["job"]);
+
 /* -------------------------------------------------------------------------- */
 /*                               Utility Helpers                              */
 /* -------------------------------------------------------------------------- */
@@ -57,58 +103,181 @@ function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
 }
 
-function oneOf(v, allowed) {
-  return allowed.includes(v);
-}
-
 function pushErr(errors, field, message) {
   errors.push(`${field}: ${message}`);
 }
 
-// Accept numbers or numeric strings like "50000" or "50,000"
-function toNumber(v) {
-  if (typeof v === "number" && Number.isFinite(v)) return v;
-  if (typeof v === "string") {
-    const cleaned = v.trim().replace(/,/g, "");
-    if (!cleaned) return NaN;
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : NaN;
-  }
-  return NaN;
-}
-
-function toInt(v) {
-  const n = toNumber(v);
-  return Number.isFinite(n) ? Math.trunc(n) : NaN;
-}
-
 function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-async function safeFetchJson(url) {
+// Upstream metrics are labelled by resource path, e.g. "resources/base-venue-depth".
+// `json` is sent as a POST body; `opts` may override the method, the retries
+// (0 for calls that must not run twice) and the metrics label. A JSON error
+// the resources server answers with (even a 5xx) is its verdict, returned
+// as-is rather than retried.
+async function safeFetchJson(url, json, opts = {}) {
   try {
-    const r = await fetch(url, { method: "GET" });
-    const j = await r.json();
-    return { ok: r.ok, status: r.status, json: j };
+    const source = opts.source || new URL(url).pathname.replace(/^\//, "");
+    const headers = RESOURCES_API_KEY ? { "x-api-key": RESOURCES_API_KEY } : {};
+    const r = await upstream.fetchJson(url, {
+      ...(json ? { method: "POST", body: JSON.stringify(json) } : {}),
+      ...(opts.method ? { method: opts.method } : {}),
+      headers: json ? { ...headers, "content-type": "application/json" } : headers,
+      timeoutMs: RESOURCES_TIMEOUT_MS,
+      retries: opts.retries ?? RESOURCES_RETRIES,
+      source,
+      structuredErrors: true
+    });
+    return { ok: r.ok, status: r.status, json: r.json };
   } catch (e) {
-    return { ok: false, status: 0, json: null, error: String(e?.message || e) };
+    return { ok: false, status: e?.status || 0, json: e?.body || null, error: String(e?.message || e) };
   }
 }
 
-function confidenceFromEvidence(evidence) {
-  const src = new Set((evidence || []).map((x) => x.source));
+// Min-out tolerance base-simulate-swap is asked to encode (its maximum)
+const SIMULATION_SLIPPAGE_BPS = 2000;
+
+// Depth data (cache age + subgraph indexing lag) older than DEPTH_STALE_SECONDS
+// lowers confidence a level; past DEPTH_MAX_AGE_SECONDS confidence is low and
+// the risk pack won't APPROVE
+const DEPTH_STALE_SECONDS = Number(process.env.DEPTH_STALE_SECONDS || 120);
+const DEPTH_MAX_AGE_SECONDS = Number(process.env.DEPTH_MAX_AGE_SECONDS || 600);
+
+const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+// Age of the venue depth evidence in seconds, null when depth is missing or failed
+function depthAgeSeconds(evidence) {
+  const depth = (evidence || []).find((x) => x.source === "resources/base-venue-depth" && !x.error);
+  return depth ? depth.freshness_seconds ?? null : null;
+}
+
+// `simulation` is the risk pack's simulationSummary(), when one was run
+function confidenceFromEvidence(evidence, simulation = null) {
+  // A swap that executed against current chain state outranks any depth
+  // estimate, but only when it ran to completion on funds the simulation put
+  // in place; a revert, or a run capped by the trader's own balance, leaves
+  // confidence to the depth and gas evidence below
+  if (simulation?.status === "success" && simulation.funding === "state_override") return "high";
+
+  // Sources that failed are recorded with an error and don't count
+  const src = new Set((evidence || []).filter((x) => !x.error).map((x) => x.source));
   const hasGas = src.has("resources/base-gas-profile");
   const hasDepth = src.has("resources/base-venue-depth");
-  if (hasGas && hasDepth) return "high";
-  if (hasGas || hasDepth) return "medium";
-  return "low";
+  let level = hasGas && hasDepth ? 2 : hasGas || hasDepth ? 1 : 0;
+
+  const age = depthAgeSeconds(evidence);
+  if (age != null && age > DEPTH_MAX_AGE_SECONDS) level = 0;
+  else if (age != null && age > DEPTH_STALE_SECONDS) level = Math.max(0, level - 1);
+  return CONFIDENCE_LEVELS[level];
+}
+
+function depthFreshnessStatus(age) {
+  if (age == null) return "unknown";
+  if (age > DEPTH_MAX_AGE_SECONDS) return "expired";
+  if (age > DEPTH_STALE_SECONDS) return "stale";
+  return "fresh";
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Job Store                                 */
+/* -------------------------------------------------------------------------- */
+// Durable record of each job between negotiation and delivery, so a restart
+// between phases doesn't lose what the client paid for. Every change appends
+// a full snapshot of the job as one JSON line; on startup the file is replayed
+// (last line per job wins), expired jobs are dropped and the file compacted.
+
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(__dirname, "data", "jobs.jsonl");
+const JOB_STORE_TTL_HOURS = Number(process.env.JOB_STORE_TTL_HOURS || 72);
+
+const jobStore = new Map(); // String(job id) -> record
+
+function isExpired(record, now = Date.now()) {
+  return now - Date.parse(record.updated_at) > JOB_STORE_TTL_HOURS * 3600 * 1000;
+}
+
+function compactJobStore() {
+  const lines = [...jobStore.values()].map((r) => JSON.stringify(r));
+  const tmp = `${JOB_STORE_PATH}.tmp`;
+  fs.writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "");
+  fs.renameSync(tmp, JOB_STORE_PATH);
+}
+
+function loadJobStore() {
+  fs.mkdirSync(path.dirname(JOB_STORE_PATH), { recursive: true });
+  if (!fs.existsSync(JOB_STORE_PATH)) return 0;
+
+  let bad = 0;
+  for (const line of fs.readFileSync(JOB_STORE_PATH, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      jobStore.set(String(r.job_id), r);
+    } catch {
+      bad++; // torn write from a crash mid-append
+    }
+  }
+
+  const now = Date.now();
+  for (const [id, r] of jobStore) if (isExpired(r, now)) jobStore.delete(id);
+
+  compactJobStore();
+  if (bad) log.warn("job_store_unreadable", `Job store: skipped ${bad} unreadable line(s)`, { lines: bad });
+  return jobStore.size;
+}
+
+function pruneJobStore() {
+  const now = Date.now();
+  let dropped = 0;
+  for (const [id, r] of jobStore) {
+    if (isExpired(r, now)) {
+      jobStore.delete(id);
+      dropped++;
+    }
+  }
+  if (dropped) compactJobStore();
+  return dropped;
+}
+
+function getStoredJob(jobId) {
+  return jobStore.get(String(jobId)) || null;
+}
+
+/**
+ * Merge `patch` into the job's record and persist it. `phase` (optional)
+ * appends a phase transition with its timestamp.
+ */
+function saveJob(jobId, patch, phase) {
+  const id = String(jobId);
+  const at = nowIso();
+  const prev = jobStore.get(id) || { job_id: id, created_at: at, phases: [] };
+  const record = {
+    ...prev,
+    ...patch,
+    phases: phase ? [...prev.phases, { ...phase, at }] : prev.phases,
+    updated_at: at
+  };
+  jobStore.set(id, record);
+  fs.appendFileSync(JOB_STORE_PATH, JSON.stringify(record) + "\n");
+  return record;
 }
 
 /* -------------------------------------------------------------------------- */
 /*                           Resource Fetch Functions                          */
 /* -------------------------------------------------------------------------- */
 
+// Pool data is as old as the cached response plus the subgraph's indexing lag
+function dataAge(json) {
+  const cacheAge = json.age_seconds ?? 0;
+  const lag = json.data?.data_freshness || {};
+  return {
+    freshness_seconds: cacheAge + (lag.max_lag_seconds ?? 0),
+    cache_age_seconds: cacheAge,
+    indexing_lag_seconds: lag.max_lag_seconds ?? null,
+    indexing_lag_blocks: lag.max_lag_blocks ?? null
+  };
+}
+
 async function fetchBaseGasProfile(ethUsdOpt) {
   const url = new URL(`${RESOURCES_BASE_URL}/resources/base-gas-profile`);
   if (ethUsdOpt != null && Number.isFinite(ethUsdOpt)) {
@@ -131,7 +300,7 @@ async function fetchBaseGasProfile(ethUsdOpt) {
 
   return {
     ok: true,
-    evidence: [{ source: "resources/base-gas-profile", freshness_seconds: 60 }],
+    evidence: [{ source: "resources/base-gas-profile", freshness_seconds: r.json.age_seconds ?? 0 }],
     data: r.json.data
   };
 }
@@ -158,154 +327,887 @@ async function fetchBaseVenueDepth(assetIn, assetOut, notionalUsd) {
 
   return {
     ok: true,
-    evidence: [{ source: "resources/base-venue-depth", freshness_seconds: 60 }],
+    evidence: [{ source: "resources/base-venue-depth", ...dataAge(r.json) }],
     data: r.json.data
   };
 }
 
-/* -------------------------------------------------------------------------- */
-/*                               Validations                                  */
-/* -------------------------------------------------------------------------- */
+async function fetchBaseRoute(req) {
+  const url = new URL(`${RESOURCES_BASE_URL}/resources/base-route`);
+  url.searchParams.set("asset_in", String(req.asset_in));
+  url.searchParams.set("asset_out", String(req.asset_out));
+  url.searchParams.set("notional_usd", String(req.notional_value_usd));
+  if (req.max_hops != null) url.searchParams.set("max_hops", String(req.max_hops));
+  if (req.prefer_stable_routes != null) url.searchParams.set("prefer_stable", String(req.prefer_stable_routes));
+  if (req.intermediate_tokens?.length) url.searchParams.set("intermediates", req.intermediate_tokens.join(","));
+
+  // Only these venues have route data; uniswap_v2 is accepted in requirements but not routed.
+  // A restriction to unrouted venues only finds no route rather than searching everywhere
+  const routable = (req.allowed_venues || []).filter((v) => ["aerodrome", "uniswap_v3"].includes(v));
+  if (req.allowed_venues?.length && !routable.length) {
+    return {
+      ok: false,
+      evidence: [{ source: "resources/base-route", error: "no routable venue in allowed_venues (routes cover aerodrome, uniswap_v3)" }],
+      data: null
+    };
+  }
+  if (routable.length) url.searchParams.set("venues", routable.join(","));
 
-function validateBaseChain(req, errors) {
-  if (!isNonEmptyString(req.chain)) {
-    pushErr(errors, "chain", "must be a non-empty string");
-    return;
+  const r = await safeFetchJson(url.toString());
+  if (!r.ok || !r.json?.ok) {
+    return {
+      ok: false,
+      evidence: [
+        {
+          source: "resources/base-route",
+          error: r.error || r.json?.message || "unavailable"
+        }
+      ],
+      data: null
+    };
   }
-  const c = String(req.chain).toLowerCase();
-  if (!SUPPORTED_CHAINS.includes(c)) {
-    pushErr(errors, "chain", `must be one of: ${SUPPORTED_CHAINS.join(", ")}`);
+
+  return {
+    ok: true,
+    evidence: [{ source: "resources/base-route", ...dataAge(r.json) }],
+    data: r.json.data
+  };
+}
+
+/**
+ * Run `route` (a base-route route) through base-simulate-swap. The swap is
+ * simulated with the widest min-out the resource allows, so a revert means
+ * the trade cannot execute at all rather than that it slipped past the
+ * client's cap; slippage is compared against the cap from the realized output.
+ */
+async function fetchBaseSimulateSwap(route, req) {
+  const r = await safeFetchJson(`${RESOURCES_BASE_URL}/resources/base-simulate-swap`, {
+    route: { hops: route.hops },
+    trader: req.trader_address || undefined,
+    slippage_bps: SIMULATION_SLIPPAGE_BPS,
+    deadline_seconds: req.deadline_seconds
+  });
+  if (!r.ok || !r.json?.ok) {
+    return {
+      ok: false,
+      evidence: [{ source: "resources/base-simulate-swap", error: r.error || r.json?.message || "unavailable" }],
+      data: null,
+      error: r.error || r.json?.message || "unavailable"
+    };
   }
-  // If your agent is strictly mainnet base-only, uncomment below:
-  // if (c !== "base") pushErr(errors, "chain", "must be 'base' (mainnet only)");
-  req.chain = c;
+
+  return {
+    ok: true,
+    evidence: [{ source: "resources/base-simulate-swap", freshness_seconds: 0, block_number: r.json.data.block_number }],
+    data: r.json.data
+  };
 }
 
-function validatePreTradeRiskPack(req) {
-  const errors = [];
+async function fetchBaseTokenRisk(token) {
+  const url = new URL(`${RESOURCES_BASE_URL}/resources/base-token-risk`);
+  url.searchParams.set("token", String(token));
 
-  if (!isNonEmptyString(req.client_agent_id)) pushErr(errors, "client_agent_id", "must be a non-empty string");
-  validateBaseChain(req, errors);
+  const r = await safeFetchJson(url.toString());
+  if (!r.ok || !r.json?.ok) {
+    return {
+      ok: false,
+      evidence: [
+        {
+          source: "resources/base-token-risk",
+          error: r.error || r.json?.message || "unavailable"
+        }
+      ],
+      data: null
+    };
+  }
 
-  if (!isNonEmptyString(req.asset_in)) pushErr(errors, "asset_in", "must be token symbol or address");
-  if (!isNonEmptyString(req.asset_out)) pushErr(errors, "asset_out", "must be token symbol or address");
+  return {
+    ok: true,
+    evidence: [{ source: "resources/base-token-risk", freshness_seconds: r.json.age_seconds ?? 0 }],
+    data: r.json.data
+  };
+}
 
-  const side = String(req.side || "").toLowerCase();
-  if (!oneOf(side, ["buy", "sell"])) pushErr(errors, "side", "must be 'buy' or 'sell'");
-  req.side = side;
+async function fetchBaseMarketActivity(req) {
+  const url = new URL(`${RESOURCES_BASE_URL}/resources/base-market-activity`);
+  url.searchParams.set("lookback_minutes", String(req.lookback_minutes));
+  url.searchParams.set("min_notional_usd", String(req.minimum_notional_usd));
+  // Without focus assets the resources server watches its default set
+  if (req.focus_assets?.length) url.searchParams.set("assets", req.focus_assets.join(","));
 
-  const notional = toNumber(req.notional_value_usd);
-  if (!Number.isFinite(notional) || notional <= 0) {
-    pushErr(errors, "notional_value_usd", "must be a positive number (numeric string allowed)");
+  const r = await safeFetchJson(url.toString());
+  if (!r.ok || !r.json?.ok) {
+    return {
+      ok: false,
+      evidence: [
+        {
+          source: "resources/base-market-activity",
+          error: r.error || r.json?.message || "unavailable"
+        }
+      ],
+      data: null
+    };
   }
-  req.notional_value_usd = notional;
 
-  const venue = String(req.execution_venue || "unknown").toLowerCase();
-  const allowedVenues = ["aerodrome", "uniswap_v3", "uniswap_v2", "unknown"];
-  if (!allowedVenues.includes(venue)) pushErr(errors, "execution_venue", `must be one of: ${allowedVenues.join(", ")}`);
-  req.execution_venue = venue;
+  return {
+    ok: true,
+    evidence: [{ source: "resources/base-market-activity", freshness_seconds: r.json.age_seconds ?? 0 }],
+    data: r.json.data
+  };
+}
 
-  const slip = toInt(req.max_slippage_bps);
-  if (!Number.isFinite(slip) || slip < 1 || slip > 2000) {
-    pushErr(errors, "max_slippage_bps", "must be integer 1..2000 (e.g., 50 = 0.50%)");
+/**
+ * Register the watches behind a subscribing market_intelligence_feed, on
+ * behalf of `clientId`: the market feed itself at the requested floor, plus a
+ * depth watch per depth_watch_pairs entry. They share one webhook secret so
+ * the client verifies every callback the same way. Each POST is sent once,
+ * since a retry after a lost answer would register a second watch. Returns
+ * the subscription handle.
+ */
+async function openSubscription(req, clientId) {
+  const webhookSecret = req.webhook_url ? crypto.randomBytes(32).toString("hex") : undefined;
+  const common = {
+    label: `market_intelligence_feed for ${req.client_agent_id}`,
+    on_behalf_of: clientId,
+    ttl_hours: req.subscription_hours,
+    webhook_url: req.webhook_url || undefined,
+    webhook_secret: webhookSecret
+  };
+  const specs = [
+    {
+      type: "market",
+      subject: (req.focus_assets || []).join(",") || "default assets",
+      assets: req.focus_assets,
+      lookback_minutes: req.lookback_minutes,
+      min_notional_usd: req.minimum_notional_usd,
+      severity_floor: req.severity_floor
+    },
+    ...(req.depth_watch_pairs || []).map((pair) => {
+      const [assetIn, assetOut] = pair.split("/");
+      return { type: "pair", subject: pair, asset_in: assetIn, asset_out: assetOut, depth_drop_pct: req.depth_drop_alert_pct };
+    })
+  ];
+
+  const created = [];
+  const errors = [];
+  for (const { subject, ...spec } of specs) {
+    const r = await safeFetchJson(`${RESOURCES_BASE_URL}/watches`, { ...common, ...spec }, { retries: 0 });
+    if (r.ok && r.json?.ok) created.push({ subject, ...r.json.data });
+    else errors.push(`${spec.type} ${subject}: ${r.json?.message || r.error || `HTTP ${r.status}`}`);
   }
-  req.max_slippage_bps = slip;
+  if (!created.length) return { status: "unavailable", reason: errors.join("; ") };
 
-  const urgency = String(req.urgency || "normal").toLowerCase();
-  if (!oneOf(urgency, ["low", "normal", "high"])) pushErr(errors, "urgency", "must be low/normal/high");
-  req.urgency = urgency;
+  const ids = created.map((c) => c.watch.watch_id).join(",");
+  const tokens = created.map((c) => c.stream_token).join(",");
+  return {
+    status: "active",
+    expires_at: created[0].watch.expires_at,
+    stream_url: `${RESOURCES_PUBLIC_URL}/streams/alerts?watch_id=${ids}&token=${tokens}`,
+    poll_seconds: created[0].poll_seconds,
+    watches: created.map((c) => ({ watch_id: c.watch.watch_id, type: c.watch.type, subject: c.subject })),
+    webhook: req.webhook_url
+      ? {
+          url: req.webhook_url,
+          secret: webhookSecret,
+          signature_header: "X-Aegis-Signature",
+          signature_scheme: "t=<unix seconds>,v1=<hex HMAC-SHA256(secret, '<t>.<raw body>')>"
+        }
+      : null,
+    errors
+  };
+}
+
+// Delete the watches behind a subscription; returns the ids that could not be deleted
+async function closeSubscription(watchIds) {
+  const left = [];
+  for (const id of watchIds) {
+    const r = await safeFetchJson(`${RESOURCES_BASE_URL}/watches/${encodeURIComponent(id)}`, null, { method: "DELETE", source: "watches" });
+    if (!r.ok && r.status !== 404) left.push(id);
+  }
+  return left;
+}
+
+// Resolves a symbol/address via the token registry. `resolved: false` with no
+// error means the resources server could not be reached (not a token problem).
+async function fetchBaseTokenInfo(token) {
+  const url = new URL(`${RESOURCES_BASE_URL}/resources/base-token-info`);
+  url.searchParams.set("token", String(token));
+
+  const r = await safeFetchJson(url.toString());
+  if (r.ok && r.json?.ok) return { resolved: true, data: r.json.data };
+  if ([400, 404, 409].includes(r.status)) {
+    return { resolved: false, error: r.json?.message || "unknown token", candidates: r.json?.candidates || [] };
+  }
+  return { resolved: false, error: null, unavailable: r.error || r.json?.message || "unavailable" };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Validations                                  */
+/* -------------------------------------------------------------------------- */
+
+// Field checks, coercion and defaults come from the job's requirement schema
+// (schemas/<job>.v<version>.json); only the registry lookup is done here.
+
+// Check asset_in/asset_out against the token registry. If the resources server
+// is unreachable we skip the check rather than reject the job on our own outage.
+async function validateTokenPair(req, errors) {
+  if (!isNonEmptyString(req.asset_in) || !isNonEmptyString(req.asset_out)) return;
 
-  const lev = toNumber(req.leverage ?? 1);
-  if (!Number.isFinite(lev) || lev < 1) pushErr(errors, "leverage", "must be >= 1 (1 for spot)");
-  req.leverage = lev;
+  const [tin, tout] = await Promise.all([fetchBaseTokenInfo(req.asset_in), fetchBaseTokenInfo(req.asset_out)]);
+  if (!tin.resolved && tin.error) pushErr(errors, "asset_in", tin.error);
+  if (!tout.resolved && tout.error) pushErr(errors, "asset_out", tout.error);
 
-  const horizon = req.time_horizon_minutes == null ? null : toInt(req.time_horizon_minutes);
-  if (horizon != null && (!Number.isFinite(horizon) || horizon < 1 || horizon > 10080)) {
-    pushErr(errors, "time_horizon_minutes", "must be integer 1..10080 (optional)");
+  if (tin.resolved && tout.resolved) {
+    const a = tin.data.token;
+    const b = tout.data.token;
+    if (a.address.toLowerCase() === b.address.toLowerCase()) {
+      pushErr(errors, "asset_out", "must differ from asset_in");
+    }
+    req.resolved_tokens = { asset_in: a, asset_out: b };
   }
-  if (horizon != null) req.time_horizon_minutes = horizon;
+}
 
+async function validatePreTradeRiskPack(req) {
+  const errors = validateRequirement("pre_trade_risk_pack", req);
+  if (req.risk_profile == null) req.risk_profile = RISK_MODEL.default_profile;
+  else if (typeof req.risk_profile === "string" && !RISK_MODEL.profiles[req.risk_profile]) {
+    pushErr(errors, "risk_profile", `must be one of: ${Object.keys(RISK_MODEL.profiles).join(", ")}`);
+  }
+  await validateTokenPair(req, errors);
   return { ok: errors.length === 0, errors };
 }
 
-function validateExecutionQuoteAndRoute(req) {
-  const errors = [];
+async function validateExecutionQuoteAndRoute(req) {
+  const errors = validateRequirement("execution_quote_and_route", req);
+  await validateTokenPair(req, errors);
+  return { ok: errors.length === 0, errors };
+}
+
+function validateMarketIntel(req) {
+  const errors = validateRequirement("market_intelligence_feed", req);
+  return { ok: errors.length === 0, errors };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Risk Model                                 */
+/* -------------------------------------------------------------------------- */
+// The pre-trade risk score is the sum of per-factor contributions,
+// round(weight * curve(input)), clamped to 0..100. Profiles with their weights,
+// curves, thresholds and decision cut-offs are loaded from RISK_MODEL_PATH;
+// clients pick one with requirement.risk_profile. A profile may "extends"
+// another and override its decision settings or individual factor fields.
+//
+// Curves:
+//  - linear:      piecewise-linear through points [[x, y], ...], flat outside them
+//  - step:        y of the last point with x <= input
+//  - categorical: values[input], else default
+// Thresholds ({ label, at | above | in, key_risk, veto }) are listed mildest
+// first; the last one crossed is reported and its key_risk added to the
+// deliverable. Crossing a veto threshold rejects whatever the total score.
+
+const RISK_MODEL_PATH = process.env.RISK_MODEL_PATH || path.join(__dirname, "risk-model.json");
+const CURVE_TYPES = ["linear", "step", "categorical"];
+
+function resolveProfile(profiles, name, seen = []) {
+  const p = profiles[name];
+  if (!p) throw new Error(`risk profile '${name}' is not defined`);
+  if (!p.extends) return p;
+  if (seen.includes(name)) throw new Error(`risk profile '${name}' extends itself`);
+
+  const base = resolveProfile(profiles, p.extends, [...seen, name]);
+  const factors = { ...base.factors };
+  for (const [factor, f] of Object.entries(p.factors || {})) factors[factor] = { ...base.factors[factor], ...f };
+  return { ...base, ...p, decision: { ...base.decision, ...p.decision }, factors };
+}
+
+function loadRiskModel(file = RISK_MODEL_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const profiles = {};
+
+  for (const name of Object.keys(raw.profiles || {})) {
+    const p = resolveProfile(raw.profiles, name);
+    if (!Number.isFinite(p.decision?.reject_at)) throw new Error(`${file}: ${name}: decision.reject_at must be a number`);
+    for (const [factor, f] of Object.entries(p.factors || {})) {
+      if (!f.input) throw new Error(`${file}: ${name}.${factor}: input is required`);
+      if (!Number.isFinite(f.weight)) throw new Error(`${file}: ${name}.${factor}: weight must be a number`);
+      if (!CURVE_TYPES.includes(f.curve?.type)) {
+        throw new Error(`${file}: ${name}.${factor}: curve.type must be one of ${CURVE_TYPES.join(", ")}`);
+      }
+      if (f.curve.type !== "categorical" && !(Array.isArray(f.curve.points) && f.curve.points.length)) {
+        throw new Error(`${file}: ${name}.${factor}: curve.points must be a non-empty array of [x, y]`);
+      }
+    }
+    profiles[name] = p;
+  }
 
-  if (!isNonEmptyString(req.client_agent_id)) pushErr(errors, "client_agent_id", "must be a non-empty string");
-  validateBaseChain(req, errors);
+  if (!profiles[raw.default_profile]) throw new Error(`${file}: default_profile '${raw.default_profile}' is not defined`);
+  return { default_profile: raw.default_profile, profiles };
+}
 
-  if (!isNonEmptyString(req.asset_in)) pushErr(errors, "asset_in", "must be token symbol or address");
-  if (!isNonEmptyString(req.asset_out)) pushErr(errors, "asset_out", "must be token symbol or address");
+const RISK_MODEL = loadRiskModel();
 
-  const notional = toNumber(req.notional_value_usd);
-  if (!Number.isFinite(notional) || notional <= 0) {
-    pushErr(errors, "notional_value_usd", "must be a positive number (numeric string allowed)");
+function curveValue(curve, x) {
+  if (curve.type === "categorical") return curve.values?.[x] ?? curve.default ?? 0;
+
+  const pts = curve.points;
+  if (curve.type === "step") return pts.reduce((y, [px, py]) => (x >= px ? py : y), pts[0][1]);
+
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1];
+    const [x1, y1] = pts[i];
+    if (x <= x1) return y0 + ((x - x0) / (x1 - x0 || 1)) * (y1 - y0);
   }
-  req.notional_value_usd = notional;
+  return pts[pts.length - 1][1];
+}
+
+function thresholdRule(t) {
+  if (t.in) return `in [${t.in.join(", ")}]`;
+  if (t.above != null) return `> ${t.above}`;
+  return `>= ${t.at}`;
+}
+
+function thresholdCrossed(t, x) {
+  if (t.in) return t.in.includes(x);
+  if (t.above != null) return x > t.above;
+  return x >= t.at;
+}
+
+/**
+ * Score `inputs` (keyed by each factor's `input` name) under a profile.
+ * Factors whose input is missing contribute 0 and say so in the breakdown.
+ * Returns { score, breakdown, keyRisks, vetoes }.
+ */
+function scoreRisk(profileName, inputs) {
+  const profile = RISK_MODEL.profiles[profileName];
+  const keyRisks = [];
+  const vetoes = [];
+
+  const breakdown = Object.entries(profile.factors).map(([factor, f]) => {
+    const value = inputs[f.input];
+    const available = f.curve.type === "categorical" ? value != null : Number.isFinite(value);
+    const factorScore = available ? curveValue(f.curve, value) : 0;
+    const hit = available ? (f.thresholds || []).filter((t) => thresholdCrossed(t, value)).pop() : null;
+    if (hit?.key_risk) keyRisks.push(hit.key_risk);
+    if (hit?.veto) vetoes.push(`${factor} '${hit.label}' (${f.input} ${thresholdRule(hit)})`);
+
+    return {
+      factor,
+      input: f.input,
+      value: available ? value : null,
+      curve: f.curve.type,
+      factor_score: Math.round(factorScore * 100) / 100,
+      weight: f.weight,
+      contribution: Math.round(f.weight * factorScore),
+      threshold_crossed: hit ? { label: hit.label, rule: thresholdRule(hit), veto: Boolean(hit.veto) } : null,
+      note: available ? null : "input unavailable; contributes 0"
+    };
+  });
 
-  const slip = toInt(req.max_slippage_bps);
-  if (!Number.isFinite(slip) || slip < 1 || slip > 2000) {
-    pushErr(errors, "max_slippage_bps", "must be integer 1..2000");
+  const score = clamp(breakdown.reduce((s, b) => s + b.contribution, 0), 0, 100);
+  return { score, breakdown, keyRisks, vetoes };
+}
+
+/**
+ * Decision under a profile's cut-offs for a scoreRisk() result: REJECT on a
+ * veto or at reject_at, SIZE_DOWN when the estimated slippage exceeds the
+ * client's cap or the score reaches size_down_at.
+ * Returns { decision, sizeFactor, basis }.
+ */
+function decideRisk(profileName, { score, vetoes = [] }, estSlipBps, maxSlipBps, depthAge = null) {
+  const { reject_at: rejectAt, size_down_at: sizeDownAt = null, size_factor_range: range = [0.2, 0.8] } =
+    RISK_MODEL.profiles[profileName].decision;
+  const [lo, hi] = range;
+
+  if (vetoes.length) {
+    return { decision: "REJECT", sizeFactor: 0, basis: `veto: ${vetoes.join("; ")}` };
+  }
+  if (score >= rejectAt) {
+    return { decision: "REJECT", sizeFactor: 0, basis: `risk_score ${score} >= reject_at ${rejectAt}` };
+  }
+  if (estSlipBps > maxSlipBps) {
+    return {
+      decision: "SIZE_DOWN",
+      sizeFactor: clamp(maxSlipBps / estSlipBps, lo, hi),
+      basis: `estimated slippage ${estSlipBps} bps > max_slippage_bps ${maxSlipBps}`
+    };
+  }
+  if (sizeDownAt != null && score >= sizeDownAt) {
+    return {
+      decision: "SIZE_DOWN",
+      sizeFactor: clamp(1 - (score - sizeDownAt) / (rejectAt - sizeDownAt), lo, hi),
+      basis: `risk_score ${score} >= size_down_at ${sizeDownAt}`
+    };
+  }
+  if (depthAge != null && depthAge > DEPTH_MAX_AGE_SECONDS) {
+    return {
+      decision: "SIZE_DOWN",
+      sizeFactor: lo,
+      basis: `depth data is ${depthAge}s old > ${DEPTH_MAX_AGE_SECONDS}s; not approving full size on stale reserves`
+    };
   }
-  req.max_slippage_bps = slip;
+  return { decision: "APPROVE", sizeFactor: 1, basis: "risk_score below profile cut-offs and slippage within cap" };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Split Optimizer                              */
+/* -------------------------------------------------------------------------- */
+
+const MAX_CLIPS = 8;
+const WATERFILL_STEPS = 50;
 
-  if (req.allowed_venues != null) {
-    if (!Array.isArray(req.allowed_venues) || req.allowed_venues.length === 0) {
-      pushErr(errors, "allowed_venues", "must be a non-empty array if provided");
-    } else {
-      const lower = req.allowed_venues.map((v) => String(v).toLowerCase());
-      const allowed = ["aerodrome", "uniswap_v3", "uniswap_v2"];
-      const bad = lower.filter((v) => !allowed.includes(v));
-      if (bad.length) pushErr(errors, "allowed_venues", `unsupported: ${bad.join(", ")}`);
-      req.allowed_venues = lower;
+// Per-leg gas assumed when the gas profile is unavailable (matches the heuristic profile)
+const DEFAULT_LEG_GAS_USD = 0.65;
+
+// Notional thresholds used when no venue slippage curves are available
+function fallbackSplitCount(notionalUsd) {
+  return notionalUsd > 75000 ? 3 : notionalUsd > 30000 ? 2 : 1;
+}
+
+// Linear interpolation on a venue's slippage curve; extends the last segment
+// past the sampled range
+function curveSlippageBps(curve, x) {
+  if (x <= 0) return curve[0].slippage_bps;
+  let i = 1;
+  while (i < curve.length - 1 && x > curve[i].notional_usd) i++;
+  const a = curve[i - 1];
+  const b = curve[i];
+  const span = b.notional_usd - a.notional_usd || 1;
+  return a.slippage_bps + ((x - a.notional_usd) / span) * (b.slippage_bps - a.slippage_bps);
+}
+
+function curveCostUsd(curve, x) {
+  return (x * curveSlippageBps(curve, x)) / 10000;
+}
+
+/**
+ * Water-fill `notional` across venues in equal steps, each step going to the
+ * venue whose next step is cheapest. On convex slippage curves this ends with
+ * equal marginal prices across the venues used.
+ */
+function waterfill(venues, notional) {
+  const alloc = venues.map(() => 0);
+  const step = notional / WATERFILL_STEPS;
+  for (let k = 0; k < WATERFILL_STEPS; k++) {
+    let best = 0;
+    let bestMarginal = Infinity;
+    venues.forEach((v, i) => {
+      const m = curveCostUsd(v.slippage_curve, alloc[i] + step) - curveCostUsd(v.slippage_curve, alloc[i]);
+      if (m < bestMarginal) {
+        bestMarginal = m;
+        best = i;
+      }
+    });
+    alloc[best] += step;
+  }
+  const slippageUsd = venues.reduce((s, v, i) => s + curveCostUsd(v.slippage_curve, alloc[i]), 0);
+  return { alloc, slippageUsd };
+}
+
+function nonEmptySubsets(xs) {
+  const out = [];
+  for (let mask = 1; mask < 1 << xs.length; mask++) out.push(xs.filter((_, i) => mask & (1 << i)));
+  return out;
+}
+
+/**
+ * Choose clip count and per-clip venue allocation minimizing slippage plus
+ * gas. Every leg of every clip pays `legGasUsd`, so more clips or venues only
+ * win when the slippage they save exceeds the gas they add. Assumes pools
+ * recover (arbitraged back) between clips.
+ *
+ * Returns null when no venue has a usable slippage curve.
+ */
+function optimizeSplit(venues, notionalUsd, legGasUsd) {
+  const usable = (venues || []).filter((v) => Array.isArray(v.slippage_curve) && v.slippage_curve.length >= 2);
+  if (!usable.length || !(notionalUsd > 0)) return null;
+
+  const gas = Number.isFinite(legGasUsd) ? legGasUsd : DEFAULT_LEG_GAS_USD;
+  let best = null;
+
+  for (let clips = 1; clips <= MAX_CLIPS; clips++) {
+    const clipNotional = notionalUsd / clips;
+    for (const subset of nonEmptySubsets(usable)) {
+      const { alloc, slippageUsd } = waterfill(subset, clipNotional);
+      const legs = subset.map((v, i) => ({ v, notional: alloc[i] })).filter((l) => l.notional > 0);
+      const total = clips * (slippageUsd + legs.length * gas);
+      if (!best || total < best.total) best = { clips, clipNotional, legs, slippageUsd, total };
     }
-  } else {
-    req.allowed_venues = ["uniswap_v3", "aerodrome"];
   }
 
-  req.prefer_stable_routes = Boolean(req.prefer_stable_routes);
+  const singleVenueCost = Math.min(...usable.map((v) => curveCostUsd(v.slippage_curve, notionalUsd) + gas));
+  const legCount = best.legs.length;
 
-  const deadline = req.deadline_seconds == null ? 180 : toInt(req.deadline_seconds);
-  if (!Number.isFinite(deadline) || deadline < 60 || deadline > 3600) {
-    pushErr(errors, "deadline_seconds", "must be integer 60..3600 (default 180)");
+  return {
+    method: "waterfill_equal_marginal_cost",
+    clip_count: best.clips,
+    clip_notional_usd: Math.round(best.clipNotional * 100) / 100,
+    legs: best.legs.map(({ v, notional }) => {
+      const slip = curveSlippageBps(v.slippage_curve, notional);
+      const step = notional / WATERFILL_STEPS;
+      const marginal = step > 0 ? ((curveCostUsd(v.slippage_curve, notional) - curveCostUsd(v.slippage_curve, notional - step)) / step) * 10000 : null;
+      return {
+        venue: v.venue,
+        pool_id: v.pool_id,
+        notional_usd: Math.round(notional * 100) / 100,
+        notional_share: Math.round((notional / best.clipNotional) * 10000) / 10000,
+        expected_slippage_bps: Math.round(slip * 10) / 10,
+        expected_impact_bps: Math.round(Math.max(0, slip - v.slippage_curve[0].slippage_bps) * 10) / 10,
+        marginal_cost_bps: marginal == null ? null : Math.round(marginal * 10) / 10
+      };
+    }),
+    gas_per_leg_usd: gas,
+    expected_slippage_cost_usd: Math.round(best.clips * best.slippageUsd * 100) / 100,
+    expected_gas_cost_usd: Math.round(best.clips * legCount * gas * 10000) / 10000,
+    expected_total_cost_usd: Math.round(best.total * 100) / 100,
+    single_venue_single_clip_cost_usd: Math.round(singleVenueCost * 100) / 100,
+    savings_usd: Math.round((singleVenueCost - best.total) * 100) / 100
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                MEV Exposure                                */
+/* -------------------------------------------------------------------------- */
+
+// Share of profitable sandwiches assumed to be taken. Base has no public
+// mempool, so attackers work from the sequencer feed and lose some races
+const MEV_SANDWICH_LIKELIHOOD = clamp(Number(process.env.MEV_SANDWICH_LIKELIHOOD ?? 0.5), 0, 1);
+// Tightest tolerance ever recommended; below it ordinary price moves revert the swap
+const MEV_MIN_TOLERANCE_BPS = Number(process.env.MEV_MIN_TOLERANCE_BPS || 10);
+const MEV_SEARCH_STEPS = 40;
+
+/**
+ * Constant-product reserves (USD at spot, same on both sides) that reproduce
+ * a venue's slippage curve. With fee f and input reserve X, a trade of x
+ * slips 1 - (1-f)·X / (X + x(1-f)); X is solved from the largest sampled
+ * trade, the one nearest the order's size. In-range V3 liquidity behaves the
+ * same way with X its virtual reserve. Without a curve, half of depth_usd.
+ * f is the venue's fee_bps (or its V3 fee tier), 30 bps when neither is reported.
+ */
+function virtualReserves(venue) {
+  const curve = Array.isArray(venue?.slippage_curve) ? venue.slippage_curve : [];
+  const feeBps = Number.isFinite(venue?.fee_bps) ? venue.fee_bps : venue?.feeTier ? Number(venue.feeTier) / 100 : 30;
+  const fee = feeBps / 10000;
+  for (const p of [...curve].reverse()) {
+    const r = (1 - p.slippage_bps / 10000) / (1 - fee);
+    if (p.notional_usd > 0 && r > 0 && r < 1) {
+      return { reserveUsd: (p.notional_usd * (1 - fee) * r) / (1 - r), fee, feeBps, source: "slippage_curve" };
+    }
   }
-  req.deadline_seconds = deadline;
+  if (venue?.depth_usd > 0) return { reserveUsd: venue.depth_usd / 2, fee, feeBps, source: "depth_usd" };
+  return null;
+}
 
-  return { ok: errors.length === 0, errors };
+/**
+ * Best sandwich against a `victimUsd` swap whose minimum output is
+ * `toleranceBps` under its quote: the attacker buys ahead of it, at most
+ * until the victim's output just clears the minimum, and sells back after
+ * it, paying the pool fee both ways and `attackGasUsd` for the two swaps.
+ */
+function sandwich({ reserveUsd, fee }, victimUsd, toleranceBps, attackGasUsd) {
+  const out = (rIn, rOut, dx) => (rOut * dx * (1 - fee)) / (rIn + dx * (1 - fee));
+  const quoted = out(reserveUsd, reserveUsd, victimUsd);
+  const minOut = quoted * (1 - toleranceBps / 10000);
+
+  const attack = (frontrun) => {
+    const bought = out(reserveUsd, reserveUsd, frontrun);
+    const x1 = reserveUsd + frontrun * (1 - fee);
+    const y1 = reserveUsd - bought;
+    const victimOut = out(x1, y1, victimUsd);
+    const soldBack = out(y1 - victimOut, x1 + victimUsd * (1 - fee), bought);
+    return { frontrun, victimOut, profit: soldBack - frontrun - attackGasUsd };
+  };
+
+  // Largest front-run the victim's minimum output tolerates
+  let lo = 0;
+  let hi = reserveUsd;
+  for (let i = 0; i < MEV_SEARCH_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (attack(mid).victimOut >= minOut) lo = mid;
+    else hi = mid;
+  }
+  let best = attack(0);
+  for (let k = 1; k <= MEV_SEARCH_STEPS; k++) {
+    const a = attack((lo * k) / MEV_SEARCH_STEPS);
+    if (a.profit > best.profit) best = a;
+  }
+  const profitable = best.profit > 0;
+  return {
+    profitable,
+    frontrunUsd: profitable ? best.frontrun : 0,
+    attackerProfitUsd: best.profit,
+    victimLossUsd: profitable ? quoted - best.victimOut : 0
+  };
 }
 
-function validateMarketIntel(req) {
-  const errors = [];
+const usd = (x) => Math.round(x * 100) / 100;
+
+// An attacker sends two swaps, each at the victim's gas cost
+function attackGasUsd(swapGasUsd) {
+  return 2 * (Number.isFinite(swapGasUsd) ? swapGasUsd : DEFAULT_LEG_GAS_USD);
+}
 
-  if (!isNonEmptyString(req.client_agent_id)) pushErr(errors, "client_agent_id", "must be a non-empty string");
-  validateBaseChain(req, errors);
+/**
+ * Sandwich exposure of the whole order on `venue` at the client's
+ * `maxSlippageBps`, with the tolerance and the clip size below which no
+ * sandwich pays for its fees and gas.
+ */
+function estimateMevExposure(venue, notionalUsd, maxSlippageBps, swapGasUsd) {
+  const pool = virtualReserves(venue);
+  if (!pool) return { status: "unavailable", reason: "no depth data for the execution venue" };
+
+  const gasUsd = attackGasUsd(swapGasUsd);
+  const atCap = sandwich(pool, notionalUsd, maxSlippageBps, gasUsd);
+
+  // Profitability only grows with tolerance and with size, so bisect both
+  let safeTolerance = maxSlippageBps;
+  let safeClip = notionalUsd;
+  if (atCap.profitable) {
+    let [lo, hi] = [0, maxSlippageBps];
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (sandwich(pool, notionalUsd, mid, gasUsd).profitable) hi = mid;
+      else lo = mid;
+    }
+    safeTolerance = lo;
 
-  const lb = toInt(req.lookback_minutes);
-  if (!Number.isFinite(lb) || lb < 5 || lb > 43200) {
-    pushErr(errors, "lookback_minutes", "must be integer 5..43200");
+    [lo, hi] = [0, notionalUsd];
+    for (let i = 0; i < MEV_SEARCH_STEPS; i++) {
+      const mid = (lo + hi) / 2;
+      if (sandwich(pool, mid, maxSlippageBps, gasUsd).profitable) hi = mid;
+      else lo = mid;
+    }
+    safeClip = lo;
   }
-  req.lookback_minutes = lb;
+  const safeClipCount = safeClip > 0 ? Math.ceil(notionalUsd / safeClip) : null;
+
+  let action = "none";
+  let note = `No sandwich at ${maxSlippageBps} bps covers the attacker's fees and gas.`;
+  if (atCap.profitable && safeTolerance >= MEV_MIN_TOLERANCE_BPS) {
+    action = "tighten_tolerance";
+    note = `Cap slippage at ${safeTolerance} bps (from ${maxSlippageBps}) to make sandwiching unprofitable.`;
+  } else if (atCap.profitable && safeClipCount != null && safeClipCount <= MAX_CLIPS) {
+    action = "split";
+    note = `Split into ${safeClipCount} clips of at most $${usd(safeClip)} to make sandwiching at ${maxSlippageBps} bps unprofitable.`;
+  } else if (atCap.profitable) {
+    action = "private_submission";
+    note =
+      `Sandwiching stays profitable down to a ${MEV_MIN_TOLERANCE_BPS} bps tolerance and up to ${MAX_CLIPS} clips; ` +
+      "the loss shrinks with the tolerance, but only private submission removes it.";
+  }
+
+  return {
+    status: "estimated",
+    model: "constant_product_sandwich",
+    venue: venue.venue,
+    pool_id: venue.pool_id ?? null,
+    reserve_source: pool.source,
+    virtual_reserve_usd: usd(pool.reserveUsd),
+    fee_bps: pool.feeBps,
+    max_slippage_bps: maxSlippageBps,
+    attacker_gas_usd: usd(gasUsd),
+    sandwich_profitable: atCap.profitable,
+    frontrun_size_usd: usd(atCap.frontrunUsd),
+    max_sandwich_profit_usd: usd(Math.max(0, atCap.attackerProfitUsd)),
+    victim_loss_usd: usd(atCap.victimLossUsd),
+    victim_loss_bps: notionalUsd > 0 ? Math.round((atCap.victimLossUsd / notionalUsd) * 10000 * 10) / 10 : 0,
+    sandwich_likelihood: MEV_SANDWICH_LIKELIHOOD,
+    expected_loss_usd: usd(atCap.victimLossUsd * MEV_SANDWICH_LIKELIHOOD),
+    safe_max_slippage_bps: safeTolerance,
+    safe_clip_notional_usd: usd(safeClip),
+    safe_clip_count: safeClipCount,
+    recommendation: { action, note },
+    planned: null
+  };
+}
+
+/**
+ * Exposure left by an execution plan: each leg ({ venue, notional_usd }) of
+ * each of `clipCount` clips sandwiched independently at `toleranceBps`.
+ */
+function plannedMevExposure(legs, clipCount, toleranceBps, swapGasUsd) {
+  const gasUsd = attackGasUsd(swapGasUsd);
+  const attacks = legs.map((leg) => {
+    const pool = virtualReserves(leg.venue);
+    return pool ? sandwich(pool, leg.notional_usd, toleranceBps, gasUsd) : null;
+  });
+  const loss = attacks.reduce((sum, a) => sum + (a?.victimLossUsd || 0), 0) * clipCount;
+  return {
+    max_slippage_bps: toleranceBps,
+    clip_count: clipCount,
+    sandwich_profitable: attacks.some((a) => a?.profitable),
+    victim_loss_usd: usd(loss),
+    expected_loss_usd: usd(loss * MEV_SANDWICH_LIKELIHOOD)
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Scenario Engine                              */
+/* -------------------------------------------------------------------------- */
+// Each scenario is a set of shocks applied to the risk pack's inputs before
+// its numbers are recomputed:
+//  - gas_multiplier:     swap gas cost x N; a rise of 20% / 50% also lifts the
+//                        congestion level to elevated / high, as a base fee
+//                        climbing that fast would in the gas profile
+//  - liquidity_removal:  fraction of liquidity pulled, one number for every
+//                        venue or { venue: fraction }; a venue with a fraction
+//                        f of its liquidity gone slips at x what it slipped at
+//                        x / (1 - f), exact for constant-product pools
+//  - price_move_bps:     price move before the swap lands, positive = against
+//                        the order
+//  - venue_outage:       venues that cannot be used at all
+// The order is taken to carry a minimum output max_slippage_bps under the
+// pre-trade spot price, so it reverts once slippage plus the adverse move
+// exceeds the cap.
+
+const DEFAULT_SCENARIOS = [
+  { name: "gas_spike_30pct", gas_multiplier: 1.3 },
+  { name: "liquidity_drop_20pct", liquidity_removal: 0.2 },
+  { name: "fast_price_move", price_move_bps: 100 }
+];
+
+const CONGESTION_ORDER = ["low", "normal", "elevated", "high"];
+
+function shockedCongestion(level, gasMultiplier) {
+  const lifted = gasMultiplier >= 1.5 ? "high" : gasMultiplier >= 1.2 ? "elevated" : null;
+  if (!lifted) return level;
+  return CONGESTION_ORDER.indexOf(lifted) > CONGESTION_ORDER.indexOf(level) ? lifted : level;
+}
+
+// Venue with a fraction `removal` of its liquidity gone, its slippage re-read at `notionalUsd`
+function shockVenue(v, removal, notionalUsd) {
+  if (!(removal > 0)) return v;
+  const keep = 1 - removal;
+  const usable = Array.isArray(v.slippage_curve) && v.slippage_curve.length >= 2;
+  const curve = usable ? v.slippage_curve.map((p) => ({ notional_usd: p.notional_usd * keep, slippage_bps: p.slippage_bps })) : v.slippage_curve;
+  return {
+    ...v,
+    depth_usd: (v.depth_usd || 0) * keep,
+    slippage_curve: curve,
+    estimated_slippage_bps: usable
+      ? curveSlippageBps(curve, notionalUsd)
+      : v.estimated_slippage_bps != null
+      ? v.estimated_slippage_bps / keep
+      : null
+  };
+}
+
+function venueSlippageBps(v, notionalUsd) {
+  if (Array.isArray(v?.slippage_curve) && v.slippage_curve.length >= 2) return curveSlippageBps(v.slippage_curve, notionalUsd);
+  return v?.estimated_slippage_bps ?? null;
+}
+
+const round1 = (x) => Math.round(x * 10) / 10;
 
-  // accept both keys: minimum_notional_usd or min_notional_usd
-  const minN = req.minimum_notional_usd != null ? toNumber(req.minimum_notional_usd) : toNumber(req.min_notional_usd);
-  if (!Number.isFinite(minN) || minN <= 0) {
-    pushErr(errors, "minimum_notional_usd", "must be a positive number (numeric string allowed)");
+/**
+ * Recompute the risk pack's key numbers under one scenario. `base` carries
+ * the unshocked inputs: { profileName, notionalUsd, maxSlippageBps, venues,
+ * estSlipBps, swapCostUsd, congestion, scoreInputs, vetoes, depthAge }.
+ * Slippage moves by what the depth model says the shocks change, so a
+ * scenario without shocks reproduces the deliverable's own figures.
+ */
+function runScenario(base, s, source) {
+  const gasMultiplier = s.gas_multiplier ?? 1;
+  const priceMove = s.price_move_bps ?? 0;
+  const outage = new Set(s.venue_outage || []);
+  const removal = (venue) => (typeof s.liquidity_removal === "number" ? s.liquidity_removal : s.liquidity_removal?.[venue] ?? 0);
+  const shocks = {
+    gas_multiplier: gasMultiplier,
+    liquidity_removal: s.liquidity_removal ?? 0,
+    price_move_bps: priceMove,
+    venue_outage: [...outage]
+  };
+
+  const before = base.venues[0] || null;
+  const venues = base.venues
+    .filter((v) => !outage.has(v.venue))
+    .map((v) => shockVenue(v, removal(v.venue), base.notionalUsd))
+    .sort((a, b) => (b.depth_usd || 0) - (a.depth_usd || 0));
+  const best = venues[0] || null;
+
+  if (before && !best) {
+    return {
+      scenario: s.name,
+      source,
+      shocks,
+      venue: null,
+      slippage_bps: null,
+      shortfall_bps: null,
+      reverts_at_max_slippage: true,
+      decision: "REJECT",
+      decision_basis: "no venue left to execute on",
+      impact: `No venue left: ${[...outage].join(", ")} unavailable.`,
+      recommendation: "Do not execute until a venue is back."
+    };
   }
-  req.minimum_notional_usd = minN;
 
-  if (req.focus_assets != null) {
-    if (!Array.isArray(req.focus_assets)) pushErr(errors, "focus_assets", "must be array(string) if provided");
-    else req.focus_assets = req.focus_assets.map((x) => String(x).trim()).filter(Boolean);
-  } else {
-    req.focus_assets = [];
+  // Without depth data, only a market-wide liquidity removal can be applied, to the fallback estimate
+  let slippage = base.estSlipBps;
+  const [now, shocked] = [venueSlippageBps(before, base.notionalUsd), venueSlippageBps(best, base.notionalUsd)];
+  if (now != null && shocked != null) slippage += shocked - now;
+  else if (typeof s.liquidity_removal === "number") slippage /= 1 - s.liquidity_removal;
+  slippage = round1(Math.max(0, slippage));
+  const shortfall = round1(Math.max(0, slippage + priceMove));
+
+  const gasUsd = (Number.isFinite(base.swapCostUsd) ? base.swapCostUsd : DEFAULT_LEG_GAS_USD) * gasMultiplier;
+  const congestion = shockedCongestion(base.congestion, gasMultiplier);
+  const splitPlan = optimizeSplit(venues, base.notionalUsd, gasUsd);
+  const slippageUsd = (base.notionalUsd * slippage) / 10000;
+  const moveUsd = (base.notionalUsd * priceMove) / 10000;
+  const totalUsd = slippageUsd + gasUsd + moveUsd;
+
+  const scored = scoreRisk(base.profileName, {
+    ...base.scoreInputs,
+    estimated_slippage_bps: shortfall,
+    congestion_level: congestion,
+    network_cost_bps: base.scoreInputs.network_cost_bps != null ? base.scoreInputs.network_cost_bps * gasMultiplier : null
+  });
+  scored.vetoes.push(...base.vetoes);
+  const { decision, basis } = decideRisk(base.profileName, scored, shortfall, base.maxSlippageBps, base.depthAge);
+  const reverts = shortfall > base.maxSlippageBps;
+
+  let recommendation = "Proceed; the plan holds under this shock.";
+  if (reverts && slippage > base.maxSlippageBps) {
+    recommendation = `Slippage alone exceeds the ${base.maxSlippageBps} bps cap; split into ${splitPlan?.clip_count ?? fallbackSplitCount(base.notionalUsd)} clips or reduce size.`;
+  } else if (reverts) {
+    recommendation = `A ${priceMove} bps move exhausts the ${base.maxSlippageBps} bps cap; re-quote immediately before sending.`;
+  } else if (decision !== "APPROVE") {
+    recommendation = `${decision}: ${basis}.`;
   }
 
-  const sev = String(req.severity_floor || "info").toLowerCase();
-  const allowed = ["info", "low", "medium", "high", "critical"];
-  if (!allowed.includes(sev)) pushErr(errors, "severity_floor", `must be one of: ${allowed.join(", ")}`);
-  req.severity_floor = sev;
+  return {
+    scenario: s.name,
+    source,
+    shocks,
+    venue: best?.venue ?? null,
+    slippage_bps: slippage,
+    shortfall_bps: shortfall,
+    reverts_at_max_slippage: reverts,
+    gas_cost_usd: usd(gasUsd),
+    slippage_cost_usd: usd(slippageUsd),
+    price_move_cost_usd: usd(moveUsd),
+    total_cost_usd: usd(totalUsd),
+    total_cost_bps: round1((totalUsd / base.notionalUsd) * 10000),
+    congestion_level: congestion,
+    recommended_split_count: splitPlan?.clip_count ?? fallbackSplitCount(base.notionalUsd),
+    risk_score: scored.score,
+    decision,
+    decision_basis: basis,
+    impact:
+      `Slippage ${slippage} bps (${slippage >= base.estSlipBps ? "+" : ""}${round1(slippage - base.estSlipBps)} vs now), ` +
+      `total cost $${usd(totalUsd)}; ${reverts ? "reverts" : "fills"} under the ${base.maxSlippageBps} bps cap.`,
+    recommendation
+  };
+}
 
-  return { ok: errors.length === 0, errors };
+/**
+ * The default shocks plus an outage of the recommended venue, then the
+ * client's own `scenarios` from the requirement.
+ */
+function runScenarios(base, custom = []) {
+  const defaults = [...DEFAULT_SCENARIOS];
+  if (base.venues[0]) defaults.push({ name: `${base.venues[0].venue}_outage`, venue_outage: [base.venues[0].venue] });
+  return [...defaults.map((s) => runScenario(base, s, "default")), ...custom.map((s) => runScenario(base, s, "requirement"))];
 }
 
 /* -------------------------------------------------------------------------- */
@@ -316,6 +1218,7 @@ function invalidDeliverable(jobName, validation) {
   return {
     job_name: jobName,
     agent_version: AGENT_VERSION,
+    schema_version: 1,
     chain: ACP_CHAIN,
     validation_passed: false,
     validation_errors: validation.errors,
@@ -330,6 +1233,91 @@ function invalidDeliverable(jobName, validation) {
   };
 }
 
+// What the risk pack keeps from a base-token-risk screen
+function tokenRiskSummary(data) {
+  if (!data) return null;
+  const sim = data.checks?.transfer_simulation || {};
+  return {
+    address: data.token?.address || null,
+    symbol: data.token?.symbol || null,
+    listed: Boolean(data.listed),
+    risk_score: data.risk_score,
+    risk_level: data.risk_level,
+    findings: (data.findings || []).map((f) => ({ id: f.id, severity: f.severity, title: f.title })),
+    transfer_simulation: sim.status || null,
+    transfer_tax_bps: { inbound: sim.inbound_tax_bps ?? null, outbound: sim.outbound_tax_bps ?? null }
+  };
+}
+
+// What the risk pack keeps from base-venue-depth's price_integrity section
+function priceIntegritySummary(pi) {
+  if (!pi) return null;
+  return {
+    status: pi.status,
+    max_deviation_bps: pi.max_deviation_bps ?? null,
+    thresholds_bps: pi.thresholds_bps || null,
+    twap: pi.references?.twap || null,
+    twap_error: pi.references?.twap_error || null,
+    cross_venue_median: pi.references?.cross_venue_median || null,
+    pools: (pi.pools || []).map((p) => ({
+      venue: p.venue,
+      pool_id: p.pool_id,
+      spot_price: p.spot_price,
+      deviation_vs_twap_bps: p.deviation_vs_twap_bps,
+      deviation_vs_median_bps: p.deviation_vs_median_bps,
+      status: p.status
+    })),
+    flags: pi.flags || []
+  };
+}
+
+const SEVERITY_LEVELS = ["none", "info", "low", "medium", "high", "critical"];
+
+// Highest severity among the given levels; null when none are known
+function worstSeverity(levels) {
+  const known = levels.filter((l) => SEVERITY_LEVELS.includes(l));
+  if (!known.length) return null;
+  return known.reduce((a, b) => (SEVERITY_LEVELS.indexOf(b) > SEVERITY_LEVELS.indexOf(a) ? b : a));
+}
+
+// Sent instead of a deliverable that failed its own schema (a provider bug, not bad input)
+function schemaFailureDeliverable(jobName, schemaErrors) {
+  return {
+    ...invalidDeliverable(jobName, { errors: schemaErrors.map((e) => `deliverable.${e}`) }),
+    key_risks: ["Provider could not produce a deliverable matching its published schema; no analysis delivered."],
+    assumptions: ["No analysis delivered; the job can be re-requested."]
+  };
+}
+
+// What the risk pack reports from base-simulate-swap
+function simulationSummary(routeR, simR) {
+  if (!routeR.data?.best_route) return { status: "unavailable", reason: `no route: ${routeR.evidence[0]?.error || "none found"}` };
+  if (!simR?.data) return { status: "unavailable", reason: simR?.error || "not run" };
+
+  const d = simR.data;
+  const last = d.steps[d.steps.length - 1];
+  const routerOut = last?.router_amount_out_raw ? BigInt(last.router_amount_out_raw) : null;
+  const received = last?.received_amount_out_raw ? BigInt(last.received_amount_out_raw) : null;
+  return {
+    status: d.status,
+    block_number: d.block_number,
+    trader: d.trader,
+    funding: d.funding,
+    path: routeR.data.best_route.path,
+    token_out: routeR.data.best_route.path[routeR.data.best_route.path.length - 1],
+    amount_in: d.amount_in,
+    quoted_amount_out: d.quoted_amount_out,
+    realized_amount_out: d.realized_amount_out,
+    realized_vs_quote_bps: d.realized_vs_quote_bps,
+    realized_slippage_bps: d.realized_slippage_bps,
+    transfer_tax_bps:
+      d.status === "success" && routerOut > 0n && received != null ? Number(((routerOut - received) * 10000n) / routerOut) : null,
+    gas_used: d.gas_used,
+    revert_reason: d.revert_reason,
+    balance_deltas: d.balance_deltas
+  };
+}
+
 async function buildPreTradeRiskPackDeliverable(req, validation) {
   if (!validation.ok) return invalidDeliverable("pre_trade_risk_pack", validation);
 
@@ -344,7 +1332,20 @@ async function buildPreTradeRiskPackDeliverable(req, validation) {
   const depthR = await fetchBaseVenueDepth(req.asset_in, req.asset_out, req.notional_value_usd);
   evidence.push(...depthR.evidence);
 
-  const confidence = confidenceFromEvidence(evidence);
+  const [tokenInR, tokenOutR] = await Promise.all([fetchBaseTokenRisk(req.asset_in), fetchBaseTokenRisk(req.asset_out)]);
+  evidence.push(...tokenInR.evidence, ...tokenOutR.evidence);
+  const tokenRisk = { asset_in: tokenRiskSummary(tokenInR.data), asset_out: tokenRiskSummary(tokenOutR.data) };
+
+  // Run the best route against current chain state; heuristics below only
+  // stand in when that isn't possible
+  const routeR = await fetchBaseRoute(req);
+  const simR = routeR.data?.best_route ? await fetchBaseSimulateSwap(routeR.data.best_route, req) : null;
+  evidence.push(...routeR.evidence);
+  if (simR) evidence.unshift(...simR.evidence);
+  const simulation = simulationSummary(routeR, simR);
+  const simulated = simulation.status === "success";
+
+  const confidence = confidenceFromEvidence(evidence, simulation);
 
   // Venue depth response
   const venues = depthR.data?.venues || [];
@@ -354,48 +1355,128 @@ async function buildPreTradeRiskPackDeliverable(req, validation) {
     assumptions.push("No venue depth returned from subgraphs. Falling back to conservative estimates.");
   }
 
-  const estSlipBps = best?.estimated_slippage_bps ?? clamp(Math.round((req.notional_value_usd / 50000) * 80), 15, 180);
+  const slippageSource =
+    simulated && simulation.realized_slippage_bps != null ? "simulation" : best?.estimated_slippage_bps != null ? "venue_depth" : "fallback";
+  const estSlipBps =
+    slippageSource === "simulation"
+      ? simulation.realized_slippage_bps
+      : best?.estimated_slippage_bps ?? clamp(Math.round((req.notional_value_usd / 50000) * 80), 15, 180);
+  if (!simulated) assumptions.push(`Execution simulation unavailable (${simulation.reason || simulation.revert_reason}); slippage from venue depth.`);
   const depthUsd = best?.depth_usd ?? 300000;
 
+  // Spot prices vs the V3 TWAP and the cross-venue median
+  const integrity = priceIntegritySummary(depthR.data?.price_integrity);
+  if (best && integrity?.status === "unavailable") {
+    assumptions.push("No price reference available (no TWAP and a single venue); price integrity not checked.");
+  } else if (integrity && !integrity.twap) {
+    assumptions.push(`Price integrity checked against the cross-venue median only (${integrity.twap_error || "no TWAP"}).`);
+  }
+
   // Gas analysis
   const gas = gasR.data || {};
   const congestion = gas.congestion_level || "unknown";
   const suggestedMaxFeeWei = gas.suggested_max_fee_gwei != null ? Number(gas.suggested_max_fee_gwei) * 1e9 : 2.5e9;
 
-  // Score components (transparent heuristic)
-  const sizeScore = clamp(Math.round((req.notional_value_usd / 100000) * 25), 0, 35);
-  const slipScore = clamp(Math.round((estSlipBps / 100) * 40), 5, 45);
-  const gasScore = congestion === "high" ? 18 : congestion === "elevated" ? 10 : 6;
-  const levScore = req.leverage > 1 ? clamp(Math.round((req.leverage - 1) * 20), 0, 30) : 0;
-
-  const riskScore = clamp(sizeScore + slipScore + gasScore + levScore, 0, 100);
-
-  // Decision logic
-  let decision = "APPROVE";
-  let sizeFactor = 1.0;
-
-  if (estSlipBps > req.max_slippage_bps) {
-    decision = "SIZE_DOWN";
-    sizeFactor = clamp(req.max_slippage_bps / estSlipBps, 0.2, 0.8);
+  // Total swap cost (L2 execution + L1 data fee) relative to trade size
+  const swapCost = gas.cost_estimates?.breakdown?.swap || null;
+  const swapCostUsd = swapCost?.total_cost_usd ?? gas.cost_estimates?.swap_estimated_cost_usd ?? null;
+  const costBps = swapCostUsd != null ? Math.round((swapCostUsd / req.notional_value_usd) * 10000 * 100) / 100 : null;
+
+  // Score and decision under the client's risk profile (see Risk Model)
+  const profileName = req.risk_profile || RISK_MODEL.default_profile;
+  const profile = RISK_MODEL.profiles[profileName];
+  const scoreInputs = {
+    notional_value_usd: req.notional_value_usd,
+    estimated_slippage_bps: estSlipBps,
+    congestion_level: congestion,
+    leverage: req.leverage,
+    network_cost_bps: costBps,
+    token_risk_level: worstSeverity([tokenRisk.asset_in?.risk_level, tokenRisk.asset_out?.risk_level]),
+    price_deviation_bps: integrity?.max_deviation_bps ?? null
+  };
+  const scored = scoreRisk(profileName, scoreInputs);
+  // A funded swap that reverts cannot be executed as quoted
+  const simulationVetoes =
+    simulation.status === "reverted" && simulation.funding === "state_override"
+      ? [`simulation: swap reverts at block ${simulation.block_number} (${simulation.revert_reason || "no reason"})`]
+      : [];
+  scored.vetoes.push(...simulationVetoes);
+  const riskScore = scored.score;
+  const depthAge = depthAgeSeconds(evidence);
+  // Simulated output reflects the chain head, so stale depth no longer blocks APPROVE
+  const { decision, sizeFactor, basis } = decideRisk(profileName, scored, estSlipBps, req.max_slippage_bps, simulated ? null : depthAge);
+
+  // Split suggestion: optimize across venue slippage curves vs per-leg gas
+  const splitPlan = optimizeSplit(venues, req.notional_value_usd, swapCostUsd);
+  const splitCount = splitPlan?.clip_count ?? fallbackSplitCount(req.notional_value_usd);
+  if (!splitPlan) assumptions.push("No venue slippage curves available; split count from notional thresholds.");
+
+  // Sandwich exposure at the client's cap; a tolerance that removes it tightens the plan's
+  const mev = best
+    ? estimateMevExposure(best, req.notional_value_usd, req.max_slippage_bps, swapCostUsd)
+    : { status: "unavailable", reason: "no venue depth data" };
+  let recommendedMaxSlip = Math.min(req.max_slippage_bps, Math.max(20, Math.round(estSlipBps * 0.85)));
+  if (mev.recommendation?.action === "tighten_tolerance") recommendedMaxSlip = Math.min(recommendedMaxSlip, mev.safe_max_slippage_bps);
+  if (mev.status === "estimated") {
+    const legs = splitPlan
+      ? splitPlan.legs.map((l) => ({ venue: venues.find((v) => v.pool_id === l.pool_id), notional_usd: l.notional_usd }))
+      : [{ venue: best, notional_usd: req.notional_value_usd / splitCount }];
+    mev.planned = plannedMevExposure(legs, splitCount, recommendedMaxSlip, swapCostUsd);
   }
 
-  if (riskScore >= 80) {
-    decision = "REJECT";
-    sizeFactor = 0;
+  const keyRisks = [...scored.keyRisks];
+  for (const [leg, t] of Object.entries(tokenRisk)) {
+    for (const f of (t?.findings || []).filter((x) => ["high", "critical"].includes(x.severity)).slice(0, 3)) {
+      keyRisks.push(`${leg} ${t.symbol || t.address}: ${f.title}.`);
+    }
+  }
+  if (!best) keyRisks.push("Venue depth data unavailable; results rely on conservative fallback.");
+  if (mev.sandwich_profitable) {
+    const planned = mev.planned;
+    keyRisks.push(
+      `A sandwich at the ${req.max_slippage_bps} bps cap could take $${mev.victim_loss_usd} (expected $${mev.expected_loss_usd}); ` +
+        `the execution plan (${planned.max_slippage_bps} bps, ${planned.clip_count} clip(s)) leaves $${planned.expected_loss_usd} expected. ${mev.recommendation.note}`
+    );
+  }
+  if (simulation.status === "reverted") {
+    keyRisks.push(`Swap reverts in simulation at block ${simulation.block_number}: ${simulation.revert_reason || "no reason given"}.`);
+  }
+  if (simulated && simulation.transfer_tax_bps > 0) {
+    keyRisks.push(`Trader receives ${simulation.transfer_tax_bps} bps less than the router reports (transfer tax on ${simulation.token_out}).`);
   }
 
-  // Split suggestion
-  const splitCount =
-    req.notional_value_usd > 75000 ? 3 :
-    req.notional_value_usd > 30000 ? 2 : 1;
-
-  const recommendedMaxSlip = Math.min(req.max_slippage_bps, Math.max(20, Math.round(estSlipBps * 0.85)));
+  const depthEvidence = evidence.find((x) => x.source === "resources/base-venue-depth" && !x.error);
+  const freshness = {
+    status: depthFreshnessStatus(depthAge),
+    depth_age_seconds: depthAge,
+    cache_age_seconds: depthEvidence?.cache_age_seconds ?? null,
+    indexing_lag_seconds: depthEvidence?.indexing_lag_seconds ?? null,
+    indexing_lag_blocks: depthEvidence?.indexing_lag_blocks ?? null,
+    stale_after_seconds: DEPTH_STALE_SECONDS,
+    max_age_seconds: DEPTH_MAX_AGE_SECONDS
+  };
+  if (!simulated && (freshness.status === "stale" || freshness.status === "expired")) {
+    keyRisks.push(
+      `Venue depth data is ${depthAge}s old (subgraph indexing lag ${freshness.indexing_lag_seconds ?? "unknown"}s); reserves may have moved since.`
+    );
+  }
 
-  const keyRisks = [];
-  if (estSlipBps >= 60) keyRisks.push("Slippage increases materially at this size; split execution recommended.");
-  if (congestion === "elevated" || congestion === "high") keyRisks.push("Gas regime elevated; prefer batching or waiting for calmer blocks.");
-  if (req.leverage > 1) keyRisks.push("Leverage amplifies liquidation and execution sensitivity.");
-  if (!best) keyRisks.push("Venue depth data unavailable; results rely on conservative fallback.");
+  // The same numbers recomputed under each shock (see Scenario Engine)
+  const scenarios = runScenarios(
+    {
+      profileName,
+      notionalUsd: req.notional_value_usd,
+      maxSlippageBps: req.max_slippage_bps,
+      venues,
+      estSlipBps,
+      swapCostUsd,
+      congestion,
+      scoreInputs,
+      vetoes: simulationVetoes,
+      depthAge: simulated ? null : depthAge
+    },
+    req.scenarios
+  );
 
   const fallbackVenues = venues
     .map(v => v.venue)
@@ -404,13 +1485,22 @@ async function buildPreTradeRiskPackDeliverable(req, validation) {
   return {
     job_name: "pre_trade_risk_pack",
     agent_version: AGENT_VERSION,
+    schema_version: 1,
     chain: req.chain,
 
     validation_passed: true,
     validation_errors: [],
 
     decision,
+    decision_basis: basis,
     risk_score: riskScore,
+    risk_profile: {
+      name: profileName,
+      description: profile.description || null,
+      reject_at: profile.decision.reject_at,
+      size_down_at: profile.decision.size_down_at ?? null
+    },
+    score_breakdown: scored.breakdown,
     recommended_size_factor: Number(sizeFactor.toFixed(2)),
     confidence_level: confidence,
 
@@ -420,8 +1510,9 @@ async function buildPreTradeRiskPackDeliverable(req, validation) {
       recommended_venue: best?.venue || req.execution_venue || "unknown",
       fallback_venues: fallbackVenues.length ? fallbackVenues : ["uniswap_v3", "aerodrome"].filter(v => v !== best?.venue),
       recommended_split_count: splitCount,
+      split_plan: splitPlan,
       recommended_max_slippage_bps: recommendedMaxSlip,
-      deadline_seconds: 180,
+      deadline_seconds: req.deadline_seconds,
       notes:
         decision === "APPROVE"
           ? "Proceed with standard protection parameters."
@@ -437,35 +1528,47 @@ async function buildPreTradeRiskPackDeliverable(req, validation) {
       venues_considered: venues,
       estimated_liquidity_depth_usd: depthUsd,
       estimated_slippage_bps_at_size: estSlipBps,
-      price_impact_estimate_bps: clamp(Math.round(estSlipBps * 0.7), 5, 250)
+      slippage_source: slippageSource,
+      price_impact_estimate_bps: best?.simulation?.price_impact_bps ?? clamp(Math.round(estSlipBps * 0.7), 5, 250)
     },
 
+    mev_exposure: mev,
+    execution_simulation: simulation,
+    token_risk: tokenRisk,
+    price_integrity: integrity,
+    data_freshness: freshness,
+
     gas_analysis: {
       congestion_level: congestion,
       suggested_max_fee_gwei: gas.suggested_max_fee_gwei ?? null,
       median_priority_fee_gwei: gas.median_priority_fee_gwei ?? null,
       base_fee_gwei: gas.base_fee_gwei ?? null,
-      estimated_gas_units: 180000,
+      priority_fee_percentiles_gwei: gas.priority_fee_percentiles_gwei ?? null,
+      variance_hint: gas.variance_hint ?? null,
+      source: gas.source ?? null,
+      estimated_gas_units: simulated && simulation.gas_used ? simulation.gas_used : 180000,
+      gas_units_source: simulated && simulation.gas_used ? "simulation" : "default",
       estimated_gas_price_wei: Math.round(suggestedMaxFeeWei),
+      l1_data_fee: gas.l1_data_fee ?? null,
+      swap_cost_breakdown_usd: swapCost,
+      swap_cost_bps_of_notional: costBps,
       cost_estimates: gas.cost_estimates || null
     },
 
     scenario_analysis: [
-      {
-        scenario: "gas_spike_30pct",
-        impact: "Higher inclusion cost; can reduce net edge on small-margin trades.",
-        recommendation: req.urgency === "high" ? "Proceed but accept higher cost." : "Wait or split order."
-      },
-      {
-        scenario: "liquidity_drop_20pct",
-        impact: "Slippage can exceed cap at full size.",
-        recommendation: "Increase split count and re-run base_venue_depth before each clip."
-      },
-      {
-        scenario: "fast_price_move",
-        impact: "MinOut may be hit; trade could revert under tight slippage.",
-        recommendation: "Split execution and re-quote each clip."
-      }
+      ...scenarios,
+      ...(mev.status === "estimated"
+        ? [
+            {
+              scenario: "sandwich_at_max_slippage",
+              source: "default",
+              impact: mev.sandwich_profitable
+                ? `Up to $${mev.victim_loss_usd} (${mev.victim_loss_bps} bps) lost to a sandwich at the ${req.max_slippage_bps} bps cap; expected $${mev.expected_loss_usd}.`
+                : `No profitable sandwich at the ${req.max_slippage_bps} bps cap.`,
+              recommendation: mev.recommendation.note
+            }
+          ]
+        : [])
     ],
 
     evidence,
@@ -480,11 +1583,16 @@ async function buildExecutionQuoteAndRouteDeliverable(req, validation) {
   const evidence = [];
   const timestamp = nowIso();
 
-  const depthR = await fetchBaseVenueDepth(req.asset_in, req.asset_out, req.notional_value_usd);
-  evidence.push(...depthR.evidence);
+  const [depthR, routeR, gasR] = await Promise.all([
+    fetchBaseVenueDepth(req.asset_in, req.asset_out, req.notional_value_usd),
+    fetchBaseRoute(req),
+    fetchBaseGasProfile(undefined)
+  ]);
+  evidence.push(...depthR.evidence, ...routeR.evidence, ...gasR.evidence);
 
   const venues = depthR.data?.venues || [];
   const best = depthR.data?.best_by_depth || null;
+  const route = routeR.data?.best_route || null;
 
   // If caller restricts venues, pick best among allowed
   const allowed = new Set((req.allowed_venues || []).map((v) => String(v).toLowerCase()));
@@ -493,39 +1601,117 @@ async function buildExecutionQuoteAndRouteDeliverable(req, validation) {
     .sort((a, b) => (Number(b.depth_usd || 0) - Number(a.depth_usd || 0)));
 
   const chosen = ranked[0] || best || null;
-  const fallback = ranked.slice(1, 4).map(v => v.venue).filter(Boolean);
-
-  const estSlip = chosen?.estimated_slippage_bps ?? clamp(Math.round((req.notional_value_usd / 50000) * 80), 15, 180);
-  const impact = clamp(Math.round(estSlip * 0.7), 5, 250);
+  const routeVenue = route ? route.hops[0].venue : null;
+  const fallback = ranked.map(v => v.venue).filter(v => v && v !== (routeVenue || chosen?.venue)).slice(0, 3);
+
+  // The simulated route is authoritative; single-pool depth is the fallback
+  const estSlip =
+    route?.slippage_bps ??
+    chosen?.estimated_slippage_bps ??
+    clamp(Math.round((req.notional_value_usd / 50000) * 80), 15, 180);
+  const impact = route
+    ? route.hops.reduce((s, h) => s + (h.price_impact_bps || 0), 0)
+    : chosen?.simulation?.price_impact_bps ?? clamp(Math.round(estSlip * 0.7), 5, 250);
 
   const warnings = [];
-  if (!chosen) warnings.push("No venue depth returned; using fallback estimates.");
+  if (!route && !chosen) warnings.push("No venue depth returned; using fallback estimates.");
+  if (!route && chosen) warnings.push("Route search unavailable; quoting the deepest single pool.");
   if (estSlip > req.max_slippage_bps) warnings.push("Estimated slippage may exceed cap; reduce size or split.");
 
-  const split = req.notional_value_usd > 60000 ? 3 : req.notional_value_usd > 25000 ? 2 : 1;
+  const legGasUsd = gasR.data?.cost_estimates?.swap_estimated_cost_usd ?? null;
+  const splitPlan = optimizeSplit(ranked, req.notional_value_usd, legGasUsd);
+  const split = splitPlan?.clip_count ?? fallbackSplitCount(req.notional_value_usd);
   const recommendedMaxSlip = Math.min(req.max_slippage_bps, Math.max(20, Math.round(estSlip * 0.85)));
 
+  const routeHops = route
+    ? route.hops.map((h) => ({
+        venue: h.venue,
+        pool_id: h.pool_id,
+        pool_type: h.pool_type,
+        fee_bps: h.fee_bps,
+        token_in: h.token_in,
+        token_in_address: h.token_in_address,
+        token_in_decimals: h.token_in_decimals,
+        token_out: h.token_out,
+        token_out_address: h.token_out_address,
+        token_out_decimals: h.token_out_decimals,
+        amount_in: h.amount_in,
+        expected_amount_out: h.amount_out,
+        slippage_bps: h.slippage_bps
+      }))
+    : [];
+
+  // Calldata for the whole route in one go; the split plan is advice on top
+  let execution;
+  try {
+    execution = req.recipient
+      ? buildSwapTransactions({
+          chain: req.chain,
+          hops: routeHops,
+          recipient: req.recipient,
+          slippageBps: recommendedMaxSlip,
+          deadlineSeconds: req.deadline_seconds
+        })
+      : { status: "unavailable", reason: "set requirement.recipient (the signing wallet) to get transaction calldata" };
+  } catch (e) {
+    execution = { status: "unavailable", reason: `could not encode the route: ${String(e?.message || e)}` };
+  }
+  if (execution.status === "ready" && !execution.atomic) {
+    warnings.push("Route changes venue: its swaps are separate transactions and are not atomic.");
+  }
+  if (execution.status === "ready" && split > 1) {
+    warnings.push(`Calldata swaps the full size in one pass; split_plan recommends ${split} clips.`);
+  }
+
   return {
     job_name: "execution_quote_and_route",
     agent_version: AGENT_VERSION,
+    schema_version: 1,
     chain: req.chain,
 
     validation_passed: true,
     validation_errors: [],
 
-    best_venue: chosen?.venue || "unknown",
-    fallback_venues: fallback.length ? fallback : ["aerodrome", "uniswap_v3"].filter(v => v !== chosen?.venue),
+    best_venue: routeVenue || chosen?.venue || "unknown",
+    fallback_venues: fallback.length ? fallback : ["aerodrome", "uniswap_v3"].filter(v => v !== (routeVenue || chosen?.venue)),
+
+    route: route
+      ? {
+          path: route.path,
+          hop_count: route.hop_count,
+          hops: routeHops,
+          amount_in: route.amount_in,
+          expected_amount_out: route.expected_amount_out,
+          gas_cost_usd: route.gas_cost_usd,
+          net_output_usd: route.net_output_usd,
+          prefer_stable_routes: req.prefer_stable_routes
+        }
+      : null,
+    alternative_routes: (routeR.data?.routes || [])
+      .filter((r) => r.hops.map((h) => h.pool_id).join() !== route?.hops.map((h) => h.pool_id).join())
+      .slice(0, 3)
+      .map((r) => ({
+        path: r.path,
+        pool_ids: r.hops.map((h) => h.pool_id),
+        expected_amount_out: r.expected_amount_out,
+        net_output_usd: r.net_output_usd
+      })),
 
     estimated_slippage_bps: Math.round(estSlip),
     estimated_price_impact_bps: impact,
     recommended_max_slippage_bps: recommendedMaxSlip,
     recommended_split_count: split,
+    split_plan: splitPlan,
 
     safety_parameters: {
       deadline_seconds: req.deadline_seconds,
-      min_out_strategy: "minOut = quote * (1 - recommended_max_slippage_bps/10000)",
+      min_out_strategy:
+        execution.status === "ready"
+          ? `amountOutMinimum = ${execution.amount_out_minimum} (quote * (1 - ${recommendedMaxSlip}/10000)), encoded in execution.steps`
+          : "minOut = quote * (1 - recommended_max_slippage_bps/10000)",
       retry_policy: "If revert due to slippage, reduce size by 20% and retry once."
     },
+    execution,
 
     warnings,
     evidence,
@@ -533,24 +1719,47 @@ async function buildExecutionQuoteAndRouteDeliverable(req, validation) {
   };
 }
 
+// Regime label from the activity alerts, before the severity floor is applied
+function liquidityRegime(activity, alerts) {
+  if (!activity) return "unknown";
+  const atLeast = (type, level) =>
+    alerts.some((a) => a.type === type && SEVERITY_LEVELS.indexOf(a.severity) >= SEVERITY_LEVELS.indexOf(level));
+  if (atLeast("liquidity_withdrawal", "high")) return "thinning";
+  if (atLeast("volume_spike", "medium") || atLeast("price_move", "medium")) return "stressed";
+  if (!activity.pools?.length) return "no_pools";
+  return "normal";
+}
+
+function watchNote(asset, alerts) {
+  if (!asset) return "No activity data.";
+  if (!asset.resolved) return `Not watched: ${asset.error}`;
+  if (!asset.pools.length) return asset.error ? `No pool data: ${asset.error}` : "No pools found on the watched venues.";
+  const parts = [`${asset.pools.length} pool(s), volume ${Math.round(asset.volume_usd).toLocaleString("en-US")} USD`];
+  if (alerts.length) parts.push(`${alerts.length} alert(s), worst ${asset.worst_severity}: ${alerts[0].title}`);
+  else parts.push("no alerts");
+  return parts.join("; ") + ".";
+}
+
 async function buildMarketIntelDeliverable(req, validation) {
   if (!validation.ok) return invalidDeliverable("market_intelligence_feed", validation);
 
   const evidence = [];
   const timestamp = nowIso();
 
-  const gasR = await fetchBaseGasProfile(undefined);
-  evidence.push(...gasR.evidence);
+  const [gasR, activityR] = await Promise.all([fetchBaseGasProfile(undefined), fetchBaseMarketActivity(req)]);
+  evidence.push(...gasR.evidence, ...activityR.evidence);
 
   const gas = gasR.data || {};
   const congestion = gas.congestion_level || "unknown";
   const volatility = gas.variance_hint?.volatility_ratio ?? 0;
+  const activity = activityR.data;
 
-  const alerts = [];
+  const allAlerts = [];
 
   if (volatility > 0.25) {
-    alerts.push({
+    allAlerts.push({
       id: "gas_variance",
+      type: "gas_variance",
       severity: volatility > 0.5 ? "high" : "medium",
       title: "Gas variance elevated vs recent median",
       description: "Fee variance is elevated; execution cost and inclusion may fluctuate.",
@@ -561,18 +1770,37 @@ async function buildMarketIntelDeliverable(req, validation) {
     });
   }
 
-  // Optional: lightweight depth check for watchlist pairs (if user provides pairs as "USDC/WETH")
+  // Large trades, liquidity withdrawals, volume spikes and price moves over the lookback
+  allAlerts.push(...(activity?.alerts || []));
+  allAlerts.sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity));
+
+  const floor = SEVERITY_LEVELS.indexOf(req.severity_floor || "info");
+  const alerts = allAlerts.filter((a) => SEVERITY_LEVELS.indexOf(a.severity) >= floor);
+
+  // Risk flag: anything medium or worse on the asset's pools, whatever the floor
   const watchlist_summary = {};
+  for (const [label, asset] of Object.entries(activity?.assets || {})) {
+    const own = allAlerts.filter((a) => (a.assets || []).includes(label));
+    watchlist_summary[label] = {
+      note: watchNote(asset, own),
+      risk_flag: own.some((a) => SEVERITY_LEVELS.indexOf(a.severity) >= SEVERITY_LEVELS.indexOf("medium"))
+    };
+  }
   for (const item of req.focus_assets || []) {
-    watchlist_summary[item] = { note: "normal", risk_flag: false };
+    if (!watchlist_summary[item]) watchlist_summary[item] = { note: watchNote(null, []), risk_flag: false };
   }
 
+  const liquidity = liquidityRegime(activity, allAlerts);
   const regime = {
     gas_regime: congestion,
-    liquidity_regime: "venue-specific",
+    liquidity_regime: liquidity,
     risk_note:
       congestion === "high"
         ? "Network stress detected; reduce clip size, widen timing window, and be careful with tight slippage."
+        : liquidity === "thinning"
+        ? "Liquidity is being withdrawn from watched pools; size clips to current depth."
+        : liquidity === "stressed"
+        ? "Unusual volume or price moves on watched pools; re-quote before each clip."
         : congestion === "elevated"
         ? "Moderate congestion; standard execution with mild caution."
         : "No broad network stress detected; normal execution recommended."
@@ -581,6 +1809,7 @@ async function buildMarketIntelDeliverable(req, validation) {
   return {
     job_name: "market_intelligence_feed",
     agent_version: AGENT_VERSION,
+    schema_version: 1,
     chain: req.chain,
 
     validation_passed: true,
@@ -592,17 +1821,101 @@ async function buildMarketIntelDeliverable(req, validation) {
     stats: {
       lookback_minutes: req.lookback_minutes,
       minimum_notional_usd: req.minimum_notional_usd,
+      severity_floor: req.severity_floor || "info",
       alerts_count: alerts.length,
-      data_freshness_seconds: 60,
-      coverage: ["resources/base-gas-profile"]
+      alerts_below_floor: allAlerts.length - alerts.length,
+      // Newest event's age when the activity was read, plus how long it sat in the resources cache
+      data_freshness_seconds:
+        activity?.latest_event_age_seconds != null
+          ? activity.latest_event_age_seconds + (activityR.evidence[0].freshness_seconds || 0)
+          : null,
+      window: activity?.window || null,
+      coverage: [
+        "resources/base-gas-profile",
+        ...(activity ? ["resources/base-market-activity", ...activity.coverage] : [])
+      ]
     },
 
+    pool_activity: activity?.pools || [],
     watchlist_summary,
     evidence,
     timestamp_utc: timestamp
   };
 }
 
+/* -------------------------------------------------------------------------- */
+/*                                 Negotiation                                */
+/* -------------------------------------------------------------------------- */
+// Policy applied at phase 0 -> 1, before the client pays. All optional:
+//  - POLICY_MAX_NOTIONAL_USD: refuse jobs above this notional_value_usd
+//  - POLICY_ALLOWED_CLIENTS: comma list of client wallet addresses or client_agent_ids
+//  - POLICY_REQUIRE_ACP_CHAIN: refuse requirements for a chain other than ACP_CHAIN (default true)
+//  - POLICY_REQUIRE_RESOURCES: refuse while the resources server is down (default true)
+
+function envList(v) {
+  return String(v || "")
+    .split(",")
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const NEGOTIATION_POLICY = {
+  maxNotionalUsd: process.env.POLICY_MAX_NOTIONAL_USD ? toNumber(process.env.POLICY_MAX_NOTIONAL_USD) : null,
+  allowedClients: envList(process.env.POLICY_ALLOWED_CLIENTS),
+  requireAcpChain: String(process.env.POLICY_REQUIRE_ACP_CHAIN || "true").toLowerCase() !== "false",
+  requireResources: String(process.env.POLICY_REQUIRE_RESOURCES || "true").toLowerCase() !== "false"
+};
+
+const JOB_VALIDATORS = {
+  pre_trade_risk_pack: validatePreTradeRiskPack,
+  execution_quote_and_route: validateExecutionQuoteAndRoute,
+  market_intelligence_feed: validateMarketIntel
+};
+
+async function resourcesHealthy() {
+  const r = await safeFetchJson(`${RESOURCES_BASE_URL}/health`);
+  return r.ok && r.json?.ok === true;
+}
+
+/**
+ * Decide whether to accept a job before the client pays: run the job's
+ * validator (including token resolution), then the configured policy rules.
+ * Validation runs on a copy so the stored requirement stays as received.
+ * Returns { accept, reasons }.
+ */
+async function negotiateJob(job, jobName, requirement) {
+  const validator = JOB_VALIDATORS[jobName];
+  if (!validator) {
+    return { accept: false, reasons: [`Unsupported job '${jobName}'. Use: ${Object.keys(JOB_VALIDATORS).join(", ")}`] };
+  }
+
+  const reasons = [];
+  const req = structuredClone(requirement);
+  const val = await validator(req);
+  reasons.push(...val.errors);
+
+  const policy = NEGOTIATION_POLICY;
+
+  if (policy.requireAcpChain && req.chain && req.chain !== ACP_CHAIN) {
+    reasons.push(`chain: this provider serves '${ACP_CHAIN}' only`);
+  }
+
+  if (policy.maxNotionalUsd != null && Number.isFinite(req.notional_value_usd) && req.notional_value_usd > policy.maxNotionalUsd) {
+    reasons.push(`notional_value_usd: exceeds provider limit of ${policy.maxNotionalUsd}`);
+  }
+
+  if (policy.allowedClients.length) {
+    const ids = [job.clientAddress, req.client_agent_id].filter(Boolean).map((x) => String(x).toLowerCase());
+    if (!ids.some((x) => policy.allowedClients.includes(x))) reasons.push("client: not on this provider's allow-list");
+  }
+
+  if (policy.requireResources && !(await resourcesHealthy())) {
+    reasons.push("provider: market data service temporarily unavailable, please retry shortly");
+  }
+
+  return { accept: reasons.length === 0, reasons };
+}
+
 /* -------------------------------------------------------------------------- */
 /*                             Job Dispatcher                                 */
 /* -------------------------------------------------------------------------- */
@@ -610,11 +1923,11 @@ async function buildMarketIntelDeliverable(req, validation) {
 async function buildDeliverableForJob(jobName, requirement) {
   switch (jobName) {
     case "pre_trade_risk_pack": {
-      const val = validatePreTradeRiskPack(requirement || {});
+      const val = await validatePreTradeRiskPack(requirement || {});
       return buildPreTradeRiskPackDeliverable(requirement || {}, val);
     }
     case "execution_quote_and_route": {
-      const val = validateExecutionQuoteAndRoute(requirement || {});
+      const val = await validateExecutionQuoteAndRoute(requirement || {});
       return buildExecutionQuoteAndRouteDeliverable(requirement || {}, val);
     }
     case "market_intelligence_feed": {
@@ -637,11 +1950,116 @@ async function buildDeliverableForJob(jobName, requirement) {
   }
 }
 
+/**
+ * `deliverable` with the subscription its requirement asked for attached
+ * (market_intelligence_feed with subscribe: true), or `deliverable` itself.
+ * Watches an earlier attempt at the job opened are closed first, so a
+ * redelivery leaves no orphans. The job store keeps only the watch ids; the
+ * handle's stream tokens and webhook secret exist in the delivered copy alone.
+ */
+async function attachSubscription(job, jobName, requirement, deliverable) {
+  if (jobName !== "market_intelligence_feed" || !deliverable.validation_passed) return deliverable;
+  const req = structuredClone(requirement);
+  if (!validateMarketIntel(req).ok || !req.subscribe) return deliverable;
+
+  await dropSubscription(job.id);
+  const clientId = job.clientAddress ? String(job.clientAddress).toLowerCase() : req.client_agent_id;
+  const subscription = await openSubscription(req, clientId);
+  saveJob(job.id, { subscription_watch_ids: (subscription.watches || []).map((w) => w.watch_id) });
+  return { ...deliverable, subscription };
+}
+
+// Close the watches the job's last subscription opened, if any
+async function dropSubscription(jobId) {
+  const ids = getStoredJob(jobId)?.subscription_watch_ids || [];
+  if (!ids.length) return;
+  const left = await closeSubscription(ids);
+  if (left.length) {
+    log.warn("subscription_close_failed", "Could not delete subscription watches; retried on the next attempt", { job_id: jobId, watch_ids: left });
+  }
+  saveJob(jobId, { subscription_watch_ids: left });
+}
+
+// Job name + requirement from the negotiation memo, falling back to the job itself
+function jobNameAndRequirement(job, memo) {
+  let jobName = "unknown";
+  let requirement = {};
+
+  if (isObj(memo?.structuredContent)) {
+    jobName = memo.structuredContent.name || jobName;
+    requirement = memo.structuredContent.requirement || {};
+  } else if (isObj(job.input)) {
+    jobName = job.input.name || jobName;
+    requirement = job.input.requirement || job.input;
+  } else if (job.name) {
+    jobName = job.name;
+    requirement = isObj(job.requirement) ? job.requirement : {};
+  }
+
+  // Normalize chain if missing
+  if (!requirement.chain) requirement.chain = ACP_CHAIN;
+  return { jobName, requirement };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                HTTP surface                                */
+/* -------------------------------------------------------------------------- */
+
+// Just enough HTTP for probes and scrapes; the seller takes no requests over it
+function startHttpServer(state) {
+  const server = http.createServer((req, res) => {
+    const pathname = String(req.url || "").split("?")[0];
+    if (req.method === "GET" && pathname === "/metrics") {
+      res.writeHead(200, { "content-type": telemetry.METRICS_CONTENT_TYPE });
+      return res.end(telemetry.renderMetrics());
+    }
+    if (req.method === "GET" && pathname === "/health") {
+      res.writeHead(state.acpInitialized ? 200 : 503, { "content-type": "application/json" });
+      return res.end(
+        JSON.stringify({
+          ok: state.acpInitialized,
+          service: "seller",
+          ts: nowIso(),
+          agent_version: AGENT_VERSION,
+          chain: ACP_CHAIN,
+          acp_initialized: state.acpInitialized,
+          jobs_stored: jobStore.size,
+          uptime_seconds: Math.floor((Date.now() - state.startedAt) / 1000),
+          upstream: upstream.breakerStates()
+        })
+      );
+    }
+    res.writeHead(404, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ ok: false, error: true, message: `Not found: ${req.method} ${pathname}` }));
+  });
+  // Metrics and health are a side channel: if the port is taken, say so and
+  // keep serving jobs without them.
+  server.on("error", (e) => {
+    log.error("http_listen_failed", "Seller metrics and health server unavailable", {
+      port: SELLER_HTTP_PORT,
+      error: String(e?.message || e)
+    });
+  });
+  server.listen(SELLER_HTTP_PORT, () => {
+    const { port } = server.address();
+    log.info("http_listening", `Seller metrics and health on http://localhost:${port}`, { port });
+  });
+  return server;
+}
+
 /* -------------------------------------------------------------------------- */
 /*                                 Main Logic                                 */
 /* -------------------------------------------------------------------------- */
 
-async function main() {
+/**
+ * Start the provider. `deps` lets the ACP simulator swap in its own AcpClient /
+ * AcpContractClientV2; production runs with the real ones. Returns the client
+ * heartbeat timer and HTTP server so a harness can shut down cleanly.
+ */
+async function main(deps = {}) {
+  const Client = deps.AcpClient || AcpClient;
+  const ContractClient = deps.AcpContractClientV2 || AcpContractClientV2;
+
   const privateKey = process.env.WHITELISTED_WALLET_PRIVATE_KEY;
   const sellerEntityId = process.env.SELLER_ENTITY_ID;
   const sellerWalletAddress = process.env.SELLER_AGENT_WALLET_ADDRESS;
@@ -652,11 +2070,19 @@ async function main() {
     );
   }
 
-  console.log("🔑 Seller Entity:", sellerEntityId);
-  console.log("👛 Seller Wallet:", sellerWalletAddress);
-  console.log("🧠 Agent Version:", AGENT_VERSION);
-  console.log("🌐 ACP_CHAIN:", ACP_CHAIN);
-  console.log("🧩 Resources Base URL:", RESOURCES_BASE_URL);
+  log.info("starting", "Starting AegisAI seller", {
+    seller_entity_id: sellerEntityId,
+    seller_wallet: sellerWalletAddress,
+    agent_version: AGENT_VERSION,
+    chain: ACP_CHAIN,
+    resources_base_url: RESOURCES_BASE_URL
+  });
+
+  const restored = loadJobStore();
+  log.info("job_store_loaded", `Job store: ${restored} job(s) restored`, { jobs: restored, path: JOB_STORE_PATH });
+
+  const state = { acpInitialized: false, startedAt: Date.now() };
+  const server = startHttpServer(state);
 
   // V2 config selection
   const acpConfig =
@@ -666,7 +2092,7 @@ async function main() {
   const rpcUrl = process.env.CUSTOM_RPC_URL || undefined;
 
   // ✅ Use AcpContractClientV2
-  const acpContractClient = await AcpContractClientV2.build(
+  const acpContractClient = await ContractClient.build(
     privateKey,
     sellerEntityId,
     sellerWalletAddress,
@@ -674,7 +2100,7 @@ async function main() {
     acpConfig
   );
 
-  const acpClient = new AcpClient({
+  const acpClient = new Client({
     acpContractClient,
 
     /**
@@ -682,82 +2108,151 @@ async function main() {
      * Handles negotiation (nextPhase=1) and delivery (nextPhase=3).
      */
     onNewTask: async (job, memoToSign) => {
-      console.log("🟢 New job received:", job.id);
-      console.log("📌 Job phase:", job.phase);
+      const started = Date.now();
+      const latencyMs = () => Date.now() - started;
+      log.info("job_received", "New job received", { job_id: job.id, phase: job.phase });
 
       if (!memoToSign || memoToSign.status !== "PENDING") {
-        console.log("⚪ No pending memo to act on.");
+        log.debug("job_no_memo", "No pending memo to act on", { job_id: job.id, phase: job.phase });
         return;
       }
 
-      // Phase 0 -> 1: Accept/reject and cache requirement
+      // Phase 0 -> 1: Validate, accept/reject and persist requirement
       if (memoToSign.nextPhase === 1) {
-        let jobName = "unknown";
-        let requirement = {};
-
-        if (isObj(memoToSign.structuredContent)) {
-          jobName = memoToSign.structuredContent.name || jobName;
-          requirement = memoToSign.structuredContent.requirement || {};
-        } else if (isObj(job.input)) {
-          jobName = job.input.name || jobName;
-          requirement = job.input.requirement || job.input;
-        }
+        const { jobName, requirement } = jobNameAndRequirement(job, memoToSign);
+        const ctx = { job_id: job.id, phase: job.phase, job_name: jobName };
+
+        log.debug("job_requirement", "Requirement received", { ...ctx, requirement });
 
-        // Normalize chain if missing
-        if (!requirement.chain) requirement.chain = ACP_CHAIN;
+        const { accept, reasons } = await negotiateJob(job, jobName, requirement);
 
-        // Cache for delivery phase
-        jobCache.set(job.id, { jobName, requirement });
+        // Persist for delivery phase
+        saveJob(
+          job.id,
+          { job_name: jobName, requirement, negotiation: { accepted: accept, reasons } },
+          { from: job.phase, to: 1, note: accept ? "accepted" : "rejected" }
+        );
 
-        console.log("📛 Cached job_name:", jobName);
-        console.log("📦 Cached requirement:", requirement);
+        if (!accept) {
+          await job.respond(false, `Rejected by AegisAI — ${reasons.join("; ")}`.slice(0, 1000));
+          jobsTotal.inc({ job: jobName, outcome: "rejected" });
+          log.info("job_negotiated", "Job rejected", { ...ctx, outcome: "rejected", reasons, latency_ms: latencyMs() });
+          return;
+        }
 
-        console.log("🤝 Accepting job...");
         await job.respond(true, "Accepted by AegisAI — deep analysis will be produced at delivery.");
-        console.log("✅ Job accepted:", job.id);
+        jobsTotal.inc({ job: jobName, outcome: "accepted" });
+        log.info("job_negotiated", "Job accepted", { ...ctx, outcome: "accepted", latency_ms: latencyMs() });
         return;
       }
 
       // Phase 2 -> 3: Deliver result
       if (memoToSign.nextPhase === 3) {
-        console.log("📦 Preparing deliverable...");
-
-        const cached = jobCache.get(job.id) || {};
-        const jobName = cached.jobName || "unknown";
-        const requirement = cached.requirement || {};
-
-        console.log("📛 Job type:", jobName);
-        console.log("📦 Requirement:", requirement);
-
-        const deliverable = await buildDeliverableForJob(jobName, requirement);
-
-        console.log("📤 Deliverable built:", deliverable);
+        let stored = getStoredJob(job.id);
+        if (!stored) {
+          // Not in the store (expired or accepted elsewhere): recover from the job itself
+          const recovered = jobNameAndRequirement(job, job.memos?.[0]);
+          log.warn("job_recovered", "Job not in store, recovered from job data", {
+            job_id: job.id,
+            phase: job.phase,
+            job_name: recovered.jobName
+          });
+          stored = saveJob(job.id, { job_name: recovered.jobName, requirement: recovered.requirement });
+        }
 
-        await job.deliver(deliverable);
-        console.log("✅ Job delivered:", job.id);
+        const jobName = stored.job_name || "unknown";
+        const requirement = stored.requirement || {};
+        const ctx = { job_id: job.id, phase: job.phase, job_name: jobName };
+
+        log.debug("job_requirement", "Preparing deliverable", { ...ctx, requirement });
+
+        try {
+          // A redelivery after restart sends exactly what was built the first time
+          let built = stored.deliverable;
+          let buildMs = null;
+          if (!built) {
+            const done = buildSeconds.startTimer({ job: jobName });
+            built = await buildDeliverableForJob(jobName, requirement);
+            buildMs = Math.round(done() * 1000);
+          }
+
+          // Never deliver something that breaks the published contract, and
+          // only open a subscription for a deliverable that passed it
+          let deliverable = built;
+          let schemaErrors = JOB_VALIDATORS[jobName] ? validateDeliverable(jobName, built) : [];
+          if (!schemaErrors.length) {
+            deliverable = await attachSubscription(job, jobName, requirement, built);
+            if (deliverable !== built) {
+              schemaErrors = validateDeliverable(jobName, deliverable);
+              if (schemaErrors.length) await dropSubscription(job.id);
+            }
+          }
+          if (schemaErrors.length) {
+            log.error("deliverable_schema_failed", "Deliverable failed its schema", { ...ctx, schema_errors: schemaErrors });
+            saveJob(job.id, { schema_errors: schemaErrors }, { from: job.phase, to: 3, note: "schema_failed" });
+            deliverable = schemaFailureDeliverable(jobName, schemaErrors);
+          } else {
+            saveJob(job.id, { deliverable: built }, { from: job.phase, to: 3, note: "built" });
+          }
+
+          log.debug("deliverable_built", "Deliverable built", { ...ctx, deliverable });
+
+          try {
+            await job.deliver(deliverable);
+          } catch (e) {
+            // Not delivered: a retry opens a fresh subscription
+            await dropSubscription(job.id);
+            throw e;
+          }
+          saveJob(job.id, { delivered_at: nowIso() }, { from: job.phase, to: 3, note: "delivered" });
+
+          const outcome = schemaErrors.length ? "schema_failed" : "delivered";
+          jobsTotal.inc({ job: jobName, outcome });
+          log.info("job_delivered", "Job delivered", {
+            ...ctx,
+            outcome,
+            validation_passed: deliverable.validation_passed ?? null,
+            decision: deliverable.decision ?? null,
+            redelivery: buildMs == null,
+            build_ms: buildMs,
+            latency_ms: latencyMs()
+          });
+        } catch (e) {
+          jobsTotal.inc({ job: jobName, outcome: "failed" });
+          log.error("job_failed", "Delivery failed", { ...ctx, outcome: "failed", error: String(e?.message || e), latency_ms: latencyMs() });
+          throw e;
+        }
         return;
       }
 
-      console.log("⚪ Memo nextPhase not handled:", memoToSign.nextPhase);
+      log.warn("job_phase_unhandled", "Memo nextPhase not handled", { job_id: job.id, phase: job.phase, next_phase: memoToSign.nextPhase });
     },
 
     onEvaluate: async (job) => {
-      console.log("📊 onEvaluate fired for job:", job.id, "phase:", job.phase);
+      log.info("job_evaluated", "onEvaluate fired", { job_id: job.id, phase: job.phase });
     }
   });
 
-  console.log("🚀 Initializing ACP client...");
+  log.info("acp_initializing", "Initializing ACP client...");
   if (typeof acpClient.init === "function") {
     await acpClient.init();
   }
-  console.log("🟢 ACP client initialized. Waiting for jobs...");
+  state.acpInitialized = true;
+  log.info("acp_initialized", "ACP client initialized. Waiting for jobs...");
 
-  setInterval(() => {
-    console.log("⏱ Heartbeat: provider is still running...");
+  const heartbeat = setInterval(() => {
+    const dropped = pruneJobStore();
+    log.info("heartbeat", "⏱ Heartbeat: provider is still running", { jobs_stored: jobStore.size, jobs_expired: dropped });
   }, 60000);
+
+  return { acpClient, heartbeat, server };
 }
 
-main().catch((err) => {
-  console.error("❌ ERROR:", err);
-  process.exit(1);
-});
+module.exports = { main, buildDeliverableForJob, negotiateJob };
+
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("fatal", "Seller failed to start", { error: String(err?.stack || err?.message || err) });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,1122 @@
+"use strict";
+
+/**
+ * AegisAI — offline ACP simulator
+ *
+ * Runs seller.js end to end without the ACP contracts, a funded wallet or
+ * live data:
+ *  - SimAcpContractClientV2 / SimAcpClient stand in for acp-node and are
+ *    injected into seller main()
+ *  - resources-server.js is mounted on an ephemeral port; its subgraph
+ *    queries go to a mock gateway replaying simulator/fixtures/subgraph.json
+ *  - each scenario pushes fake jobs and memos through the phases and checks
+ *    the respond()/deliver() calls the seller made
+ *
+ * Usage:
+ *   npm run simulate                    replay fixtures, no network
+ *   SIM_VERBOSE=1 npm run simulate      also print the seller's own logs
+ *   SIM_RPC_URL=http://127.0.0.1:8545   point RPC reads at an anvil/hardhat fork; also runs
+ *                                       the token screening and swap simulation scenarios
+ *                                       (SIM_RISK_TOKEN / SIM_RISK_HOLDER pick the screened
+ *                                       token, default USDC)
+ *   SIM_RECORD=1 GRAPH_API_KEY=... AERODROME_SUBGRAPH_ID=... UNISWAPV3_SUBGRAPH_ID=...
+ *                                       proxy the real gateway and re-record fixtures
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const { once } = require("events");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { startMockSubgraph } = require("./mock-subgraph");
+
+const RECORD = process.env.SIM_RECORD === "1";
+const VERBOSE = process.env.SIM_VERBOSE === "1";
+
+// Token screened when SIM_RPC_URL is set; the holder defaults to the Uniswap V3 USDC/WETH 0.05% pool
+const SIM_RISK_TOKEN = process.env.SIM_RISK_TOKEN || "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+const SIM_RISK_HOLDER = process.env.SIM_RISK_HOLDER || "0xd0b53D9277642d899DF5C87A3966A349A798F224";
+
+const SIM_CLIENT = "0x00000000000000000000000000000000000c11e7";
+const SIM_PROVIDER = "0x000000000000000000000000000000000000a615";
+
+/* -------------------------------------------------------------------------- */
+/*                               Environment                                  */
+/* -------------------------------------------------------------------------- */
+
+// Must be set before seller.js / resources-server.js are required: both read
+// their configuration at load time, and dotenv never overrides existing vars.
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "aegis-sim-"));
+
+const SUBGRAPHS = RECORD
+  ? {
+      [process.env.AERODROME_SUBGRAPH_ID]: "aerodrome",
+      [process.env.UNISWAPV3_SUBGRAPH_ID]: "uniswap_v3"
+    }
+  : { "sim-aerodrome": "aerodrome", "sim-aerodrome-mirror": "aerodrome", "sim-uniswap-v3": "uniswap_v3" };
+
+// API keys (see auth.js): the seller's internal key reaches it through
+// RESOURCES_API_KEY, the others are for scenarios calling resources directly
+const SIM_KEYS = {
+  seller: "sim-seller-key-0000000000000001",
+  metrics: "sim-metrics-key-000000000000001",
+  partner: "sim-partner-key-000000000000001",
+  quota: "sim-quota-key-00000000000000001"
+};
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const SIM_ALLOWED_ORIGIN = "https://partner.example";
+
+fs.writeFileSync(
+  path.join(workDir, "api-keys.json"),
+  JSON.stringify({
+    per_ip: { rate_per_second: 100, burst: 1000, daily_quota: null },
+    keys: [
+      { id: "seller-internal", key_env: "RESOURCES_API_KEY", scopes: ["resources:*", "watches", "watches:delegate"], rate_per_second: 100, burst: 1000, daily_quota: null, ip_limits: false },
+      { id: "metrics", key_sha256: sha256(SIM_KEYS.metrics), scopes: ["metrics"] },
+      // One request, then a refill far slower than any scenario
+      { id: "partner", key_sha256: sha256(SIM_KEYS.partner), scopes: ["resources:base-venue-depth"], rate_per_second: 0.001, burst: 1 },
+      { id: "quota", key_sha256: sha256(SIM_KEYS.quota), scopes: ["resources:base-venue-depth"], burst: 10, daily_quota: 1 }
+    ]
+  })
+);
+
+Object.assign(process.env, {
+  API_KEYS_PATH: path.join(workDir, "api-keys.json"),
+  RESOURCES_API_KEY: SIM_KEYS.seller,
+  CORS_ORIGINS: SIM_ALLOWED_ORIGIN,
+  CUSTOM_RPC_URL: process.env.SIM_RPC_URL || "",
+  JOB_STORE_PATH: path.join(workDir, "jobs.jsonl"),
+  WATCH_STORE_PATH: path.join(workDir, "watches.json"),
+  MONITOR_POLL_SECONDS: "1",
+  MONITOR_MAX_STREAMS_PER_WATCH: "2",
+  WEBHOOK_BACKOFF_MS: "50",
+  // The scenario's webhook receiver listens on plain http://127.0.0.1
+  WEBHOOK_ALLOW_INSECURE: "1",
+  ACP_CHAIN: "base",
+  WHITELISTED_WALLET_PRIVATE_KEY: "0x" + "11".repeat(32),
+  SELLER_ENTITY_ID: "1",
+  SELLER_AGENT_WALLET_ADDRESS: SIM_PROVIDER,
+  POLICY_MAX_NOTIONAL_USD: "1000000",
+  POLICY_ALLOWED_CLIENTS: "",
+  POLICY_REQUIRE_ACP_CHAIN: "",
+  POLICY_REQUIRE_RESOURCES: "",
+  UPSTREAM_BACKOFF_MS: "20",
+  SELLER_HTTP_PORT: "0"
+});
+if (!RECORD) {
+  Object.assign(process.env, {
+    GRAPH_API_KEY: "sim",
+    AERODROME_SUBGRAPH_ID: "sim-aerodrome",
+    UNISWAPV3_SUBGRAPH_ID: "sim-uniswap-v3"
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Fake ACP client                               */
+/* -------------------------------------------------------------------------- */
+
+class SimAcpContractClientV2 {
+  static async build(privateKey, entityId, walletAddress, rpcUrl, config) {
+    return new SimAcpContractClientV2({ privateKey, entityId, walletAddress, rpcUrl, config });
+  }
+
+  constructor(args) {
+    this.args = args;
+  }
+}
+
+class SimAcpClient {
+  constructor(options) {
+    this.options = options;
+    this.initialized = false;
+  }
+
+  async init() {
+    this.initialized = true;
+  }
+
+  // What the ACP socket would do on a new memo for this provider
+  async push(job, memo) {
+    await this.options.onNewTask(job, memo);
+  }
+}
+
+let nextJobId = 9000;
+
+function simJob({ name, requirement, input, phase = 0, clientAddress = SIM_CLIENT, memos = [] } = {}) {
+  const job = {
+    id: nextJobId++,
+    phase,
+    clientAddress,
+    providerAddress: SIM_PROVIDER,
+    memos,
+    calls: [],
+    async respond(accept, reason) {
+      this.calls.push({ type: "respond", accept, reason });
+      if (accept) this.phase = 1;
+    },
+    async deliver(deliverable) {
+      this.calls.push({ type: "deliver", deliverable });
+      this.phase = 4;
+    }
+  };
+  if (name !== undefined) job.name = name;
+  if (requirement !== undefined) job.requirement = requirement;
+  if (input !== undefined) job.input = input;
+  return job;
+}
+
+function simMemo(nextPhase, { status = "PENDING", name, requirement } = {}) {
+  const memo = { id: nextJobId++, nextPhase, status };
+  if (name !== undefined) memo.structuredContent = { name, requirement };
+  return memo;
+}
+
+// The client paying for an accepted job: the job moves to TRANSACTION and a delivery memo arrives
+function paid(job) {
+  job.phase = 2;
+  return simMemo(3);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Scenarios                                   */
+/* -------------------------------------------------------------------------- */
+
+const RISK_REQ = {
+  client_agent_id: "sim-buyer",
+  chain: "base",
+  asset_in: "USDC",
+  asset_out: "WETH",
+  side: "buy",
+  notional_value_usd: "25000",
+  execution_venue: "aerodrome",
+  max_slippage_bps: 50
+};
+
+const QUOTE_REQ = {
+  client_agent_id: "sim-buyer",
+  chain: "base",
+  asset_in: "USDC",
+  asset_out: "AERO",
+  notional_value_usd: 40000,
+  max_slippage_bps: 100
+};
+
+const INTEL_REQ = {
+  client_agent_id: "sim-buyer",
+  chain: "base",
+  lookback_minutes: 60,
+  minimum_notional_usd: "50000",
+  focus_assets: ["WETH"]
+};
+
+function only(job, type) {
+  const calls = job.calls.filter((c) => c.type === type);
+  assert.strictEqual(calls.length, 1, `expected exactly one ${type}(), got ${calls.length}`);
+  return calls[0];
+}
+
+function assertNoCalls(job) {
+  assert.deepStrictEqual(job.calls.map((c) => c.type), [], "seller should not have acted on this memo");
+}
+
+function assertDelivered(job, jobName) {
+  const { deliverable } = only(job, "deliver");
+  assert.ok(deliverable && typeof deliverable === "object", "deliverable must be an object");
+  assert.strictEqual(deliverable.job_name, jobName);
+  assert.strictEqual(deliverable.validation_passed, true, `validation failed: ${JSON.stringify(deliverable.validation_errors)}`);
+  return deliverable;
+}
+
+// Resource calls made by the scenarios themselves, with the seller's key by default
+function fetchResource(url, key = SIM_KEYS.seller, headers = {}) {
+  return fetch(url, { headers: { "x-api-key": key, ...headers } });
+}
+
+function postJson(url, body, key = SIM_KEYS.seller) {
+  return fetch(url, { method: "POST", headers: { "x-api-key": key, "content-type": "application/json" }, body: JSON.stringify(body) });
+}
+
+// Server-Sent Events from a fetch() response; next(match) resolves to the first
+// event (with `data` parsed) that `match` accepts
+function sseReader(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  return async function next(match, timeoutMs = 10000) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no matching SSE event within ${timeoutMs}ms`)), timeoutMs);
+    });
+    try {
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = { event: "message", id: null, data: "" };
+          for (const line of frame.split("\n")) {
+            const m = /^(\w+): ?(.*)$/.exec(line);
+            if (m) event[m[1]] = m[1] === "data" ? event.data + m[2] : m[2];
+          }
+          if (!event.data) continue;
+          event.data = JSON.parse(event.data);
+          if (match(event)) return event;
+        }
+        const { value, done } = await Promise.race([reader.read(), timeout]);
+        if (done) throw new Error("alert stream closed");
+        buffer += decoder.decode(value, { stream: true });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+async function waitFor(check, what, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+async function fullCycle(sim, jobName, requirement) {
+  const job = simJob();
+  await sim.client.push(job, simMemo(1, { name: jobName, requirement }));
+  assert.strictEqual(only(job, "respond").accept, true, only(job, "respond").reason);
+  await sim.client.push(job, paid(job));
+  return assertDelivered(job, jobName);
+}
+
+const SCENARIOS = [
+  {
+    name: "pre_trade_risk_pack: accept then deliver",
+    run: async (sim) => {
+      const d = await fullCycle(sim, "pre_trade_risk_pack", RISK_REQ);
+      assert.ok(["APPROVE", "SIZE_DOWN", "REJECT"].includes(d.decision), `unexpected decision ${d.decision}`);
+      assert.ok(sim.subgraph.requests.some((r) => r.subgraph === "aerodrome"), "depth should come from the subgraph");
+    }
+  },
+  {
+    name: "execution_quote_and_route: accept then deliver",
+    run: async (sim) => {
+      await fullCycle(sim, "execution_quote_and_route", QUOTE_REQ);
+    }
+  },
+  {
+    name: "execution_quote_and_route: allowed_venues with no routable venue is not searched unrestricted",
+    run: async (sim) => {
+      const d = await fullCycle(sim, "execution_quote_and_route", { ...QUOTE_REQ, allowed_venues: ["uniswap_v2"] });
+      const route = d.evidence.find((e) => e.source === "resources/base-route");
+      assert.match(route?.error || "", /no routable venue in allowed_venues/);
+      assert.strictEqual(d.route, null, "no route should be quoted outside allowed_venues");
+    }
+  },
+  {
+    name: "execution_quote_and_route: calldata decodes to the quoted route",
+    run: async (sim) => {
+      const { ethers } = require("ethers");
+      const recipient = "0x000000000000000000000000000000000000bEEF";
+      const started = Math.floor(Date.now() / 1000);
+      const d = await fullCycle(sim, "execution_quote_and_route", { ...QUOTE_REQ, recipient, deadline_seconds: 300 });
+      const x = d.execution;
+      assert.strictEqual(x.status, "ready", x.reason);
+      assert.strictEqual(x.chain_id, 8453);
+      assert.ok(x.deadline_unix >= started + 300 && x.deadline_unix <= started + 310, `deadline ${x.deadline_unix}`);
+      assert.strictEqual(x.steps[0].kind, "approval");
+
+      // Decode as an execution agent would, from the router ABIs alone
+      const erc20 = new ethers.Interface(["function approve(address spender, uint256 amount)"]);
+      const aerodrome = new ethers.Interface([
+        "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline)"
+      ]);
+      const router02 = new ethers.Interface([
+        "function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)",
+        "function multicall(uint256 deadline, bytes[] data)"
+      ]);
+      for (let i = 0; i < x.steps.length; i += 2) {
+        const [approval, swap] = [x.steps[i], x.steps[i + 1]];
+        const [spender, allowance] = erc20.decodeFunctionData("approve", approval.data);
+        assert.strictEqual(spender, swap.to);
+        assert.strictEqual(allowance.toString(), swap.amount_in_raw);
+
+        const minOut = (BigInt(swap.expected_amount_out_raw) * BigInt(10000 - x.slippage_bps)) / 10000n;
+        assert.strictEqual(swap.amount_out_minimum_raw, minOut.toString());
+        if (swap.venue === "aerodrome") {
+          const [amountIn, amountOutMin, routes, to, deadline] = aerodrome.decodeFunctionData("swapExactTokensForTokens", swap.data);
+          assert.deepStrictEqual([amountIn.toString(), amountOutMin.toString(), to, Number(deadline)], [swap.amount_in_raw, swap.amount_out_minimum_raw, recipient, x.deadline_unix]);
+          assert.strictEqual(routes.length, swap.pool_ids.length);
+        } else {
+          const [deadline, calls] = router02.decodeFunctionData("multicall", swap.data);
+          assert.strictEqual(Number(deadline), x.deadline_unix);
+          const [params] = router02.decodeFunctionData("exactInput", calls[0]);
+          assert.deepStrictEqual([params.recipient, params.amountIn.toString(), params.amountOutMinimum.toString()], [recipient, swap.amount_in_raw, swap.amount_out_minimum_raw]);
+          assert.strictEqual((ethers.dataLength(params.path) - 20) / 23, swap.pool_ids.length, "path should be token (fee token) per hop");
+        }
+      }
+      const lastSwap = x.steps[x.steps.length - 1];
+      assert.strictEqual(x.amount_out_minimum_raw, lastSwap.amount_out_minimum_raw);
+      assert.strictEqual(x.token_out, d.route.hops[d.route.hops.length - 1].token_out_address);
+
+      const anonymous = await fullCycle(sim, "execution_quote_and_route", QUOTE_REQ);
+      assert.strictEqual(anonymous.execution.status, "unavailable");
+      assert.match(anonymous.execution.reason, /recipient/);
+    }
+  },
+  {
+    name: "market_intelligence_feed: accept then deliver",
+    run: async (sim) => {
+      const d = await fullCycle(sim, "market_intelligence_feed", INTEL_REQ);
+      // Fixture: a large sell and a $3.5M withdrawal on Aerodrome WETH/USDC, a 6% move on Uniswap V3
+      const types = new Set(d.alerts.map((a) => a.type));
+      for (const t of ["large_trade", "liquidity_withdrawal", "volume_spike", "price_move"]) assert.ok(types.has(t), `no ${t} alert`);
+      assert.ok(d.alerts.every((a) => a.type !== "large_trade" || a.metrics.amount_usd >= 50000), "large trades must meet the minimum notional");
+      assert.strictEqual(d.watchlist_summary.WETH.risk_flag, true);
+      assert.strictEqual(d.regime.liquidity_regime, "thinning");
+      assert.ok(d.pool_activity.length, "pool activity missing");
+
+      // min_notional_usd is optional on the resource itself
+      const res = await fetchResource(`${process.env.RESOURCES_BASE_URL}/resources/base-market-activity?assets=WETH&lookback_minutes=60`);
+      const body = await res.json();
+      assert.strictEqual(res.status, 200, body.message);
+      assert.strictEqual(body.data.request.min_notional_usd, 50000);
+    }
+  },
+  {
+    name: "market_intelligence_feed: severity_floor filters alerts",
+    run: async (sim) => {
+      const d = await fullCycle(sim, "market_intelligence_feed", { ...INTEL_REQ, severity_floor: "high" });
+      assert.ok(d.alerts.length, "high alerts should remain");
+      assert.ok(d.alerts.every((a) => ["high", "critical"].includes(a.severity)), "alerts below the floor were delivered");
+      assert.ok(d.stats.alerts_below_floor > 0);
+      assert.strictEqual(d.stats.alerts_count, d.alerts.length);
+      assert.strictEqual(d.watchlist_summary.WETH.risk_flag, true, "risk flags ignore the floor");
+    }
+  },
+  {
+    name: "monitoring: a depth watch alerts over SSE and a signed, retried webhook; the intel feed hands out a subscription",
+    run: async (sim) => {
+      const base = process.env.RESOURCES_BASE_URL;
+
+      // Webhook receiver answering 503 to the first attempt, so the delivery is retried,
+      // and redirecting anything sent to /moved
+      const received = [];
+      const redirected = [];
+      const receiver = http.createServer((req, res) => {
+        if (req.url === "/moved") {
+          redirected.push(req.headers);
+          return res.writeHead(307, { location: "/hook" }).end();
+        }
+        let body = "";
+        req.on("data", (c) => (body += c));
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(received.length === 1 ? 503 : 200, { "content-type": "application/json" }).end("{}");
+        });
+      });
+      await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+      const aborts = [];
+      const openStream = async (url, headers = {}) => {
+        const ctrl = new AbortController();
+        aborts.push(ctrl);
+        const res = await fetch(url, { headers, signal: ctrl.signal });
+        assert.strictEqual(res.status, 200, `stream answered ${res.status}`);
+        assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+        return sseReader(res);
+      };
+
+      try {
+        const invalid = await postJson(`${base}/watches`, { type: "pair", asset_in: "USDC", asset_out: "WETH" });
+        assert.strictEqual(invalid.status, 400);
+        assert.match((await invalid.json()).details.join(" "), /at least one of min_depth_usd/);
+        const unknown = await postJson(`${base}/watches`, { type: "pair", asset_in: "USDC", asset_out: "NOTATOKEN", min_depth_usd: 1 });
+        assert.strictEqual(unknown.status, 400, "the resource's own 400 should refuse the watch");
+        assert.strictEqual((await postJson(`${base}/watches`, { type: "gas", max_base_fee_gwei: 1 }, SIM_KEYS.partner)).status, 403);
+
+        // A floor far above the fixture depth: breached on the first poll
+        const secret = "sim-webhook-secret-000000000001";
+        const webhookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+        const createdRes = await postJson(`${base}/watches`, {
+          type: "pair",
+          asset_in: "USDC",
+          asset_out: "WETH",
+          min_depth_usd: 1e12,
+          webhook_url: webhookUrl,
+          webhook_secret: secret,
+          ttl_hours: 1
+        });
+        assert.strictEqual(createdRes.status, 201);
+        const created = (await createdRes.json()).data;
+        const watchId = created.watch.watch_id;
+
+        const forged = await fetch(`${base}/streams/alerts?watch_id=${watchId}&token=not-the-token`);
+        assert.strictEqual(forged.status, 401);
+
+        // Last-Event-ID 0 replays anything the poller sent before we connected
+        const next = await openStream(`${base}${created.stream_path}`, { "last-event-id": "0" });
+        const ready = await next((e) => e.event === "ready");
+        assert.deepStrictEqual(ready.data.watch_ids, [watchId]);
+        const alert = await next((e) => e.event === "alert");
+        assert.strictEqual(alert.data.watch_id, watchId);
+        assert.strictEqual(alert.data.condition, "min_depth_usd");
+        assert.strictEqual(alert.data.status, "triggered");
+        assert.strictEqual(alert.id, String(alert.data.seq));
+        assert.ok(alert.data.observed.depth_usd > 0 && alert.data.observed.depth_usd < 1e12, `depth ${alert.data.observed.depth_usd}`);
+
+        // One token can't hold every stream slot
+        await openStream(`${base}${created.stream_path}`);
+        const third = await fetch(`${base}${created.stream_path}`);
+        assert.strictEqual(third.status, 429);
+        assert.strictEqual((await third.json()).details.reason, "watch_stream_limit");
+
+        // Same delivery twice (503, then 200), each signed over its own timestamp
+        await waitFor(() => received.length >= 2, "the webhook retry");
+        assert.strictEqual(received[0].headers["x-aegis-delivery"], received[1].headers["x-aegis-delivery"]);
+        for (const { headers, body } of received) {
+          const [, t, v1] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers["x-aegis-signature"]) || [];
+          assert.ok(t, `bad signature header ${headers["x-aegis-signature"]}`);
+          assert.strictEqual(v1, crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex"), "signature mismatch");
+          assert.strictEqual(JSON.parse(body).alert.id, alert.data.id);
+        }
+        const listed = await (await fetchResource(`${base}/watches/${watchId}`)).json();
+        assert.strictEqual(listed.data.watch.conditions.min_depth_usd.breached, true);
+        assert.strictEqual(listed.data.watch.webhook.delivered, 1);
+
+        // A redirect is a failed delivery, not followed to its target
+        const movedRes = await postJson(`${base}/watches`, {
+          type: "pair",
+          asset_in: "USDC",
+          asset_out: "WETH",
+          min_depth_usd: 1e12,
+          webhook_url: `http://127.0.0.1:${receiver.address().port}/moved`,
+          ttl_hours: 1
+        });
+        assert.strictEqual(movedRes.status, 201);
+        const movedId = (await movedRes.json()).data.watch.watch_id;
+        let moved = null;
+        await waitFor(async () => {
+          moved = (await (await fetchResource(`${base}/watches/${movedId}`)).json()).data.watch.webhook;
+          return moved.failed === 1;
+        }, "the redirected webhook to fail");
+        assert.strictEqual(redirected.length, 1, "a redirect must not be retried");
+        assert.strictEqual(moved.last_status, 307);
+        assert.match(moved.last_error, /redirects are not followed/);
+
+        const health = await (await fetch(`${base}/health`)).json();
+        assert.ok(health.monitor.watches >= 1 && health.monitor.stream_clients >= 1, JSON.stringify(health.monitor));
+        assert.ok(!JSON.stringify(health.upstream).includes("/hook"), "client webhook endpoints must stay out of /health");
+        const metrics = await (await fetchResource(`${base}/metrics`, SIM_KEYS.metrics)).text();
+        assert.match(metrics, /aegis_monitor_alerts_total\{type="pair",status="triggered"\} \d+/);
+        assert.match(metrics, /aegis_monitor_webhook_deliveries_total\{outcome="retry"\} \d+/);
+
+        // A subscription's webhook has to be https
+        const httpJob = simJob();
+        await sim.client.push(
+          httpJob,
+          simMemo(1, { name: "market_intelligence_feed", requirement: { ...INTEL_REQ, subscribe: true, webhook_url: webhookUrl } })
+        );
+        assert.strictEqual(only(httpJob, "respond").accept, false);
+        assert.match(only(httpJob, "respond").reason, /webhook_url/);
+
+        // The ACP job registers its own watches and delivers a handle to their stream
+        const d = await fullCycle(sim, "market_intelligence_feed", {
+          ...INTEL_REQ,
+          severity_floor: "high",
+          subscribe: true,
+          subscription_hours: 2,
+          depth_watch_pairs: ["WETH/USDC"],
+          webhook_url: "https://hooks.example.invalid/aegis"
+        });
+        const sub = d.subscription;
+        assert.strictEqual(sub.status, "active", sub.reason);
+        assert.deepStrictEqual(sub.watches.map((w) => w.type), ["market", "pair"]);
+        assert.strictEqual(sub.webhook.signature_header, "X-Aegis-Signature");
+        assert.ok(Date.parse(sub.expires_at) - Date.now() > 1.9 * 3600 * 1000, `expires_at ${sub.expires_at}`);
+        assert.ok(sub.stream_url.startsWith(`${base}/streams/alerts?`), sub.stream_url);
+        const subWatch = (await (await fetchResource(`${base}/watches/${sub.watches[0].watch_id}`)).json()).data.watch;
+        assert.strictEqual(subWatch.on_behalf_of, SIM_CLIENT.toLowerCase(), "watches are registered for the paying client");
+        // The handle's secrets reach the client only, never the job store
+        const jobStore = fs.readFileSync(process.env.JOB_STORE_PATH, "utf8");
+        assert.ok(!jobStore.includes(sub.webhook.secret), "webhook secret written to the job store");
+        for (const token of new URL(sub.stream_url).searchParams.get("token").split(",")) {
+          assert.ok(!jobStore.includes(token), "stream token written to the job store");
+        }
+        const subNext = await openStream(sub.stream_url, { "last-event-id": "0" });
+        assert.deepStrictEqual((await subNext((e) => e.event === "ready")).data.watch_ids, sub.watches.map((w) => w.watch_id));
+        // Fixture: a critical withdrawal on Aerodrome WETH/USDC is in the market feed
+        const marketAlert = await subNext((e) => e.event === "alert" && e.data.watch_type === "market");
+        assert.ok(["high", "critical"].includes(marketAlert.data.severity), `below the floor: ${marketAlert.data.severity}`);
+
+        // A delivery that fails drops its watches; the retry opens a fresh subscription
+        const failing = simJob();
+        const subReq = { ...INTEL_REQ, subscribe: true, depth_watch_pairs: ["WETH/USDC"] };
+        await sim.client.push(failing, simMemo(1, { name: "market_intelligence_feed", requirement: subReq }));
+        const deliver = failing.deliver;
+        failing.deliver = async () => {
+          throw new Error("sim: deliver transaction failed");
+        };
+        const watchIds = async () => (await (await fetchResource(`${base}/watches`)).json()).data.watches.map((w) => w.watch_id);
+        const before = await watchIds();
+        await assert.rejects(sim.client.push(failing, paid(failing)), /deliver transaction failed/);
+        assert.deepStrictEqual(await watchIds(), before, "a failed delivery left its watches behind");
+        failing.deliver = deliver;
+        await sim.client.push(failing, paid(failing));
+        const retried = assertDelivered(failing, "market_intelligence_feed").subscription;
+        assert.strictEqual(retried.status, "active", retried.reason);
+        assert.deepStrictEqual(
+          (await watchIds()).filter((id) => !before.includes(id)),
+          retried.watches.map((w) => w.watch_id),
+          "the retry should own exactly the watches it delivered"
+        );
+
+        const plain = await (await fetch(`${base}/watches`)).json();
+        assert.strictEqual(plain.details.reason, "missing_key");
+      } finally {
+        for (const ctrl of aborts) ctrl.abort();
+        await new Promise((resolve) => receiver.close(resolve));
+        const own = await (await fetchResource(`${base}/watches`)).json();
+        for (const w of own.data?.watches || []) {
+          await fetch(`${base}/watches/${w.watch_id}`, { method: "DELETE", headers: { "x-api-key": SIM_KEYS.seller } });
+        }
+      }
+      const left = await (await fetchResource(`${base}/watches`)).json();
+      assert.deepStrictEqual(left.data.watches, [], "watches should be deleted");
+    }
+  },
+  {
+    name: "deliverables validate against the schemas published at /schemas",
+    run: async (sim) => {
+      const Ajv = require("ajv");
+      // A consuming agent's view: fetch the contract over HTTP and validate with its own ajv.
+      // strict: false because the requirement schemas carry x-* annotations.
+      const ajv = new Ajv({ strict: false, allowUnionTypes: true });
+      for (const [jobName, requirement] of [
+        ["pre_trade_risk_pack", RISK_REQ],
+        ["execution_quote_and_route", QUOTE_REQ],
+        ["market_intelligence_feed", INTEL_REQ]
+      ]) {
+        const r = await fetch(`${process.env.RESOURCES_BASE_URL}/schemas/${jobName}/v1`);
+        assert.strictEqual(r.status, 200);
+        const doc = await r.json();
+        const d = await fullCycle(sim, jobName, requirement);
+        const validate = ajv.compile(doc.deliverable);
+        assert.ok(validate(d), `${jobName}: ${ajv.errorsText(validate.errors)}`);
+      }
+      const missing = await fetch(`${process.env.RESOURCES_BASE_URL}/schemas/pre_trade_risk_pack/99`);
+      assert.strictEqual(missing.status, 404);
+    }
+  },
+  {
+    name: "missing structuredContent: job.input is used",
+    run: async (sim) => {
+      const job = simJob({ input: { name: "pre_trade_risk_pack", requirement: RISK_REQ } });
+      await sim.client.push(job, simMemo(1));
+      assert.strictEqual(only(job, "respond").accept, true, only(job, "respond").reason);
+      await sim.client.push(job, paid(job));
+      assertDelivered(job, "pre_trade_risk_pack");
+    }
+  },
+  {
+    name: "missing structuredContent: job.name / job.requirement are used",
+    run: async (sim) => {
+      const job = simJob({ name: "market_intelligence_feed", requirement: INTEL_REQ });
+      await sim.client.push(job, simMemo(1));
+      assert.strictEqual(only(job, "respond").accept, true, only(job, "respond").reason);
+    }
+  },
+  {
+    name: "no job data at all: rejected as unknown",
+    run: async (sim) => {
+      const job = simJob();
+      await sim.client.push(job, simMemo(1));
+      assert.strictEqual(only(job, "respond").accept, false);
+    }
+  },
+  {
+    name: "invalid requirement: rejected with field errors",
+    run: async (sim) => {
+      const job = simJob();
+      const requirement = { ...RISK_REQ, side: "long", max_slippage_bps: 0 };
+      await sim.client.push(job, simMemo(1, { name: "pre_trade_risk_pack", requirement }));
+      const { accept, reason } = only(job, "respond");
+      assert.strictEqual(accept, false);
+      assert.match(reason, /side/);
+      assert.match(reason, /max_slippage_bps/);
+    }
+  },
+  {
+    name: "risk profiles: selected profile is scored and explained, unknown one rejected",
+    run: async (sim) => {
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, risk_profile: "Conservative" });
+      assert.strictEqual(d.risk_profile.name, "conservative");
+      const total = d.score_breakdown.reduce((s, b) => s + b.contribution, 0);
+      assert.strictEqual(d.risk_score, Math.max(0, Math.min(100, total)), "breakdown must add up to the score");
+
+      const job = simJob();
+      await sim.client.push(job, simMemo(1, { name: "pre_trade_risk_pack", requirement: { ...RISK_REQ, risk_profile: "yolo" } }));
+      assert.strictEqual(only(job, "respond").accept, false);
+      assert.match(only(job, "respond").reason, /risk_profile/);
+    }
+  },
+  {
+    name: "token screening via base-token-risk (needs SIM_RPC_URL)",
+    run: async (sim) => {
+      if (!process.env.SIM_RPC_URL) return "skip: set SIM_RPC_URL to an anvil/hardhat fork";
+
+      const url = new URL(`${process.env.RESOURCES_BASE_URL}/resources/base-token-risk`);
+      url.searchParams.set("token", SIM_RISK_TOKEN);
+      url.searchParams.set("holder", SIM_RISK_HOLDER);
+      const r = await (await fetchResource(url)).json();
+      assert.ok(r.ok, r.message);
+      assert.ok(r.data.checks.bytecode.has_code, "token has no code on this node");
+      const status = r.data.checks.transfer_simulation.status;
+      assert.ok(!["error", "skipped"].includes(status), `transfer round trip did not run: ${status}`);
+
+      // The seller screens without a holder hint, so compare against that view
+      url.searchParams.delete("holder");
+      const unhinted = await (await fetchResource(url)).json();
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, asset_in: "USDC", asset_out: SIM_RISK_TOKEN });
+      const screened = d.token_risk.asset_out;
+      assert.ok(screened, "risk pack should carry the token screen");
+      assert.strictEqual(screened.risk_level, unhinted.data.risk_level);
+      if (screened.risk_level === "critical") assert.strictEqual(d.decision, "REJECT");
+      const factor = d.score_breakdown.find((b) => b.factor === "token_contract");
+      assert.ok(factor, "token_contract factor missing from score_breakdown");
+    }
+  },
+  {
+    name: "execution simulation: without an RPC the risk pack falls back to depth heuristics",
+    run: async (sim) => {
+      if (process.env.SIM_RPC_URL) return "skip: SIM_RPC_URL is set, the swap is simulated";
+
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 7000 });
+      assert.strictEqual(d.execution_simulation.status, "unavailable");
+      assert.match(d.execution_simulation.reason, /RPC/);
+      assert.strictEqual(d.liquidity_analysis.slippage_source, "venue_depth");
+      assert.strictEqual(d.gas_analysis.gas_units_source, "default");
+      assert.ok(d.assumptions.some((a) => a.startsWith("Execution simulation unavailable")), "missing fallback assumption");
+      const simEvidence = d.evidence.find((e) => e.source === "resources/base-simulate-swap");
+      assert.ok(simEvidence?.error, "failed simulation should still be listed as evidence");
+    }
+  },
+  {
+    name: "execution simulation: trace diffs read zero-valued slots as cleared",
+    run: async () => {
+      const { storageDelta } = require("../resources-server");
+      const token = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+      const key = "0x" + "ab".repeat(32);
+      const word = (n) => "0x" + n.toString(16).padStart(64, "0");
+      // The overridden input balance spent in full: diff mode drops the zero from post
+      const spentAll = { pre: { [token.toLowerCase()]: { storage: { [key]: word(5000000n) } } }, post: { [token]: { nonce: 1 } } };
+      assert.strictEqual(storageDelta(spentAll, token, key), -5000000n);
+      const received = { pre: {}, post: { [token]: { storage: { [key]: word(42n) } } } };
+      assert.strictEqual(storageDelta(received, token, key), 42n);
+      const partly = { pre: { [token]: { storage: { [key]: word(10n) } } }, post: { [token]: { storage: { [key]: word(4n) } } } };
+      assert.strictEqual(storageDelta(partly, token, key), -6n);
+      assert.strictEqual(storageDelta({ pre: {}, post: {} }, token, key), 0n);
+    }
+  },
+  {
+    name: "execution simulation: the best route is run against the fork (needs SIM_RPC_URL)",
+    run: async (sim) => {
+      if (!process.env.SIM_RPC_URL) return "skip: set SIM_RPC_URL to an anvil/hardhat fork";
+
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 7000 });
+      const x = d.execution_simulation;
+      assert.ok(["success", "reverted"].includes(x.status), x.reason);
+      assert.strictEqual(d.evidence[0].source, "resources/base-simulate-swap", "simulation should lead the evidence");
+      assert.strictEqual(d.evidence[0].block_number, x.block_number);
+      if (x.status === "success") {
+        assert.strictEqual(d.gas_analysis.gas_units_source, "simulation");
+        assert.ok(x.balance_deltas.length >= 2, "expected input and output balance deltas");
+      } else if (x.funding === "state_override") {
+        assert.strictEqual(d.decision, "REJECT");
+      }
+    }
+  },
+  {
+    name: "mev exposure: a wide cap on a large trade is priced in dollars",
+    run: async (sim) => {
+      const wide = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 250000, max_slippage_bps: 300 });
+      const tight = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 250000, max_slippage_bps: 30 });
+      const small = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 100, max_slippage_bps: 300 });
+      const [w, t] = [wide.mev_exposure, tight.mev_exposure];
+      assert.strictEqual(w.status, "estimated", w.reason);
+      assert.ok(w.sandwich_profitable, "a 300 bps cap on $250k should be worth sandwiching");
+      assert.ok(w.victim_loss_bps <= 300, `loss ${w.victim_loss_bps} bps exceeds the cap`);
+      assert.ok(w.victim_loss_usd > 5 * t.victim_loss_usd, `300 bps loss $${w.victim_loss_usd} vs 30 bps $${t.victim_loss_usd}`);
+      assert.ok(Math.abs(w.expected_loss_usd - w.victim_loss_usd * w.sandwich_likelihood) < 0.02);
+      assert.ok(w.planned.expected_loss_usd < w.expected_loss_usd, "the execution plan should cut the exposure");
+      assert.notStrictEqual(w.recommendation.action, "none");
+      assert.match(wide.scenario_analysis.find((s) => s.scenario === "sandwich_at_max_slippage").impact, /\$\d/);
+      assert.ok(wide.key_risks.some((r) => r.includes("sandwich")), "sandwich exposure should be a key risk");
+
+      assert.strictEqual(small.mev_exposure.sandwich_profitable, false);
+      assert.strictEqual(small.mev_exposure.recommendation.action, "none");
+      assert.strictEqual(small.mev_exposure.expected_loss_usd, 0);
+    }
+  },
+  {
+    name: "scenario engine: shocks recompute slippage, cost and decision; custom scenarios from the requirement",
+    run: async (sim) => {
+      const scenarios = [
+        { name: "baseline" },
+        { name: "gas_3x", gas_multiplier: "3" },
+        { name: "gap_past_cap", price_move_bps: RISK_REQ.max_slippage_bps + 1 },
+        { name: "all_venues_down", venue_outage: ["aerodrome", "uniswap_v3"] },
+        { name: "uniswap_drained", liquidity_removal: { uniswap_v3: 0.9 } }
+      ];
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 60000, scenarios });
+      const byName = Object.fromEntries(d.scenario_analysis.map((s) => [s.scenario, s]));
+      for (const name of ["gas_spike_30pct", "liquidity_drop_20pct", "fast_price_move", "sandwich_at_max_slippage"]) {
+        assert.ok(byName[name], `default scenario ${name} missing`);
+      }
+      const outage = d.scenario_analysis.find((s) => s.source === "default" && s.shocks?.venue_outage.length);
+      assert.deepStrictEqual(outage.shocks.venue_outage, [d.liquidity_analysis.best_by_depth.venue]);
+      assert.notStrictEqual(outage.venue, outage.shocks.venue_outage[0]);
+
+      // No shocks: the deliverable's own numbers
+      const base = byName.baseline;
+      assert.strictEqual(base.source, "requirement");
+      assert.strictEqual(base.slippage_bps, d.liquidity_analysis.estimated_slippage_bps_at_size);
+      assert.deepStrictEqual([base.decision, base.risk_score], [d.decision, d.risk_score]);
+
+      assert.ok(Math.abs(byName.gas_3x.gas_cost_usd - 3 * base.gas_cost_usd) < 0.02);
+      assert.strictEqual(byName.gas_3x.congestion_level, "high");
+      assert.ok(byName.liquidity_drop_20pct.slippage_bps > base.slippage_bps, "less liquidity should slip more");
+      assert.strictEqual(byName.gap_past_cap.reverts_at_max_slippage, true);
+      assert.strictEqual(byName.gap_past_cap.shortfall_bps, base.slippage_bps + RISK_REQ.max_slippage_bps + 1);
+      assert.strictEqual(base.reverts_at_max_slippage, false);
+      assert.deepStrictEqual([byName.all_venues_down.decision, byName.all_venues_down.venue], ["REJECT", null]);
+      assert.ok(byName.uniswap_drained.slippage_bps > base.slippage_bps);
+
+      const job = simJob();
+      await sim.client.push(job, simMemo(1, { name: "pre_trade_risk_pack", requirement: { ...RISK_REQ, scenarios: [{ name: "x", liquidity_removal: 2 }] } }));
+      assert.strictEqual(only(job, "respond").accept, false);
+      assert.match(only(job, "respond").reason, /scenarios/);
+    }
+  },
+  {
+    name: "price integrity: a pool off the cross-venue median vetoes the risk pack",
+    run: async (sim) => {
+      // Fixture: the Aerodrome WETH/cbETH pool sits ~12% below the Uniswap V3 pool
+      const d = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, asset_in: "WETH", asset_out: "cbETH", notional_value_usd: 10000 });
+      assert.strictEqual(d.price_integrity.status, "alert");
+      assert.ok(d.price_integrity.max_deviation_bps >= 500, `deviation ${d.price_integrity.max_deviation_bps} bps`);
+      assert.ok(d.price_integrity.flags.length, "deviating pools should be flagged");
+      const factor = d.score_breakdown.find((b) => b.factor === "price_integrity");
+      assert.strictEqual(factor.threshold_crossed?.label, "manipulated");
+      assert.strictEqual(d.decision, "REJECT");
+
+      const fair = await fullCycle(sim, "pre_trade_risk_pack", RISK_REQ);
+      assert.strictEqual(fair.price_integrity.status, "ok");
+    }
+  },
+  {
+    name: "resource cache: concurrent requests coalesce, repeats are served from cache",
+    run: async (sim) => {
+      const url = `${process.env.RESOURCES_BASE_URL}/resources/base-venue-depth?asset_in=USDC&asset_out=USDbC&notional_usd=12345`;
+      const before = sim.subgraph.requests.length;
+      const [a, b] = await Promise.all([fetchResource(url).then((r) => r.json()), fetchResource(url).then((r) => r.json())]);
+      const queries = sim.subgraph.requests.length - before;
+      assert.deepStrictEqual([a.cache, b.cache].sort(), ["coalesced", "miss"]);
+      assert.strictEqual(a.as_of, b.as_of);
+
+      const c = await (await fetchResource(url)).json();
+      assert.strictEqual(c.cache, "hit");
+      assert.strictEqual(sim.subgraph.requests.length - before, queries, "a cache hit must not query the subgraph");
+      assert.ok(Number.isInteger(c.age_seconds) && c.age_seconds >= 0);
+
+      const d = await fullCycle(sim, "pre_trade_risk_pack", RISK_REQ);
+      const depth = d.evidence.find((e) => e.source === "resources/base-venue-depth");
+      assert.ok(Number.isFinite(depth.freshness_seconds), "depth evidence should report its age");
+    }
+  },
+  {
+    name: "upstream: a subgraph outage fails over to the mirror and shows on /health",
+    run: async (sim) => {
+      if (RECORD) return "skip: no mirror endpoint in record mode";
+      const url = `${process.env.RESOURCES_BASE_URL}/resources/base-venue-depth?asset_in=USDC&asset_out=USDbC&notional_usd=23456`;
+      const before = sim.subgraph.requests.length;
+      sim.subgraph.outage.add("sim-aerodrome");
+      let body;
+      try {
+        body = await (await fetchResource(url)).json();
+      } finally {
+        sim.subgraph.outage.delete("sim-aerodrome");
+      }
+      assert.strictEqual(body.ok, true, body.details);
+      assert.ok(body.data.venues.some((v) => v.venue === "aerodrome"), "aerodrome should be served by the mirror");
+      const served = sim.subgraph.requests.slice(before).map((r) => r.subgraph_id);
+      assert.ok(served.includes("sim-aerodrome-mirror"), `mirror never queried: ${served.join(", ")}`);
+
+      const health = await (await fetch(`${process.env.RESOURCES_BASE_URL}/health`)).json();
+      const breaker = health.upstream.find((b) => b.endpoint.endsWith("/subgraphs/id/sim-aerodrome"));
+      assert.ok(breaker && breaker.consecutive_failures > 0, "the failed endpoint should be on /health");
+      assert.match(breaker.last_error, /503/);
+    }
+  },
+  {
+    name: "telemetry: structured job logs and /metrics on both processes",
+    run: async (sim) => {
+      const lines = [];
+      const saved = { log: console.log, warn: console.warn, error: console.error };
+      console.log = console.warn = console.error = (line) => lines.push(String(line));
+      try {
+        await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 7000 });
+      } finally {
+        Object.assign(console, saved);
+      }
+
+      const records = lines.map((l) => JSON.parse(l));
+      const delivered = records.find((r) => r.event === "job_delivered");
+      assert.ok(delivered, `no job_delivered log in: ${records.map((r) => r.event).join(", ")}`);
+      assert.strictEqual(delivered.job_name, "pre_trade_risk_pack");
+      assert.strictEqual(delivered.outcome, "delivered");
+      assert.ok(delivered.job_id && Number.isFinite(delivered.latency_ms), "job_id and latency_ms should be logged");
+      assert.ok(!records.some((r) => "requirement" in r || "deliverable" in r), "payloads belong at debug level only");
+      const key = process.env.WHITELISTED_WALLET_PRIVATE_KEY.slice(2);
+      assert.ok(!lines.some((l) => l.includes(key)), "private key leaked into logs");
+
+      const sellerMetrics = await (await fetch(`${sim.sellerUrl}/metrics`)).text();
+      assert.match(sellerMetrics, /aegis_jobs_total\{job="pre_trade_risk_pack",outcome="delivered"\} \d+/);
+      assert.match(sellerMetrics, /aegis_deliverable_build_seconds_count\{job="pre_trade_risk_pack"\} \d+/);
+      assert.match(sellerMetrics, /aegis_upstream_request_seconds_count\{source="resources\/base-venue-depth"\}/);
+
+      const res = await fetchResource(`${process.env.RESOURCES_BASE_URL}/metrics`, SIM_KEYS.metrics);
+      assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+      const resourceMetrics = await res.text();
+      assert.match(resourceMetrics, /aegis_resource_cache_total\{resource="base-venue-depth",result="miss"\} \d+/);
+      assert.match(resourceMetrics, /aegis_upstream_requests_total\{source="thegraph\/aerodrome",outcome="ok"\} \d+/);
+      assert.match(resourceMetrics, /aegis_http_requests_total\{route="\/resources\/base-venue-depth",status="200"\} \d+/);
+
+      const health = await (await fetch(`${sim.sellerUrl}/health`)).json();
+      assert.strictEqual(health.acp_initialized, true);
+    }
+  },
+  {
+    name: "auth: API keys, scopes, rate limits, quotas and CORS on resources-server",
+    run: async () => {
+      const base = process.env.RESOURCES_BASE_URL;
+      const depth = `${base}/resources/base-venue-depth?asset_in=USDC&asset_out=USDbC&notional_usd=34567`;
+
+      const anonymous = await fetch(depth);
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual((await anonymous.json()).details.reason, "missing_key");
+      const invalid = await fetchResource(depth, "not-a-key");
+      assert.strictEqual(invalid.status, 401);
+      assert.strictEqual((await invalid.json()).details.reason, "invalid_key");
+      const bearer = await fetch(depth, { headers: { authorization: `Bearer ${SIM_KEYS.seller}` } });
+      assert.strictEqual(bearer.status, 200);
+
+      const outOfScope = await fetchResource(`${base}/resources/base-gas-profile`, SIM_KEYS.partner);
+      assert.strictEqual(outOfScope.status, 403);
+      const metricsWithPartnerKey = await fetchResource(`${base}/metrics`, SIM_KEYS.partner);
+      assert.strictEqual(metricsWithPartnerKey.status, 403);
+
+      assert.strictEqual((await fetchResource(depth, SIM_KEYS.partner)).status, 200);
+      const limited = await fetchResource(depth, SIM_KEYS.partner);
+      assert.strictEqual(limited.status, 429);
+      assert.strictEqual((await limited.json()).details.reason, "rate_limited");
+      assert.ok(Number(limited.headers.get("retry-after")) >= 1, "429 needs Retry-After");
+
+      assert.strictEqual((await fetchResource(depth, SIM_KEYS.quota)).status, 200);
+      const exhausted = await fetchResource(depth, SIM_KEYS.quota);
+      assert.strictEqual(exhausted.status, 429);
+      assert.strictEqual((await exhausted.json()).details.reason, "quota_exceeded");
+      const retryAfter = Number(exhausted.headers.get("retry-after"));
+      assert.ok(retryAfter >= 1 && retryAfter <= 86400, `quota Retry-After ${retryAfter}`);
+
+      const allowed = await fetch(`${base}/health`, { headers: { origin: SIM_ALLOWED_ORIGIN } });
+      assert.strictEqual(allowed.headers.get("access-control-allow-origin"), SIM_ALLOWED_ORIGIN);
+      const foreign = await fetch(`${base}/health`, { headers: { origin: "https://elsewhere.example" } });
+      assert.strictEqual(foreign.headers.get("access-control-allow-origin"), null);
+    }
+  },
+  {
+    name: "indexing lag: stale depth lowers confidence and blocks APPROVE",
+    run: async (sim) => {
+      // Different notionals so neither run is served from the resource cache
+      const fresh = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 5000 });
+      assert.strictEqual(fresh.data_freshness.status, "fresh");
+      assert.strictEqual(fresh.decision, "APPROVE", fresh.decision_basis);
+
+      for (const id of ["sim-aerodrome", "sim-uniswap-v3"]) sim.subgraph.lag.set(id, 900);
+      let lagged;
+      try {
+        lagged = await fullCycle(sim, "pre_trade_risk_pack", { ...RISK_REQ, notional_value_usd: 5001 });
+      } finally {
+        sim.subgraph.lag.clear();
+      }
+      assert.strictEqual(lagged.data_freshness.status, "expired");
+      assert.ok(lagged.data_freshness.indexing_lag_seconds >= 900, `lag ${lagged.data_freshness.indexing_lag_seconds}s`);
+      assert.strictEqual(lagged.confidence_level, "low");
+      assert.strictEqual(lagged.decision, "SIZE_DOWN");
+      assert.match(lagged.decision_basis, /stale reserves/);
+      const depth = lagged.evidence.find((e) => e.source === "resources/base-venue-depth");
+      assert.ok(depth.freshness_seconds >= 900);
+    }
+  },
+  {
+    name: "unknown token: rejected by the registry check",
+    run: async (sim) => {
+      const job = simJob();
+      const requirement = { ...RISK_REQ, asset_out: "NOTATOKEN" };
+      await sim.client.push(job, simMemo(1, { name: "pre_trade_risk_pack", requirement }));
+      const { accept, reason } = only(job, "respond");
+      assert.strictEqual(accept, false);
+      assert.match(reason, /asset_out/);
+    }
+  },
+  {
+    name: "non-PENDING memo is ignored",
+    run: async (sim) => {
+      for (const status of ["APPROVED", "REJECTED", "COMPLETED"]) {
+        const job = simJob();
+        await sim.client.push(job, simMemo(1, { status, name: "pre_trade_risk_pack", requirement: RISK_REQ }));
+        assertNoCalls(job);
+      }
+    }
+  },
+  {
+    name: "null memo is ignored",
+    run: async (sim) => {
+      const job = simJob();
+      await sim.client.push(job, null);
+      assertNoCalls(job);
+    }
+  },
+  {
+    name: "unexpected nextPhase is ignored",
+    run: async (sim) => {
+      for (const nextPhase of [2, 4, 5, undefined]) {
+        const job = simJob();
+        await sim.client.push(job, simMemo(nextPhase, { name: "pre_trade_risk_pack", requirement: RISK_REQ }));
+        assertNoCalls(job);
+      }
+    }
+  },
+  {
+    name: "delivery memo for a job never negotiated here: recovered from job.memos",
+    run: async (sim) => {
+      const first = simMemo(1, { name: "execution_quote_and_route", requirement: QUOTE_REQ });
+      const job = simJob({ phase: 2, memos: [first] });
+      await sim.client.push(job, simMemo(3));
+      assertDelivered(job, "execution_quote_and_route");
+    }
+  },
+  {
+    name: "seller restart between accept and deliver",
+    run: async (sim) => {
+      const job = simJob();
+      await sim.client.push(job, simMemo(1, { name: "pre_trade_risk_pack", requirement: RISK_REQ }));
+      assert.strictEqual(only(job, "respond").accept, true);
+
+      await sim.restartSeller();
+      // Same job object minus structuredContent: delivery must come from the store
+      await sim.client.push(job, paid(job));
+      assertDelivered(job, "pre_trade_risk_pack");
+    }
+  },
+  {
+    name: "redelivery after restart sends the stored deliverable",
+    run: async (sim) => {
+      const job = simJob();
+      await sim.client.push(job, simMemo(1, { name: "market_intelligence_feed", requirement: INTEL_REQ }));
+      await sim.client.push(job, paid(job));
+      const first = only(job, "deliver").deliverable;
+
+      await sim.restartSeller();
+      job.calls.length = 0;
+      await sim.client.push(job, paid(job));
+      assert.deepStrictEqual(only(job, "deliver").deliverable, first);
+    }
+  }
+];
+
+/* -------------------------------------------------------------------------- */
+/*                                  Runner                                    */
+/* -------------------------------------------------------------------------- */
+
+function out(line) {
+  process.stdout.write(line + "\n");
+}
+
+async function startSeller() {
+  const sellerPath = require.resolve("../seller");
+  delete require.cache[sellerPath];
+  const seller = require(sellerPath);
+  const started = await seller.main({ AcpClient: SimAcpClient, AcpContractClientV2: SimAcpContractClientV2 });
+  assert.ok(started.acpClient.initialized, "ACP client was not initialized");
+  if (!started.server.listening) await once(started.server, "listening");
+  return started;
+}
+
+async function stopSeller(seller) {
+  clearInterval(seller.heartbeat);
+  await new Promise((resolve) => seller.server.close(resolve));
+}
+
+async function run() {
+  const quiet = { log: console.log, warn: console.warn, error: console.error };
+  if (!VERBOSE) console.log = console.warn = console.error = () => {};
+
+  const subgraph = await startMockSubgraph({
+    subgraphs: SUBGRAPHS,
+    record: RECORD ? { upstream: "https://gateway.thegraph.com/api", apiKey: process.env.GRAPH_API_KEY } : null
+  });
+  process.env.GRAPH_GATEWAY_URL = subgraph.url;
+  if (!RECORD) process.env.AERODROME_SUBGRAPH_FALLBACK_URLS = `${subgraph.url}/sim/subgraphs/id/sim-aerodrome-mirror`;
+
+  const { app } = require("../resources-server");
+  const resources = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  process.env.RESOURCES_BASE_URL = `http://127.0.0.1:${resources.address().port}`;
+
+  let seller = await startSeller();
+  const sim = {
+    subgraph,
+    get client() {
+      return seller.acpClient;
+    },
+    get sellerUrl() {
+      return `http://127.0.0.1:${seller.server.address().port}`;
+    },
+    async restartSeller() {
+      await stopSeller(seller);
+      seller = await startSeller();
+    }
+  };
+
+  let failed = 0;
+  for (const scenario of SCENARIOS) {
+    try {
+      const result = await scenario.run(sim);
+      if (typeof result === "string" && result.startsWith("skip")) out(`⏭  ${scenario.name} (${result.slice(5).trim()})`);
+      else out(`✅ ${scenario.name}`);
+    } catch (e) {
+      failed++;
+      out(`❌ ${scenario.name}\n   ${String(e?.message || e).split("\n").join("\n   ")}`);
+    }
+  }
+
+  await stopSeller(seller);
+  await new Promise((resolve) => resources.close(resolve));
+  await subgraph.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+  Object.assign(console, quiet);
+
+  out(`\n${SCENARIOS.length - failed}/${SCENARIOS.length} scenarios passed (${subgraph.requests.length} subgraph queries served)`);
+  return failed;
+}
+
+run()
+  .then((failed) => process.exit(failed ? 1 : 0))
+  .catch((err) => {
+    console.error("❌ SIMULATOR ERROR:", err);
+    process.exit(1);
+  });
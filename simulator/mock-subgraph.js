@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * Mock The Graph gateway for the ACP simulator.
+ *
+ * Serves POST /:apiKey/subgraphs/id/:subgraphId like the real gateway and
+ * answers from simulator/fixtures/subgraph.json. A fixture matches on the
+ * GraphQL operation name plus every variable it lists (addresses compared
+ * case-insensitively); unmatched queries get the operation's default
+ * (usually "no pools"), or a GraphQL error if there is none.
+ *
+ * Event timestamps can be written relative to the time of the query as
+ * "$now-<seconds>" (or "$now"), so windowed queries keep matching recent data.
+ *
+ * Subgraph ids added to `outage` answer HTTP 503, to exercise failover.
+ * Queries asking for `_meta` get an indexed block at the current time, or
+ * `lag.get(subgraphId)` seconds behind it.
+ *
+ * In record mode each query is forwarded to the real gateway and the
+ * response appended to the fixtures, written back on close().
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_PATH = process.env.SIM_SUBGRAPH_FIXTURES || path.join(__dirname, "fixtures", "subgraph.json");
+
+function operationName(query) {
+  const m = /\bquery\s+(\w+)/.exec(query || "");
+  return m ? m[1] : "anonymous";
+}
+
+function sameValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function findFixture(list, op, variables) {
+  return (list || []).find(
+    (f) => f.operation === op && Object.entries(f.variables || {}).every(([k, v]) => sameValue(variables?.[k], v))
+  );
+}
+
+// Block number reported for "now" in _meta; Base produces a block every 2s
+const SIM_HEAD_BLOCK = 20000000;
+
+const RELATIVE_TIME_RE = /^\$now(?:-(\d+))?$/;
+
+// Replace "$now-<seconds>" strings with unix timestamps
+function resolveTimes(v, now) {
+  if (Array.isArray(v)) return v.map((x) => resolveTimes(x, now));
+  if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, resolveTimes(x, now)]));
+  const m = typeof v === "string" ? RELATIVE_TIME_RE.exec(v) : null;
+  return m ? String(now - Number(m[1] || 0)) : v;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start the mock on an ephemeral port.
+ *
+ * subgraphs: { [subgraphId]: fixtureKey } e.g. { "sim-aerodrome": "aerodrome" }
+ * record:    optional { upstream, apiKey } to proxy and re-record
+ *
+ * Resolves to { url, requests, outage, lag, close }. `url` is what GRAPH_GATEWAY_URL should be.
+ */
+async function startMockSubgraph({ subgraphs, record = null }) {
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, "utf8"));
+  const requests = [];
+  const outage = new Set(); // subgraph ids answering 503
+  const lag = new Map(); // subgraph id -> seconds behind head reported in _meta
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, json) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(json));
+    };
+
+    try {
+      const m = /^\/[^/]+\/subgraphs\/id\/([^/?]+)/.exec(req.url);
+      const key = m && subgraphs[m[1]];
+      if (req.method !== "POST" || !key) return send(404, { errors: [{ message: `unknown subgraph: ${req.url}` }] });
+
+      const { query, variables } = JSON.parse(await readBody(req));
+      const op = operationName(query);
+      requests.push({ subgraph: key, subgraph_id: m[1], operation: op, variables });
+      if (outage.has(m[1])) return send(503, { errors: [{ message: "simulator: subgraph outage" }] });
+
+      if (record) {
+        const r = await fetch(`${record.upstream}/${record.apiKey}/subgraphs/id/${m[1]}`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ query, variables })
+        });
+        const j = await r.json();
+        if (r.ok && j.data && !findFixture(fixtures[key], op, variables)) {
+          (fixtures[key] = fixtures[key] || []).push({ operation: op, variables, data: j.data });
+        }
+        return send(r.status, j);
+      }
+
+      const fixture = findFixture(fixtures[key], op, variables);
+      const now = Math.floor(Date.now() / 1000);
+      const withMeta = (data) => {
+        if (!/\b_meta\b/.test(query) || data._meta) return data;
+        const behind = lag.get(m[1]) || 0;
+        return { ...data, _meta: { block: { number: SIM_HEAD_BLOCK - Math.round(behind / 2), timestamp: now - behind } } };
+      };
+      if (fixture) return send(200, { data: withMeta(resolveTimes(fixture.data, now)) });
+
+      const fallback = fixtures.defaults?.[key]?.[op];
+      if (fallback) return send(200, { data: withMeta(resolveTimes(fallback, now)) });
+
+      return send(200, { errors: [{ message: `simulator: no fixture for ${key}/${op} ${JSON.stringify(variables)}` }] });
+    } catch (e) {
+      return send(500, { errors: [{ message: String(e?.message || e) }] });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    outage,
+    lag,
+    close: () =>
+      new Promise((resolve) => {
+        if (record) fs.writeFileSync(FIXTURES_PATH, JSON.stringify(fixtures, null, 2) + "\n");
+        server.close(resolve);
+      })
+  };
+}
+
+module.exports = { startMockSubgraph };
@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * Ready-to-sign swap transactions for a quoted route (execution_quote_and_route).
+ *
+ * Aerodrome hops go through the Aerodrome Router's swapExactTokensForTokens,
+ * one Route struct per hop. Uniswap V3 hops go through SwapRouter02's
+ * exactInput with the packed (token, fee, token, ...) path, wrapped in
+ * multicall(deadline, [...]) because SwapRouter02's params carry no deadline.
+ * Consecutive hops on one venue share a transaction; a route that changes
+ * venue becomes one swap per venue segment, which is not atomic.
+ *
+ * Each swap is preceded by an exact-amount ERC-20 approve() of its input
+ * token to its router. Minimum outputs are the expected output less the
+ * slippage tolerance, computed in base units.
+ */
+
+const { ethers } = require("ethers");
+
+const BASE_CHAIN_ID = 8453;
+
+const AERODROME_ROUTER = process.env.AERODROME_ROUTER || "0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43";
+const AERODROME_POOL_FACTORY = process.env.AERODROME_POOL_FACTORY || "0x420DD381b31aEf6683db6B902084cB0FFECe40Da";
+const UNISWAP_SWAP_ROUTER02 = process.env.UNISWAP_SWAP_ROUTER02 || "0x2626664c2603336E57B271c5C0b26F421741e481";
+
+const erc20Iface = new ethers.Interface(["function approve(address spender, uint256 amount) returns (bool)"]);
+
+const aerodromeRouterIface = new ethers.Interface([
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) returns (uint256[] amounts)"
+]);
+
+const swapRouter02Iface = new ethers.Interface([
+  "function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+  "function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)"
+]);
+
+function applySlippage(raw, bps) {
+  return (raw * BigInt(10000 - bps)) / 10000n;
+}
+
+// Split hops into runs on the same venue
+function venueSegments(hops) {
+  const segments = [];
+  for (const h of hops) {
+    const last = segments[segments.length - 1];
+    if (last && last.venue === h.venue) last.hops.push(h);
+    else segments.push({ venue: h.venue, hops: [h] });
+  }
+  return segments;
+}
+
+// V3 fee tiers are hundredths of a bip: 5 bps -> 500
+function v3Path(hops) {
+  const types = ["address"];
+  const values = [hops[0].token_in_address];
+  for (const h of hops) {
+    types.push("uint24", "address");
+    values.push(Math.round(Number(h.fee_bps) * 100), h.token_out_address);
+  }
+  return ethers.solidityPacked(types, values);
+}
+
+function encodeSwap(segment, amountIn, minOut, recipient, deadline) {
+  if (segment.venue === "aerodrome") {
+    const routes = segment.hops.map((h) => ({
+      from: h.token_in_address,
+      to: h.token_out_address,
+      stable: h.pool_type === "stable",
+      factory: AERODROME_POOL_FACTORY
+    }));
+    return {
+      router: AERODROME_ROUTER,
+      method: "swapExactTokensForTokens",
+      data: aerodromeRouterIface.encodeFunctionData("swapExactTokensForTokens", [amountIn, minOut, routes, recipient, deadline])
+    };
+  }
+  if (segment.venue === "uniswap_v3") {
+    const exactInput = swapRouter02Iface.encodeFunctionData("exactInput", [
+      { path: v3Path(segment.hops), recipient, amountIn, amountOutMinimum: minOut }
+    ]);
+    return {
+      router: UNISWAP_SWAP_ROUTER02,
+      method: "multicall(deadline, [exactInput])",
+      data: swapRouter02Iface.encodeFunctionData("multicall", [deadline, [exactInput]])
+    };
+  }
+  throw new Error(`no router for venue '${segment.venue}'`);
+}
+
+/**
+ * Transactions executing `hops` (route hops with token addresses, decimals,
+ * amounts and pool_type / fee_bps) for `recipient`, who signs and receives.
+ *
+ * Returns { status: "ready", steps, ... } or { status: "unavailable", reason }.
+ * Steps are in signing order, each { kind: "approval" | "swap", to, data, value, ... }.
+ * A later segment is sized at the previous segment's minimum output, the
+ * amount the recipient is sure to hold, so it cannot fail for lack of balance.
+ */
+function buildSwapTransactions({ chain, hops, recipient, slippageBps, deadlineSeconds, now = Date.now() }) {
+  if (chain !== "base") return { status: "unavailable", reason: `router addresses are configured for base only, not ${chain}` };
+  if (!hops?.length) return { status: "unavailable", reason: "no route to execute" };
+  if (!ethers.isAddress(recipient)) return { status: "unavailable", reason: "recipient address required" };
+
+  const to = ethers.getAddress(recipient);
+  const deadline = Math.floor(now / 1000) + deadlineSeconds;
+  const segments = venueSegments(hops);
+  const steps = [];
+
+  let amountIn = ethers.parseUnits(hops[0].amount_in, hops[0].token_in_decimals);
+  const totalIn = amountIn;
+  let expectedOut = 0n;
+  let minOut = 0n;
+
+  for (const [i, segment] of segments.entries()) {
+    const first = segment.hops[0];
+    const last = segment.hops[segment.hops.length - 1];
+    const quotedIn = ethers.parseUnits(first.amount_in, first.token_in_decimals);
+    const quotedOut = ethers.parseUnits(last.expected_amount_out, last.token_out_decimals);
+    expectedOut = quotedIn > 0n ? (quotedOut * amountIn) / quotedIn : 0n;
+    minOut = applySlippage(expectedOut, slippageBps);
+
+    const swap = encodeSwap(segment, amountIn, minOut, to, deadline);
+    steps.push({
+      kind: "approval",
+      description: `approve ${swap.router} to spend ${ethers.formatUnits(amountIn, first.token_in_decimals)} ${first.token_in}`,
+      to: ethers.getAddress(first.token_in_address),
+      data: erc20Iface.encodeFunctionData("approve", [swap.router, amountIn]),
+      value: "0",
+      token: first.token_in,
+      spender: swap.router,
+      amount_raw: amountIn.toString()
+    });
+    steps.push({
+      kind: "swap",
+      description: `swap ${first.token_in} -> ${segment.hops.map((h) => h.token_out).join(" -> ")} on ${segment.venue}`,
+      to: swap.router,
+      data: swap.data,
+      value: "0",
+      venue: segment.venue,
+      method: swap.method,
+      segment: i + 1,
+      pool_ids: segment.hops.map((h) => h.pool_id),
+      token_in_address: ethers.getAddress(first.token_in_address),
+      token_out_address: ethers.getAddress(last.token_out_address),
+      amount_in_raw: amountIn.toString(),
+      expected_amount_out_raw: expectedOut.toString(),
+      amount_out_minimum_raw: minOut.toString()
+    });
+    amountIn = minOut;
+  }
+
+  const lastHop = hops[hops.length - 1];
+  return {
+    status: "ready",
+    chain_id: BASE_CHAIN_ID,
+    from: to,
+    recipient: to,
+    atomic: segments.length === 1,
+    token_in: hops[0].token_in_address,
+    token_out: lastHop.token_out_address,
+    amount_in_raw: totalIn.toString(),
+    amount_out_minimum_raw: minOut.toString(),
+    amount_out_minimum: ethers.formatUnits(minOut, lastHop.token_out_decimals),
+    slippage_bps: slippageBps,
+    deadline_unix: deadline,
+    steps
+  };
+}
+
+// Amount out reported by the router for a swap step's return data
+function decodeSwapOutput(step, output) {
+  if (step.venue === "aerodrome") {
+    const [amounts] = aerodromeRouterIface.decodeFunctionResult("swapExactTokensForTokens", output);
+    return amounts[amounts.length - 1];
+  }
+  const [results] = swapRouter02Iface.decodeFunctionResult("multicall", output);
+  return swapRouter02Iface.decodeFunctionResult("exactInput", results[0])[0];
+}
+
+module.exports = { buildSwapTransactions, decodeSwapOutput, AERODROME_ROUTER, UNISWAP_SWAP_ROUTER02 };
@@ -0,0 +1,241 @@
+"use strict";
+
+/**
+ * Structured logs and Prometheus metrics shared by resources-server.js and
+ * seller.js.
+ *
+ * Logs are one JSON object per line: { ts, level, service, event, msg, ...fields }.
+ * LOG_LEVEL (debug / info / warn / error, default info) sets the floor.
+ * Before a record is written, fields whose names look sensitive (keys, secrets,
+ * passwords, signatures) are replaced with "[redacted]". The values of the
+ * secret env vars in SECRET_ENV_VARS are also scrubbed out of every string,
+ * so an RPC URL with an embedded API key can be logged safely, as are the
+ * `token=` query values of alert stream URLs.
+ *
+ * Metrics live in one in-process registry, rendered in the Prometheus text
+ * exposition format by renderMetrics(). Registering a metric twice returns the
+ * existing one, so a module can be re-required (the simulator restarts the
+ * seller that way) without losing its series.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LOG_LEVELS.info;
+
+// Field names are compared lowercased with "_" and "-" removed
+const REDACTED_FIELD_PARTS = ["privatekey", "secret", "password", "apikey", "authorization", "mnemonic", "signature"];
+const EXTRA_REDACTED_FIELDS = String(process.env.LOG_REDACT_FIELDS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase().replace(/[_-]/g, ""))
+  .filter(Boolean);
+
+const SECRET_ENV_VARS = ["WHITELISTED_WALLET_PRIVATE_KEY", "GRAPH_API_KEY", "CUSTOM_RPC_URL", "RESOURCES_API_KEY"];
+
+/* -------------------------------------------------------------------------- */
+/*                                  Logging                                   */
+/* -------------------------------------------------------------------------- */
+
+// Read at log time: the simulator and tests set env after this module loads
+function secretValues() {
+  const out = [];
+  for (const name of SECRET_ENV_VARS) {
+    for (const v of String(process.env[name] || "").split(",")) {
+      if (v.trim().length >= 8) out.push(v.trim());
+    }
+  }
+  return out;
+}
+
+function sensitiveField(key) {
+  const k = String(key).toLowerCase().replace(/[_-]/g, "");
+  return REDACTED_FIELD_PARTS.some((p) => k.includes(p)) || EXTRA_REDACTED_FIELDS.includes(k);
+}
+
+// Alert stream URLs carry their watch tokens in the query string
+const URL_TOKEN = /([?&]token=)[^&\s"']+/g;
+
+function scrub(s, secrets) {
+  let out = s.replace(URL_TOKEN, "$1[redacted]");
+  for (const secret of secrets) out = out.split(secret).join("[redacted]");
+  return out;
+}
+
+/**
+ * Copy of `v` safe to log: sensitive fields replaced, secret values scrubbed
+ * from strings, errors reduced to their message, depth capped.
+ */
+function redact(v, secrets = secretValues(), depth = 0) {
+  if (v == null || typeof v === "number" || typeof v === "boolean") return v;
+  if (typeof v === "bigint") return v.toString();
+  if (typeof v === "string") return scrub(v, secrets);
+  if (v instanceof Error) return scrub(String(v.message || v), secrets);
+  if (depth > 6) return "[truncated]";
+  if (Array.isArray(v)) return v.map((x) => redact(x, secrets, depth + 1));
+  if (typeof v === "object") {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = sensitiveField(k) ? "[redacted]" : redact(x, secrets, depth + 1);
+    return out;
+  }
+  return String(v);
+}
+
+/**
+ * logger.info(event, msg, fields) writes
+ * { ts, level, service, event, msg, ...fields } as one line.
+ */
+function createLogger(service) {
+  const write = (level, event, msg, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVEL) return;
+    const record = { ts: new Date().toISOString(), level, service, event, msg, ...redact(fields) };
+    const line = JSON.stringify(record);
+    if (level === "error") console.error(line);
+    else if (level === "warn") console.warn(line);
+    else console.log(line);
+  };
+  return {
+    debug: (event, msg, fields) => write("debug", event, msg, fields),
+    info: (event, msg, fields) => write("info", event, msg, fields),
+    warn: (event, msg, fields) => write("warn", event, msg, fields),
+    error: (event, msg, fields) => write("error", event, msg, fields)
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Metrics                                   */
+/* -------------------------------------------------------------------------- */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map(); // name -> metric
+const collectors = new Map(); // name -> function run before rendering (gauges read from state)
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((n, i) => [n, values[i]]).concat(extra);
+  return pairs.length ? `{${pairs.map(([n, v]) => `${n}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+function register(name, create) {
+  if (!registry.has(name)) registry.set(name, create());
+  return registry.get(name);
+}
+
+function counter(name, help, labelNames = []) {
+  return register(name, () => {
+    const series = new Map(); // labelKey -> value
+    return {
+      type: "counter",
+      help,
+      labelNames,
+      series,
+      inc(labels, by = 1) {
+        const key = labelKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + by);
+      }
+    };
+  });
+}
+
+function gauge(name, help, labelNames = []) {
+  return register(name, () => {
+    const series = new Map();
+    return {
+      type: "gauge",
+      help,
+      labelNames,
+      series,
+      set(labels, value) {
+        series.set(labelKey(labelNames, labels), value);
+      },
+      reset() {
+        series.clear();
+      }
+    };
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  return register(name, () => {
+    const series = new Map(); // labelKey -> { counts, sum, count }
+    return {
+      type: "histogram",
+      help,
+      labelNames,
+      buckets,
+      series,
+      observe(labels, seconds) {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(key);
+        buckets.forEach((b, i) => {
+          if (seconds <= b) s.counts[i]++;
+        });
+        s.sum += seconds;
+        s.count++;
+      },
+      // Returns a function that observes the seconds elapsed since the call
+      startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          this.observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      }
+    };
+  });
+}
+
+// `fn` runs before each render, e.g. to set gauges from live state; keyed by
+// name so a re-required module replaces its collector instead of adding one
+function onCollect(name, fn) {
+  collectors.set(name, fn);
+}
+
+function renderMetrics() {
+  for (const fn of collectors.values()) {
+    try {
+      fn();
+    } catch {
+      // a failing collector shouldn't take /metrics down
+    }
+  }
+
+  const lines = [];
+  for (const [name, m] of registry) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const [key, value] of m.series) {
+      const values = JSON.parse(key);
+      if (m.type !== "histogram") {
+        lines.push(`${name}${formatLabels(m.labelNames, values)} ${value}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) => {
+        lines.push(`${name}_bucket${formatLabels(m.labelNames, values, [["le", b]])} ${value.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(m.labelNames, values, [["le", "+Inf"]])} ${value.count}`);
+      lines.push(`${name}_sum${formatLabels(m.labelNames, values)} ${value.sum}`);
+      lines.push(`${name}_count${formatLabels(m.labelNames, values)} ${value.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+module.exports = {
+  createLogger,
+  redact,
+  counter,
+  gauge,
+  histogram,
+  onCollect,
+  renderMetrics,
+  METRICS_CONTENT_TYPE
+};
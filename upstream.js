@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Upstream HTTP client shared by resources-server.js and seller.js.
+ *
+ * Every call has a timeout and bounded retries with full jitter, and goes
+ * through a circuit breaker kept per endpoint: after
+ * UPSTREAM_BREAKER_FAILURES consecutive failed calls (each one a transport
+ * failure — network error, timeout, HTTP 429 or 5xx — on every retry) the
+ * endpoint is skipped for
+ * UPSTREAM_BREAKER_COOLDOWN_MS, then a single trial call is let through
+ * (half-open) and its outcome closes or re-opens the breaker.
+ *
+ * Answers the endpoint gives on purpose (HTTP 4xx, JSON-RPC errors, GraphQL
+ * errors) are not transport failures: they are returned to the caller and
+ * leave the breaker alone. With `structuredErrors`, so is a 429 / 5xx whose
+ * body is a JSON error object ({ ok: false, ... }), which is how our own
+ * resources server reports a failure it has already retried upstream.
+ *
+ * withFailover() walks an ordered list of endpoints (RPC URLs, subgraph
+ * endpoints) and moves to the next one on a transport failure or an open
+ * breaker.
+ *
+ * Every attempt is counted and timed per `source` (a caller-chosen label such
+ * as "rpc" or "thegraph/aerodrome") in the telemetry registry.
+ */
+
+const telemetry = require("./telemetry");
+
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 8000);
+const UPSTREAM_RETRIES = Number(process.env.UPSTREAM_RETRIES || 2);
+const UPSTREAM_BACKOFF_MS = Number(process.env.UPSTREAM_BACKOFF_MS || 200);
+const UPSTREAM_MAX_BACKOFF_MS = 2000;
+const BREAKER_FAILURES = Number(process.env.UPSTREAM_BREAKER_FAILURES || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.UPSTREAM_BREAKER_COOLDOWN_MS || 30000);
+
+const upstreamRequests = telemetry.counter(
+  "aegis_upstream_requests_total",
+  "Upstream HTTP attempts by source and outcome (ok / error).",
+  ["source", "outcome"]
+);
+const upstreamErrors = telemetry.counter(
+  "aegis_upstream_errors_total",
+  "Upstream failures by source and kind (timeout / http_429 / http_5xx / network / circuit_open).",
+  ["source", "kind"]
+);
+const upstreamSeconds = telemetry.histogram("aegis_upstream_request_seconds", "Upstream HTTP attempt latency by source.", ["source"]);
+const circuitOpen = telemetry.gauge("aegis_upstream_circuit_open", "1 while an endpoint's circuit breaker is open or half-open.", ["endpoint"]);
+
+class UpstreamError extends Error {
+  constructor(message, { endpoint = null, status = null, body = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.endpoint = endpoint;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class CircuitOpenError extends UpstreamError {
+  constructor(breaker) {
+    super(`circuit open for ${breaker.endpoint} (${breaker.last_error || "repeated failures"})`, { endpoint: breaker.endpoint });
+    this.name = "CircuitOpenError";
+  }
+}
+
+// Endpoints are reported without query strings, and long path segments (API
+// keys, subgraph ids) cut to their first 4 characters, e.g.
+// https://gateway.thegraph.com/api/3f9a***/subgraphs/id/GENu***
+function endpointLabel(url) {
+  try {
+    const u = new URL(url);
+    const segments = u.pathname.split("/").map((s) => (s.length >= 24 ? `${s.slice(0, 4)}***` : s));
+    return `${u.origin}${segments.join("/")}`;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Circuit breakers                              */
+/* -------------------------------------------------------------------------- */
+
+const breakers = new Map(); // origin + path -> breaker
+
+function breakerFor(url) {
+  let key;
+  try {
+    const u = new URL(url);
+    key = `${u.origin}${u.pathname}`;
+  } catch {
+    key = String(url);
+  }
+  if (!breakers.has(key)) {
+    breakers.set(key, {
+      endpoint: endpointLabel(url),
+      state: "closed",
+      failures: 0,
+      opened_at: null,
+      last_error: null,
+      last_failure_at: null,
+      trial: false
+    });
+  }
+  return breakers.get(key);
+}
+
+// Whether a call may go out now; moves an expired open breaker to half-open
+function admit(b) {
+  if (b.state === "open" && Date.now() - b.opened_at >= BREAKER_COOLDOWN_MS) b.state = "half_open";
+  if (b.state === "closed") return true;
+  if (b.state === "half_open" && !b.trial) {
+    b.trial = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(b) {
+  b.state = "closed";
+  b.failures = 0;
+  b.opened_at = null;
+  b.trial = false;
+}
+
+function recordFailure(b, message) {
+  b.failures++;
+  b.last_error = message;
+  b.last_failure_at = Date.now();
+  if (b.state === "half_open" || b.failures >= BREAKER_FAILURES) {
+    b.state = "open";
+    b.opened_at = Date.now();
+  }
+  b.trial = false;
+}
+
+function breakerStates() {
+  return [...breakers.values()].map((b) => {
+    // An open breaker past its cooldown is reported as half-open; the state
+    // itself only moves when the next call is admitted
+    const reopening = b.state === "open" && Date.now() - b.opened_at >= BREAKER_COOLDOWN_MS;
+    return {
+      endpoint: b.endpoint,
+      state: reopening ? "half_open" : b.state,
+      consecutive_failures: b.failures,
+      opened_at: b.opened_at ? new Date(b.opened_at).toISOString() : null,
+      retry_at: b.state === "open" ? new Date(b.opened_at + BREAKER_COOLDOWN_MS).toISOString() : null,
+      last_error: b.last_error,
+      last_failure_at: b.last_failure_at ? new Date(b.last_failure_at).toISOString() : null
+    };
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Requests                                  */
+/* -------------------------------------------------------------------------- */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Full jitter: anywhere between 0 and the exponential cap
+function backoffMs(attempt) {
+  return Math.random() * Math.min(UPSTREAM_MAX_BACKOFF_MS, UPSTREAM_BACKOFF_MS * 2 ** attempt);
+}
+
+/**
+ * Request `url` and parse the JSON body. Retries transport failures up to
+ * `retries` times; resolves to { status, ok, json } for any other answer
+ * (json is null when the body isn't JSON). Throws UpstreamError once retries
+ * run out, counting one breaker failure for the whole call, or
+ * CircuitOpenError without calling when the breaker is open.
+ */
+async function fetchJson(
+  url,
+  {
+    method = "GET",
+    headers,
+    body,
+    timeoutMs = UPSTREAM_TIMEOUT_MS,
+    retries = UPSTREAM_RETRIES,
+    source = sourceOf(url),
+    structuredErrors = false
+  } = {}
+) {
+  const b = breakerFor(url);
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (!admit(b)) {
+      upstreamErrors.inc({ source, kind: "circuit_open" });
+      if (lastError) break; // a half-open trial this call already used
+      throw new CircuitOpenError(b);
+    }
+
+    const done = upstreamSeconds.startTimer({ source });
+    try {
+      const r = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      const json = await r.json().catch(() => null);
+      const answered = structuredErrors && json && typeof json === "object" && json.ok === false;
+      if ((r.status === 429 || r.status >= 500) && !answered) {
+        const detail = json?.message || json?.error?.message || r.statusText;
+        throw new UpstreamError(`HTTP ${r.status}${detail ? ` ${detail}` : ""}`, { endpoint: b.endpoint, status: r.status, body: json });
+      }
+      done();
+      upstreamRequests.inc({ source, outcome: "ok" });
+      recordSuccess(b);
+      return { status: r.status, ok: r.ok, json };
+    } catch (e) {
+      done();
+      const timedOut = e?.name === "TimeoutError";
+      lastError =
+        e instanceof UpstreamError
+          ? e
+          : new UpstreamError(timedOut ? `timed out after ${timeoutMs}ms` : String(e?.cause?.message || e?.message || e), {
+              endpoint: b.endpoint
+            });
+      upstreamRequests.inc({ source, outcome: "error" });
+      upstreamErrors.inc({ source, kind: errorKind(lastError, timedOut) });
+      if (attempt < retries) await sleep(backoffMs(attempt));
+    }
+  }
+  recordFailure(b, lastError.message);
+  throw lastError;
+}
+
+function sourceOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+function errorKind(e, timedOut) {
+  if (timedOut) return "timeout";
+  if (e.status === 429) return "http_429";
+  if (e.status >= 500) return "http_5xx";
+  return "network";
+}
+
+/**
+ * Call `fn(url)` for each endpoint in order until one succeeds. Only
+ * UpstreamErrors move on to the next endpoint, so `fn` decides which answers
+ * are worth another endpoint; anything else it throws (a JSON-RPC revert) is
+ * rethrown as is.
+ */
+async function withFailover(urls, fn) {
+  if (!urls.length) throw new UpstreamError("no endpoints configured");
+  if (urls.length === 1) return fn(urls[0]);
+  const failures = [];
+  for (const url of urls) {
+    try {
+      return await fn(url);
+    } catch (e) {
+      if (!(e instanceof UpstreamError)) throw e;
+      failures.push(`${endpointLabel(url)}: ${e.message}`);
+    }
+  }
+  throw new UpstreamError(`all ${urls.length} endpoints failed: ${failures.join("; ")}`);
+}
+
+telemetry.onCollect("upstream_breakers", () => {
+  circuitOpen.reset();
+  for (const b of breakerStates()) circuitOpen.set({ endpoint: b.endpoint }, b.state === "closed" ? 0 : 1);
+});
+
+module.exports = {
+  UpstreamError,
+  CircuitOpenError,
+  endpointLabel,
+  fetchJson,
+  withFailover,
+  breakerStates
+};